@@ -2,14 +2,42 @@
 // background/background.js
 // Purpose: Background script for extension lifecycle management and scraping coordination
 
+importScripts(
+    '../utils/constants.js',
+    '../utils/protocol.js',
+    '../utils/company-store.js',
+    '../utils/contact-store.js',
+    '../utils/storage.js',
+    '../utils/selectors.js',
+    '../utils/normalizers.js',
+    '../utils/description-formatter.js',
+    'scrape-state.js',
+    'scraping-queue.js',
+    'task-scheduler.js',
+    'saved-searches.js',
+    'scrape-batches.js',
+    'notification-manager.js',
+    'selector-health.js'
+);
+
 class LinkedInScrapingManager {
     constructor() {
         this.activeScrapeJobs = new Map(); // Track active scraping sessions
         this.tabContentScripts = new Set(); // Track tabs with content scripts
-        this.scrapingQueue = [];
+        this.scrapingQueue = new ScrapingQueue();
         this.maxConcurrentScrapes = 2;
+        this.startingScrapes = 0; // Queue entries taken but not yet in activeScrapeJobs
         this.retryAttempts = 3;
         this.apiEndpoint = null; // Will be set from options
+        this.ready = null; // Resolves once settings and persisted jobs are restored
+        this.storageManager = new StorageManager();
+        this.taskScheduler = new TaskScheduler();
+        this.savedSearchStore = new SavedSearchStore();
+        this.batchStore = new BatchStore();
+        this.companyStore = new CompanyStore();
+        this.contactStore = new ContactStore();
+        this.notificationManager = new NotificationManager();
+        this.selectorHealthMonitor = new SelectorHealthMonitor();
         
         this.initializeBackgroundScript();
     }
@@ -31,21 +59,29 @@ class LinkedInScrapingManager {
         });
 
         // Handle messages from content scripts and popup
-        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            this.handleMessage(message, sender, sendResponse);
-            return true; // Keep message channel open for async responses
-        });
+        chrome.runtime.onMessage.addListener(
+            PROTOCOL.createListener(async (message, sender) => {
+                await this.ready;
+                return this.handleMessage(message, sender);
+            })
+        );
+
+        // Handle notification clicks
+        this.notificationManager.listen();
 
         // Handle tab removal
-        chrome.tabs.onRemoved.addListener((tabId) => {
+        chrome.tabs.onRemoved.addListener(async (tabId) => {
+            await this.ready;
             this.handleTabRemoved(tabId);
         });
 
         // Periodic cleanup and maintenance
         this.schedulePeriodicTasks();
 
-        // Load saved settings
-        this.loadSettings();
+        // Load saved settings, then restore jobs lost when the service worker was torn down
+        this.ready = this.loadSettings()
+            .then(() => this.rehydrateJobs())
+            .then(() => this.rescheduleTasks());
     }
 
     /**
@@ -85,7 +121,20 @@ class LinkedInScrapingManager {
             enableLogging: true,
             rateLimitDelay: 5000,
             maxConcurrentScrapes: 2,
-            dataRetentionDays: 30
+            dataRetentionDays: 30,
+            cleanupIntervalMinutes: 60,
+            staleJobCheckIntervalMinutes: 5,
+            storageQuotaCheckIntervalMinutes: 360,
+            savedSearchCheckIntervalMinutes: 15,
+            notificationsEnabled: true,
+            notificationDigestIntervalMinutes: 60,
+            selectorHealthThreshold: 0.8,
+            selectorHealthMinAttempts: 5,
+            fetchCompanyPages: true,
+            companyRefreshDays: 30,
+            captureHiringTeam: true,
+            detailFetchConcurrency: 3,
+            detailFetchTimeout: 15000
         };
 
         await chrome.storage.sync.set({ settings: defaultSettings });
@@ -99,16 +148,14 @@ class LinkedInScrapingManager {
      * Handle extension updates
      */
     async handleExtensionUpdate(details) {
-        // Migration logic for settings if needed
+        // Settings added since the installed version start at their defaults; stored values are kept
         const result = await chrome.storage.sync.get(['settings']);
-        if (result.settings) {
-            // Update settings with new defaults if needed
-            const updatedSettings = {
-                ...result.settings,
-                // Add any new settings here
-            };
-            await chrome.storage.sync.set({ settings: updatedSettings });
-        }
+        const updatedSettings = {
+            ...CONSTANTS.DEFAULT_SETTINGS,
+            ...result.settings
+        };
+        await chrome.storage.sync.set({ settings: updatedSettings });
+        await this.loadSettings();
     }
 
     /**
@@ -144,7 +191,19 @@ class LinkedInScrapingManager {
             // Inject content scripts
             await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ['content/job-extractor.js', 'content/content.js']
+                files: [
+                    'utils/constants.js',
+                    'utils/helpers.js',
+                    'utils/protocol.js',
+                    'utils/selectors.js',
+                    'utils/normalizers.js',
+                    'utils/description-formatter.js',
+                    'utils/skills.js',
+                    'content/job-extractor.js',
+                    'content/detail-fetcher.js',
+                    'content/capture-button.js',
+                    'content/content.js'
+                ]
             });
 
             this.tabContentScripts.add(tabId);
@@ -165,127 +224,749 @@ class LinkedInScrapingManager {
         if (this.activeScrapeJobs.has(tabId)) {
             this.cancelScrapeJob(tabId);
         }
+
+        // Queued jobs for this tab can never start
+        const orphaned = this.scrapingQueue.removeWhere(entry => entry.tabId === tabId);
+        if (orphaned.length > 0) {
+            this.failQueuedJobs(orphaned, 'Tab closed before the job started');
+        }
     }
 
     /**
-     * Handle messages from content scripts and popup
+     * Handle messages from content scripts and popup.
+     * Messages arrive validated by PROTOCOL.createListener; the return value is the reply data.
      */
-    async handleMessage(message, sender, sendResponse) {
-        try {
-            switch (message.action) {
-                case 'START_SCRAPING':
-                    await this.handleStartScraping(message.data, sender, sendResponse);
-                    break;
-
-                case 'STOP_SCRAPING':
-                    await this.handleStopScraping(sender.tab.id);
-                    sendResponse({ success: true });
-                    break;
-
-                case 'PROGRESS_UPDATE':
-                    await this.handleProgressUpdate(message.data, sender);
-                    sendResponse({ success: true });
-                    break;
-
-                case 'GET_SCRAPING_STATUS':
-                    sendResponse({ 
-                        active: this.activeScrapeJobs.size,
-                        queue: this.scrapingQueue.length 
-                    });
-                    break;
-
-                case 'GET_SCRAPED_DATA':
-                    const data = await this.getScrapedData(message.filters);
-                    sendResponse({ data });
-                    break;
-
-                case 'EXPORT_DATA':
-                    await this.exportData(message.format, message.filters);
-                    sendResponse({ success: true });
-                    break;
-
-                case 'DELETE_SCRAPED_DATA':
-                    await this.deleteScrapedData(message.filters);
-                    sendResponse({ success: true });
-                    break;
-
-                case 'GET_SETTINGS':
-                    const settings = await this.getSettings();
-                    sendResponse({ settings });
-                    break;
-
-                case 'UPDATE_SETTINGS':
-                    await this.updateSettings(message.settings);
-                    sendResponse({ success: true });
-                    break;
-
-                default:
-                    sendResponse({ error: 'Unknown action' });
-            }
-        } catch (error) {
-            console.error('Error handling message:', error);
-            sendResponse({ error: error.message });
+    async handleMessage(message, sender) {
+        const { MESSAGES } = PROTOCOL;
+        const data = message.data || {};
+
+        switch (message.type) {
+            case MESSAGES.PING:
+                return { alive: true, context: 'background' };
+
+            case MESSAGES.START_SCRAPING:
+                return await this.handleStartScraping(data, sender);
+
+            case MESSAGES.STOP_SCRAPING:
+                await this.handleStopScraping(this.resolveTabId(data, sender));
+                return { stopped: true };
+
+            case MESSAGES.PROGRESS_UPDATE:
+                await this.handleProgressUpdate(data, sender);
+                return {};
+
+            case MESSAGES.SCRAPE_ATTACH:
+                return await this.handleScrapeAttach(this.resolveTabId(data, sender));
+
+            case MESSAGES.PAGE_COLLECTED:
+                return await this.handlePageCollected(this.resolveTabId(data, sender), data);
+
+            case MESSAGES.JOB_DETAILS_COLLECTED:
+                if (!data.details === !data.error) {
+                    throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'Expected either details or an error');
+                }
+                return await this.handleJobDetailsCollected(this.resolveTabId(data, sender), data);
+
+            case MESSAGES.COMPANY_CAPTURED:
+                if (typeof data.company.id !== 'string' || !data.company.id) {
+                    throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'Captured company has no id');
+                }
+                return { company: await this.handleCompanyCaptured(data.company) };
+
+            case MESSAGES.SAVE_JOB:
+                if (typeof data.job.jobId !== 'string' || !data.job.jobId || data.job.jobId === 'N/A') {
+                    throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'Saved job has no id');
+                }
+                return await this.handleSaveJob(data.job);
+
+            case MESSAGES.GET_JOB_STATUS:
+                return await this.findStoredJob(data.jobId);
+
+            case MESSAGES.GET_SCRAPING_STATUS:
+                return {
+                    active: this.activeScrapeJobs.size,
+                    queue: this.scrapingQueue.length,
+                    jobs: Array.from(this.activeScrapeJobs.values()).map(job => ({
+                        ...this.getJobSummary(job),
+                        // Persisted state, so a reopened popup can rebuild its progress view
+                        phase: job.phase,
+                        currentPage: job.currentPage,
+                        totalPages: job.totalPages,
+                        detailsTotal: job.detailsTotal,
+                        detailsPending: job.pendingDetails.length,
+                        startTime: job.startTime
+                    }))
+                };
+
+            case MESSAGES.GET_SCRAPED_DATA:
+                return { data: await this.getScrapedData(data.filters) };
+
+            case MESSAGES.DELETE_SCRAPED_DATA:
+                await this.deleteScrapedData(data.filters);
+                return {};
+
+            case MESSAGES.GET_SETTINGS:
+                return { settings: await this.getSettings() };
+
+            case MESSAGES.UPDATE_SETTINGS:
+                await this.updateSettings(data.settings);
+                return {};
+
+            case MESSAGES.RUN_TASK:
+                if (!this.taskScheduler.tasks.has(data.name)) {
+                    throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, `Unknown task: ${data.name}`);
+                }
+                return await this.taskScheduler.runTask(data.name, 'manual');
+
+            case MESSAGES.GET_TASK_STATUS:
+                return { tasks: await this.taskScheduler.getStatus(await this.getSettings()) };
+
+            case MESSAGES.GET_SAVED_SEARCHES:
+                return { searches: await this.savedSearchStore.getAll() };
+
+            case MESSAGES.SAVE_SEARCH:
+                await this.validateSavedSearch(data.search);
+                data.search.filters = this.validateSearchFilters(data.search.filters);
+                return { search: await this.savedSearchStore.save(data.search) };
+
+            case MESSAGES.DELETE_SAVED_SEARCH:
+                return { deleted: await this.savedSearchStore.delete(data.id) };
+
+            case MESSAGES.RUN_SAVED_SEARCH:
+                return await this.runSavedSearch(data.id);
+
+            case MESSAGES.GET_QUEUE:
+                return this.getQueueStatus();
+
+            case MESSAGES.PAUSE_QUEUE:
+            case MESSAGES.RESUME_QUEUE:
+                return await this.setQueuePaused(message.type === MESSAGES.PAUSE_QUEUE);
+
+            case MESSAGES.PAUSE_QUEUED_JOB:
+            case MESSAGES.RESUME_QUEUED_JOB:
+                return await this.updateQueuedJob(data.id, queue =>
+                    queue.setEntryPaused(data.id, message.type === MESSAGES.PAUSE_QUEUED_JOB));
+
+            case MESSAGES.SET_QUEUED_JOB_PRIORITY:
+                return await this.updateQueuedJob(data.id, queue => queue.setPriority(data.id, data.priority));
+
+            case MESSAGES.MOVE_QUEUED_JOB:
+                return await this.updateQueuedJob(data.id, queue => queue.move(data.id, data.position));
+
+            case MESSAGES.CANCEL_QUEUED_JOB:
+                return await this.cancelQueuedJob(data.id);
+
+            case MESSAGES.START_BATCH:
+                return await this.handleStartBatch(data);
+
+            case MESSAGES.GET_BATCHES:
+                return { batches: await this.getBatches() };
+
+            case MESSAGES.CANCEL_BATCH:
+                return await this.cancelBatch(data.id);
+
+            case MESSAGES.GET_SELECTOR_HEALTH:
+                return { report: await this.selectorHealthMonitor.getReport(await this.getSettings()) };
+
+            default:
+                throw new ProtocolError(
+                    PROTOCOL.ERRORS.UNKNOWN_MESSAGE,
+                    `Background does not handle ${message.type}`
+                );
         }
     }
 
+    /**
+     * Resolve the target tab of a request: explicit tabId from the popup,
+     * otherwise the tab the content script message came from
+     */
+    resolveTabId(data, sender) {
+        const tabId = typeof data.tabId === 'number' ? data.tabId : sender.tab?.id;
+        if (typeof tabId !== 'number') {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'No target tab for request');
+        }
+        return tabId;
+    }
+
     /**
      * Handle start scraping request
      */
-    async handleStartScraping(scrapingParams, sender, sendResponse) {
-        const tabId = sender.tab.id;
+    async handleStartScraping(data, sender) {
+        const tabId = this.resolveTabId(data, sender);
+        const { tabId: _tabId, priority, mode = SCRAPE_STATE.MODES.SEARCH, ...scrapingParams } = data;
+
+        if (mode === SCRAPE_STATE.MODES.CURRENT_PAGE) {
+            const tab = await chrome.tabs.get(tabId);
+            const params = SCRAPE_STATE.currentPageParams(tab.url, scrapingParams.numPages);
+            if (!params) {
+                throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'The tab is not showing LinkedIn job search results');
+            }
+            return await this.enqueueScrapeJob(tabId, params, priority);
+        }
+
+        if (mode !== SCRAPE_STATE.MODES.SEARCH) {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, `Unknown scrape mode: ${mode}`);
+        }
+        if (typeof scrapingParams.jobTitle !== 'string' || typeof scrapingParams.location !== 'string') {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'A search needs a job title and a location');
+        }
+        scrapingParams.filters = this.validateSearchFilters(scrapingParams.filters);
+
+        return await this.enqueueScrapeJob(tabId, scrapingParams, priority);
+    }
+
+    /**
+     * Reject saved searches with a missing title or location, a non-text name, an interval outside
+     * the store's limits, an unknown notification mode, quiet hours that are not two HH:MM times,
+     * or an ID that matches no saved search
+     */
+    async validateSavedSearch(search) {
+        const { minIntervalMinutes, maxIntervalMinutes, notificationModes } = this.savedSearchStore;
+        const isTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
 
+        if (typeof search.jobTitle !== 'string' || typeof search.location !== 'string') {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'Saved search needs a job title and location');
+        }
+        if (search.name !== undefined && typeof search.name !== 'string') {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'Saved search name must be text');
+        }
+        if (search.intervalMinutes !== undefined && (!Number.isInteger(search.intervalMinutes) ||
+            search.intervalMinutes < minIntervalMinutes || search.intervalMinutes > maxIntervalMinutes)) {
+            throw new ProtocolError(
+                PROTOCOL.ERRORS.INVALID_PAYLOAD,
+                `Saved search interval must be ${minIntervalMinutes} to ${maxIntervalMinutes} minutes`
+            );
+        }
+        if (search.notificationMode !== undefined && !notificationModes.includes(search.notificationMode)) {
+            throw new ProtocolError(
+                PROTOCOL.ERRORS.INVALID_PAYLOAD,
+                `Saved search notification mode must be one of: ${notificationModes.join(', ')}`
+            );
+        }
+        if (search.quietHours !== undefined && search.quietHours !== null &&
+            !(isTime(search.quietHours.start) && isTime(search.quietHours.end))) {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'Quiet hours need a start and an end as HH:MM');
+        }
+        if (search.id !== undefined && !(await this.savedSearchStore.get(search.id))) {
+            throw new ProtocolError(PROTOCOL.ERRORS.NOT_FOUND, `Saved search not found: ${search.id}`);
+        }
+    }
+
+    /**
+     * Normalize search filters (see SCRAPE_STATE.normalizeFilters) and reject those that cannot be
+     * turned into LinkedIn URL parameters
+     */
+    validateSearchFilters(filters) {
+        const normalized = SCRAPE_STATE.normalizeFilters(filters);
+        const unsupported = SCRAPE_STATE.findUnsupportedFilters(normalized);
+        if (unsupported.length > 0) {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, `Unsupported search filters: ${unsupported.join(', ')}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Start a scraping job in a tab, or queue it when the concurrency limit is reached
+     * or the queue is paused. Higher priorities leave the queue first.
+     */
+    async enqueueScrapeJob(tabId, scrapingParams, priority = 0) {
         // Check if scraping is already active in this tab
         if (this.activeScrapeJobs.has(tabId)) {
-            sendResponse({ error: 'Scraping already active in this tab' });
-            return;
+            throw new ProtocolError(PROTOCOL.ERRORS.ALREADY_RUNNING, 'Scraping already active in this tab');
+        }
+
+        if (this.scrapingQueue.entries.some(entry => entry.tabId === tabId)) {
+            throw new ProtocolError(PROTOCOL.ERRORS.ALREADY_RUNNING, 'Scraping already queued in this tab');
         }
 
         // Check concurrent scraping limit
-        if (this.activeScrapeJobs.size >= this.maxConcurrentScrapes) {
-            this.scrapingQueue.push({ tabId, scrapingParams, timestamp: Date.now() });
-            sendResponse({ queued: true, position: this.scrapingQueue.length });
-            return;
+        if (this.activeScrapeJobs.size + this.startingScrapes >= this.maxConcurrentScrapes || this.scrapingQueue.paused) {
+            const position = this.scrapingQueue.add({
+                id: `queued_${Date.now()}_${tabId}`,
+                tabId,
+                scrapingParams,
+                priority,
+                timestamp: Date.now()
+            });
+            await this.persistJobTable();
+            return { queued: true, position, queuePaused: this.scrapingQueue.paused };
         }
 
-        await this.startScrapeJob(tabId, scrapingParams);
-        sendResponse({ success: true });
+        this.startingScrapes++;
+        try {
+            const job = await this.startScrapeJob(tabId, scrapingParams);
+            return { started: true, jobId: job.id };
+        } finally {
+            this.startingScrapes--;
+        }
     }
 
     /**
-     * Start a scraping job
+     * Start a scraping job.
+     * The background owns the scrape state and drives navigation; the content script
+     * re-attaches after every page load and asks for its next step.
      */
     async startScrapeJob(tabId, scrapingParams) {
         const jobId = `job_${Date.now()}_${tabId}`;
+        const settings = await this.getSettings();
         const scrapingJob = {
             id: jobId,
             tabId,
-            params: scrapingParams,
+            // Sessions record the search URL next to the title, location and filters it was built from
+            params: { searchUrl: SCRAPE_STATE.buildSearchUrl(scrapingParams), ...scrapingParams },
             startTime: Date.now(),
+            lastUpdate: Date.now(),
             status: 'running',
             progress: 0,
             extractedJobs: [],
-            errors: []
+            errors: [],
+            selectorStats: {},
+            captureContacts: settings.captureHiringTeam !== false,
+            detailFetch: {
+                concurrency: settings.detailFetchConcurrency ?? CONSTANTS.DEFAULT_SETTINGS.detailFetchConcurrency,
+                timeout: settings.detailFetchTimeout ?? CONSTANTS.DEFAULT_SETTINGS.detailFetchTimeout
+            },
+            ...SCRAPE_STATE.createState(scrapingParams)
         };
 
         this.activeScrapeJobs.set(tabId, scrapingJob);
 
         try {
-            // Send start message to content script
-            await chrome.tabs.sendMessage(tabId, {
-                action: 'START_SCRAPING',
-                data: scrapingParams
-            });
+            await this.persistScrapeState(scrapingJob);
+            await this.persistJobTable();
+
+            if (scrapingJob.params.mode === SCRAPE_STATE.MODES.CURRENT_PAGE) {
+                await this.attachToOpenSearch(scrapingJob);
+            } else {
+                // Navigate to the first results page, the content script attaches once it loads
+                await this.navigateToJobsPage(scrapingJob);
+            }
 
             // Store job in history
             await this.addToScrapingHistory(scrapingJob);
 
+            if (scrapingJob.params.batchId) {
+                await this.recordBatchRun(scrapingJob.params, { status: 'running', sessionId: jobId });
+            }
+
+            return scrapingJob;
+
         } catch (error) {
             console.error('Error starting scrape job:', error);
             this.activeScrapeJobs.delete(tabId);
+            await this.clearScrapeState(tabId);
+            await this.persistJobTable();
             throw error;
         }
     }
 
+    /**
+     * Navigate a job's tab to the results page it is currently on
+     */
+    async navigateToJobsPage(job) {
+        await chrome.tabs.update(job.tabId, {
+            url: SCRAPE_STATE.buildSearchUrl(job.params, job.currentPage)
+        });
+    }
+
+    /**
+     * Start a "current page" scrape on the search open in its tab without navigating: the content
+     * script is told to attach again. A tab that moved on since the scrape was queued goes back to the search.
+     */
+    async attachToOpenSearch(job) {
+        const tab = await chrome.tabs.get(job.tabId);
+        if (tab.url !== job.params.searchUrl) {
+            await chrome.tabs.update(job.tabId, { url: job.params.searchUrl });
+            return;
+        }
+
+        try {
+            await PROTOCOL.sendToTab(job.tabId, PROTOCOL.MESSAGES.RESUME_SCRAPE);
+        } catch (error) {
+            // No content script listening; a fresh one attaches as soon as it is injected
+            this.tabContentScripts.delete(job.tabId);
+            await this.injectContentScriptIfNeeded(job.tabId, tab.url);
+        }
+    }
+
+    /**
+     * Get the active job of a tab, restoring it from storage if the service worker was restarted
+     */
+    async getActiveJob(tabId) {
+        if (this.activeScrapeJobs.has(tabId)) {
+            return this.activeScrapeJobs.get(tabId);
+        }
+
+        const job = await this.loadScrapeState(tabId);
+        if (job && !SCRAPE_STATE.isTerminal(job.phase)) {
+            this.activeScrapeJobs.set(tabId, job);
+            return job;
+        }
+
+        return null;
+    }
+
+    /**
+     * Handle a content script attaching after a page load: hand it the next step of its tab's scrape
+     */
+    async handleScrapeAttach(tabId) {
+        const job = await this.getActiveJob(tabId);
+        if (!job) {
+            return { command: PROTOCOL.SCRAPE_COMMANDS.IDLE };
+        }
+
+        if (job.phase === SCRAPE_STATE.PHASES.NAVIGATING) {
+            SCRAPE_STATE.transition(job, SCRAPE_STATE.PHASES.COLLECTING);
+            await this.persistScrapeState(job);
+        }
+
+        return SCRAPE_STATE.nextStep(job);
+    }
+
+    /**
+     * Handle the job cards collected from one results page
+     */
+    async handlePageCollected(tabId, data) {
+        const job = await this.getActiveJob(tabId);
+        if (!job || job.phase !== SCRAPE_STATE.PHASES.COLLECTING || data.page !== job.currentPage) {
+            return { command: PROTOCOL.SCRAPE_COMMANDS.IDLE };
+        }
+
+        const added = SCRAPE_STATE.recordPage(job, data.jobs);
+        job.selectorStats = this.selectorHealthMonitor.mergeStats(job.selectorStats || {}, data.selectorStats);
+        const followsPagination = job.params.mode === SCRAPE_STATE.MODES.CURRENT_PAGE;
+        // Following pagination, a page without new jobs means the click did not reach a new page
+        const lastPage = job.currentPage + 1 >= job.totalPages || data.hasNextPage === false ||
+            (followsPagination && job.currentPage > 0 && added === 0);
+
+        if (lastPage || data.jobs.length === 0) {
+            // Listing done, details are fetched from the current page without navigating
+            SCRAPE_STATE.queueDetails(job);
+            SCRAPE_STATE.transition(job, SCRAPE_STATE.PHASES.DETAILS);
+            job.lastMessage = `Collected ${job.extractedJobs.length} jobs, fetching details`;
+        } else {
+            job.currentPage++;
+            SCRAPE_STATE.transition(job, SCRAPE_STATE.PHASES.NAVIGATING);
+            job.lastMessage = `Collected ${added} jobs from page ${data.page + 1}, loading page ${job.currentPage + 1} of ${job.totalPages}`;
+        }
+
+        job.progress = SCRAPE_STATE.calculateProgress(job);
+        await this.persistScrapeState(job);
+        await this.broadcastProgress(job);
+
+        if (job.phase === SCRAPE_STATE.PHASES.NAVIGATING && followsPagination) {
+            return { command: PROTOCOL.SCRAPE_COMMANDS.NEXT_PAGE, page: job.currentPage };
+        }
+
+        if (job.phase === SCRAPE_STATE.PHASES.NAVIGATING) {
+            // Not awaited so the WAIT reply reaches the content script before the page unloads
+            this.navigateToJobsPage(job).catch(error => {
+                console.error(`Error navigating tab ${tabId} to page ${job.currentPage + 1}:`, error);
+            });
+            return { command: PROTOCOL.SCRAPE_COMMANDS.WAIT };
+        }
+
+        if (job.pendingDetails.length === 0) {
+            await this.completeScrapeJob(job);
+            return { command: PROTOCOL.SCRAPE_COMMANDS.IDLE };
+        }
+
+        return SCRAPE_STATE.nextStep(job);
+    }
+
+    /**
+     * Handle details fetched for one collected job.
+     * The company shown on the detail page goes to the company cache and the job keeps only its companyId.
+     * The reply names the company page to fetch next when the cached record is due for a refresh.
+     * The job poster and hiring team go to the contact store unless hiring team capture is turned off.
+     * A fetch that failed is recorded on the job and in the scrape errors; the job keeps its card data.
+     */
+    async handleJobDetailsCollected(tabId, data) {
+        const job = await this.getActiveJob(tabId);
+        if (!job || job.phase !== SCRAPE_STATE.PHASES.DETAILS) {
+            return { remaining: 0 };
+        }
+
+        let companyToFetch = null;
+        if (data.error) {
+            SCRAPE_STATE.recordDetailsFailure(job, data.jobId, data.error);
+        } else {
+            const { company, contacts, ...details } = data.details;
+            companyToFetch = company ? await this.cacheCompany(company) : null;
+            if (!(await this.storeContacts(data.jobId, contacts))) {
+                delete details.posterContactId;
+                delete details.hiringTeamContactIds;
+            }
+            SCRAPE_STATE.recordDetails(job, data.jobId, details);
+        }
+
+        job.selectorStats = this.selectorHealthMonitor.mergeStats(job.selectorStats || {}, data.selectorStats);
+        job.progress = SCRAPE_STATE.calculateProgress(job);
+        job.lastMessage = `Fetched details for ${job.detailsTotal - job.pendingDetails.length} of ${job.detailsTotal} jobs` +
+            (job.detailsFailed > 0 ? ` (${job.detailsFailed} failed)` : '');
+
+        if (job.pendingDetails.length === 0) {
+            await this.completeScrapeJob(job);
+        } else {
+            await this.persistScrapeState(job);
+            await this.broadcastProgress(job);
+        }
+
+        return { remaining: job.pendingDetails.length, companyToFetch };
+    }
+
+    /**
+     * Cache company data read from a job page.
+     * Returns the company page URL when the page should be fetched to refresh the record, else null.
+     */
+    async cacheCompany(company) {
+        try {
+            const settings = await this.getSettings();
+            const refreshDays = settings.companyRefreshDays ?? this.companyStore.defaultRefreshDays;
+            const record = await this.companyStore.save(company, 'job-page', refreshDays);
+
+            if (!record || settings.fetchCompanyPages === false) {
+                return null;
+            }
+            return this.companyStore.needsPageFetch(record, refreshDays) ? record.url : null;
+        } catch (error) {
+            console.error(`Error caching company ${company.id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store the contacts captured with a job. Returns false when hiring team capture is turned off,
+     * which also covers scrapes started before the setting changed.
+     */
+    async storeContacts(jobId, contacts) {
+        const settings = await this.getSettings();
+        if (settings.captureHiringTeam === false) {
+            return false;
+        }
+
+        try {
+            await this.contactStore.save(contacts, jobId);
+        } catch (error) {
+            console.error(`Error storing contacts for job ${jobId}:`, error);
+        }
+        return true;
+    }
+
+    /**
+     * Store company data read from a company page
+     */
+    async handleCompanyCaptured(company) {
+        const settings = await this.getSettings();
+        const refreshDays = settings.companyRefreshDays ?? this.companyStore.defaultRefreshDays;
+        return await this.companyStore.save(company, 'company-page', refreshDays);
+    }
+
+    /**
+     * Save a job captured from its own page to the "Manual captures" collection.
+     * Company and contacts are cached the same way as during a scrape.
+     */
+    async handleSaveJob(job) {
+        const { company, contacts, ...jobData } = job;
+        const companyToFetch = company ? await this.cacheCompany(company) : null;
+        if (!(await this.storeContacts(jobData.jobId, contacts))) {
+            delete jobData.posterContactId;
+            delete jobData.hiringTeamContactIds;
+        }
+
+        await this.saveManualCapture(jobData);
+        return { saved: true, ...(await this.findStoredJob(jobData.jobId)), companyToFetch };
+    }
+
+    /**
+     * Add a job to the "Manual captures" collection, replacing an earlier capture of the same job
+     */
+    async saveManualCapture(jobData) {
+        const { ID, NAME } = CONSTANTS.MANUAL_CAPTURES;
+        const storageKey = `scraping_result_${ID}`;
+        const now = Date.now();
+
+        const result = await chrome.storage.local.get([storageKey]);
+        const collection = result[storageKey] || {
+            id: ID,
+            params: { jobTitle: NAME, location: '' },
+            startTime: now,
+            status: 'completed',
+            jobs: [],
+            errors: []
+        };
+
+        collection.jobs = [...collection.jobs.filter(entry => entry.jobId !== jobData.jobId), jobData];
+        collection.jobCount = collection.jobs.length;
+        collection.endTime = now;
+        collection.duration = now - collection.startTime;
+
+        await chrome.storage.local.set({ [storageKey]: collection });
+        await this.updateScrapingIndex(ID, collection);
+    }
+
+    /**
+     * Whether a job is stored in any scraping session or collection, and the names of those
+     */
+    async findStoredJob(jobId) {
+        const result = await chrome.storage.local.get(['scrapingIndex']);
+        const index = result.scrapingIndex || [];
+        const sessions = await chrome.storage.local.get(index.map(entry => `scraping_result_${entry.id}`));
+        const collections = [];
+
+        for (const entry of index) {
+            const session = sessions[`scraping_result_${entry.id}`];
+            if (session && (session.jobs || []).some(job => job.jobId === jobId)) {
+                const { jobTitle = 'Search', location = '' } = entry.params || {};
+                collections.push(location ? `${jobTitle} in ${location}` : jobTitle);
+            }
+        }
+
+        return { stored: collections.length > 0, collections };
+    }
+
+    /**
+     * Persist the state of a running job so it survives navigations and service worker restarts
+     */
+    async persistScrapeState(job) {
+        await chrome.storage.local.set({ [`scrape_state_${job.tabId}`]: job });
+    }
+
+    /**
+     * Load the persisted state of a tab's job
+     */
+    async loadScrapeState(tabId) {
+        const key = `scrape_state_${tabId}`;
+        const result = await chrome.storage.local.get([key]);
+        return result[key] || null;
+    }
+
+    /**
+     * Remove the persisted state of a tab's job
+     */
+    async clearScrapeState(tabId) {
+        await chrome.storage.local.remove(`scrape_state_${tabId}`);
+    }
+
+    /**
+     * Snapshot the job table and queue so they survive service worker restarts.
+     * Full job state lives under scrape_state_<tabId>; the snapshot records which tabs own a job.
+     */
+    async persistJobTable() {
+        try {
+            await chrome.storage.local.set({
+                scrapingManagerSnapshot: {
+                    activeTabIds: Array.from(this.activeScrapeJobs.keys()),
+                    queue: this.scrapingQueue.toJSON(),
+                    savedAt: Date.now()
+                }
+            });
+        } catch (error) {
+            console.error('Error persisting job table:', error);
+        }
+    }
+
+    /**
+     * Restore the job table and queue after the service worker wakes up,
+     * reconciling them against the tabs that are still open
+     */
+    async rehydrateJobs() {
+        try {
+            const result = await chrome.storage.local.get(['scrapingManagerSnapshot']);
+            const snapshot = result.scrapingManagerSnapshot;
+            if (!snapshot) {
+                return;
+            }
+
+            const openTabIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+
+            for (const tabId of snapshot.activeTabIds || []) {
+                const job = await this.loadScrapeState(tabId);
+                if (!job || SCRAPE_STATE.isTerminal(job.phase)) {
+                    await this.clearScrapeState(tabId);
+                    continue;
+                }
+
+                if (openTabIds.has(tabId)) {
+                    this.activeScrapeJobs.set(tabId, job);
+                } else {
+                    await this.failScrapeJob(job, 'Tab closed while the background was inactive');
+                }
+            }
+
+            this.scrapingQueue = ScrapingQueue.restore(snapshot.queue);
+            await this.failQueuedJobs(
+                // Batch entries have no tab until they start
+                this.scrapingQueue.removeWhere(entry => entry.tabId !== null && !openTabIds.has(entry.tabId)),
+                'Tab closed before the job started'
+            );
+
+            await this.persistJobTable();
+
+            if (this.activeScrapeJobs.size > 0 || this.scrapingQueue.length > 0) {
+                console.log(`Restored ${this.activeScrapeJobs.size} active and ${this.scrapingQueue.length} queued scraping jobs`);
+            }
+
+            // Slots may have been freed while the service worker was inactive
+            await this.processScrapingQueue();
+
+        } catch (error) {
+            console.error('Error rehydrating scraping jobs:', error);
+        }
+    }
+
+    /**
+     * Mark an orphaned job as failed, keeping whatever it collected.
+     * status: 'failed', or 'timeout' for jobs that stopped reporting progress
+     */
+    async failScrapeJob(job, reason, status = 'failed') {
+        job.status = status;
+        job.endTime = Date.now();
+        job.phase = SCRAPE_STATE.PHASES.FAILED;
+        job.errors.push({
+            timestamp: job.endTime,
+            message: reason
+        });
+
+        if (job.extractedJobs.length > 0) {
+            await this.saveScrapingResults(job);
+        }
+
+        await this.updateScrapingHistory(job);
+        this.activeScrapeJobs.delete(job.tabId);
+        await this.clearScrapeState(job.tabId);
+        await this.handleJobFinished(job);
+
+        console.log(`Marked scraping job ${job.id} as ${status}: ${reason}`);
+    }
+
+    /**
+     * Record queued jobs that can no longer start as failed in the history
+     */
+    async failQueuedJobs(entries, reason, status = 'failed') {
+        for (const entry of entries) {
+            await this.addToScrapingHistory({
+                id: entry.id || `queued_${entry.timestamp}_${entry.tabId}`,
+                params: entry.scrapingParams,
+                startTime: entry.timestamp,
+                status,
+                error: reason
+            });
+
+            if (entry.scrapingParams.savedSearchId) {
+                await this.savedSearchStore.update(entry.scrapingParams.savedSearchId, { lastRunStatus: status });
+            }
+
+            if (entry.scrapingParams.batchId) {
+                await this.recordBatchRun(entry.scrapingParams, { status, error: reason });
+            }
+        }
+
+        if (entries.length > 0) {
+            await this.persistJobTable();
+        }
+    }
+
     /**
      * Handle stop scraping request
      */
@@ -297,21 +978,24 @@ class LinkedInScrapingManager {
      * Cancel a scraping job
      */
     async cancelScrapeJob(tabId) {
-        const job = this.activeScrapeJobs.get(tabId);
+        const job = await this.getActiveJob(tabId);
         if (job) {
             job.status = 'cancelled';
             job.endTime = Date.now();
+            SCRAPE_STATE.transition(job, SCRAPE_STATE.PHASES.CANCELLED);
 
             try {
-                await chrome.tabs.sendMessage(tabId, {
-                    action: 'STOP_SCRAPING'
-                });
+                await PROTOCOL.sendToTab(tabId, PROTOCOL.MESSAGES.STOP_SCRAPING);
             } catch (error) {
                 console.error('Error sending stop message:', error);
             }
 
             await this.updateScrapingHistory(job);
             this.activeScrapeJobs.delete(tabId);
+            await this.clearScrapeState(tabId);
+            await this.persistJobTable();
+            await this.broadcastProgress(job);
+            await this.handleJobFinished(job);
 
             // Process queue
             await this.processScrapingQueue();
@@ -319,38 +1003,417 @@ class LinkedInScrapingManager {
     }
 
     /**
-     * Handle progress updates from content script
+     * Finish a job whose pages and details have all been collected
      */
-    async handleProgressUpdate(progressData, sender) {
-        const tabId = sender.tab.id;
-        const job = this.activeScrapeJobs.get(tabId);
+    async completeScrapeJob(job) {
+        job.status = 'completed';
+        job.endTime = Date.now();
+        SCRAPE_STATE.transition(job, SCRAPE_STATE.PHASES.COMPLETED);
+        job.progress = 100;
+        job.lastMessage = `Successfully scraped ${job.extractedJobs.length} jobs`;
+
+        // Save results
+        await this.saveScrapingResults(job);
+        await this.updateScrapingHistory(job);
+
+        // Send to API if configured
+        await this.sendToAPI(job);
+
+        // Cleanup
+        this.activeScrapeJobs.delete(job.tabId);
+        await this.clearScrapeState(job.tabId);
+        await this.persistJobTable();
+
+        await this.broadcastProgress(job);
+        await this.handleJobFinished(job);
+
+        // Process queue
+        await this.processScrapingQueue();
+    }
 
-        if (job) {
-            job.progress = progressData.progress || 0;
-            job.lastUpdate = Date.now();
+    /**
+     * Follow-up work once a job ends, whatever its outcome
+     */
+    async handleJobFinished(job) {
+        if (job.params.savedSearchId) {
+            await this.recordSavedSearchRun(job);
+        }
+
+        if (job.params.batchId) {
+            await this.recordBatchRun(job.params, {
+                status: job.status,
+                sessionId: job.id,
+                jobCount: job.extractedJobs.length,
+                error: job.status === 'completed' ? null : (job.errors.at(-1)?.message || job.status)
+            });
+        }
+
+        // Batch searches notify once, for the merged results
+        if (job.status === 'completed' && !job.params.batchId) {
+            await this.notifyJobCompleted(job);
+        }
+
+        if (job.selectorStats && Object.keys(job.selectorStats).length > 0) {
+            await this.checkSelectorHealth(job);
+        }
+
+        // Close tabs opened by the background for unattended runs
+        if (job.params.closeTabWhenDone) {
+            try {
+                await chrome.tabs.remove(job.tabId);
+            } catch (error) {
+                // Tab already closed
+            }
+        }
+    }
+
+    /**
+     * Record a finished job's selector stats and alert about fields whose selectors stopped matching
+     */
+    async checkSelectorHealth(job) {
+        try {
+            const settings = await this.getSettings();
+            const degraded = await this.selectorHealthMonitor.recordSession(job, settings);
+
+            if (degraded.length === 0 || settings.notificationsEnabled === false) {
+                return;
+            }
+
+            console.warn('Selector success rate dropped:', degraded);
+            await this.notificationManager.show({
+                title: `LinkedIn layout change? ${degraded.length} ${degraded.length === 1 ? 'field' : 'fields'} degraded`,
+                message: degraded
+                    .map(entry => `${entry.field}: ${Math.round(entry.rate * 100)}% found (${entry.hits}/${entry.attempts})`)
+                    .join('\n'),
+                listUrl: chrome.runtime.getURL('options/options.html#selectorHealth')
+            });
+
+        } catch (error) {
+            console.error('Error checking selector health:', error);
+        }
+    }
+
+    /**
+     * Start a saved search in a new background tab. Runs go through the regular scraping queue.
+     */
+    async runSavedSearch(searchId) {
+        const search = await this.savedSearchStore.get(searchId);
+        if (!search) {
+            throw new ProtocolError(PROTOCOL.ERRORS.NOT_FOUND, `Saved search not found: ${searchId}`);
+        }
+
+        const tab = await chrome.tabs.create({
+            url: CONSTANTS.LINKEDIN_BASE_URL + CONSTANTS.JOBS_SEARCH_PATH,
+            active: false
+        });
+
+        await this.savedSearchStore.update(search.id, {
+            lastRunAt: Date.now(),
+            lastRunStatus: 'running'
+        });
+
+        try {
+            return await this.enqueueScrapeJob(tab.id, {
+                jobTitle: search.jobTitle,
+                location: search.location,
+                numPages: search.numPages,
+                filters: search.filters,
+                savedSearchId: search.id,
+                closeTabWhenDone: true
+            }, -1); // Unattended runs yield to scrapes started by the user
+        } catch (error) {
+            await this.savedSearchStore.update(search.id, { lastRunStatus: 'failed' });
+            await chrome.tabs.remove(tab.id).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Start every enabled saved search whose interval has elapsed
+     */
+    async runDueSavedSearches() {
+        const searches = await this.savedSearchStore.getAll();
+        const now = Date.now();
+
+        for (const search of searches) {
+            if (this.savedSearchStore.isDue(search, now)) {
+                try {
+                    await this.runSavedSearch(search.id);
+                } catch (error) {
+                    console.error(`Error running saved search ${search.name}:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Record the outcome of a saved search run and the jobs that are new since earlier runs
+     */
+    async recordSavedSearchRun(job) {
+        try {
+            const changes = {
+                lastRunStatus: job.status,
+                lastSessionId: job.id
+            };
+
+            if (job.status === 'completed') {
+                const storedJobIds = await this.savedSearchStore.getStoredJobIds(job.params.savedSearchId, job.id);
+                changes.newJobIds = job.extractedJobs
+                    .map(jobData => jobData.jobId)
+                    .filter(jobId => jobId !== 'N/A' && !storedJobIds.has(jobId));
+                changes.totalJobCount = job.extractedJobs.length;
+            }
+
+            await this.savedSearchStore.update(job.params.savedSearchId, changes);
+
+        } catch (error) {
+            console.error('Error recording saved search run:', error);
+        }
+    }
+
+    /**
+     * Start a batch search: every title is searched in every location as its own queued job.
+     * Each job gets a background tab when its turn comes and closes it when done.
+     */
+    async handleStartBatch(data) {
+        if (![...data.titles, ...data.locations].every(value => typeof value === 'string')) {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'Batch titles and locations must be strings');
+        }
+
+        const count = this.batchStore.expandCombinations(data.titles, data.locations).length;
+        if (count === 0) {
+            throw new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, 'A batch needs at least one job title and one location');
+        }
+        if (count > this.batchStore.maxCombinations) {
+            throw new ProtocolError(
+                PROTOCOL.ERRORS.INVALID_PAYLOAD,
+                `A batch is limited to ${this.batchStore.maxCombinations} searches, got ${count}`
+            );
+        }
+
+        const batch = await this.batchStore.create({
+            name: data.name,
+            titles: data.titles,
+            locations: data.locations,
+            numPages: data.numPages || 1,
+            filters: this.validateSearchFilters(data.filters)
+        });
+
+        for (const combination of batch.combinations) {
+            this.scrapingQueue.add({
+                id: `queued_${batch.id}_${combination.index}`,
+                tabId: null, // Opened by processScrapingQueue when the entry starts
+                scrapingParams: {
+                    jobTitle: combination.jobTitle,
+                    location: combination.location,
+                    numPages: batch.numPages,
+                    filters: batch.filters,
+                    batchId: batch.id,
+                    batchIndex: combination.index,
+                    closeTabWhenDone: true
+                },
+                priority: data.priority ?? 0,
+                timestamp: Date.now()
+            });
+        }
+
+        await this.persistJobTable();
+        await this.processScrapingQueue();
+
+        return { batchId: batch.id, searches: count, queuePaused: this.scrapingQueue.paused };
+    }
+
+    /**
+     * All batches with their overall progress
+     */
+    async getBatches() {
+        const batches = await this.batchStore.getAll();
+        const liveProgress = this.getLiveProgress();
+
+        return batches.map(batch => ({
+            ...batch,
+            progress: this.batchStore.calculateProgress(batch, liveProgress)
+        }));
+    }
+
+    /**
+     * Progress of the running jobs by session ID
+     */
+    getLiveProgress() {
+        return Object.fromEntries(Array.from(this.activeScrapeJobs.values()).map(job => [job.id, job.progress]));
+    }
+
+    /**
+     * Cancel the searches of a batch that have not ended. What finished so far is still merged.
+     */
+    async cancelBatch(batchId) {
+        const batch = await this.batchStore.get(batchId);
+        if (!batch) {
+            throw new ProtocolError(PROTOCOL.ERRORS.NOT_FOUND, `Batch not found: ${batchId}`);
+        }
+
+        // Queued searches go first so that cancelling the running ones finishes the batch
+        const queued = this.scrapingQueue.removeWhere(entry => entry.scrapingParams.batchId === batchId);
+        await this.failQueuedJobs(queued, 'Batch cancelled', 'cancelled');
+
+        const running = Array.from(this.activeScrapeJobs.values()).filter(job => job.params.batchId === batchId);
+        for (const job of running) {
+            await this.cancelScrapeJob(job.tabId);
+        }
+
+        return { cancelled: queued.length + running.length };
+    }
+
+    /**
+     * Record the outcome of a batch search, merging the batch once its last search has ended
+     */
+    async recordBatchRun(params, changes) {
+        try {
+            const { batch, finished } = await this.batchStore.updateCombination(params.batchId, params.batchIndex, changes);
+            if (finished) {
+                await this.finishBatch(batch);
+            }
+        } catch (error) {
+            console.error('Error recording batch search:', error);
+        }
+    }
+
+    /**
+     * Merge the sessions of a finished batch into one deduplicated session stored under the batch ID
+     */
+    async finishBatch(batch) {
+        const sessionKeys = batch.combinations
+            .filter(combination => combination.sessionId)
+            .map(combination => `scraping_result_${combination.sessionId}`);
+        const stored = sessionKeys.length > 0 ? await chrome.storage.local.get(sessionKeys) : {};
+        const sessions = Object.fromEntries(Object.values(stored).map(session => [session.id, session]));
+
+        const jobs = this.batchStore.mergeJobs(batch, sessions);
+        const completed = batch.combinations.filter(combination => combination.status === 'completed').length;
+        let status = 'partial';
+        if (completed === batch.combinations.length) {
+            status = 'completed';
+        } else if (jobs.length === 0) {
+            status = batch.combinations.every(combination => combination.status === 'cancelled') ? 'cancelled' : 'failed';
+        }
+
+        const mergedJob = {
+            id: batch.id,
+            params: {
+                jobTitle: batch.titles.join(' / '),
+                location: batch.locations.join(' / '),
+                numPages: batch.numPages,
+                filters: batch.filters,
+                batchId: batch.id,
+                batchName: batch.name,
+                mergedBatch: true
+            },
+            startTime: batch.createdAt,
+            endTime: Date.now(),
+            status,
+            extractedJobs: jobs,
+            errors: batch.combinations
+                .filter(combination => combination.error)
+                .map(combination => ({
+                    timestamp: Date.now(),
+                    message: `${combination.jobTitle} in ${combination.location}: ${combination.error}`
+                }))
+        };
+
+        if (jobs.length > 0) {
+            await this.saveScrapingResults(mergedJob);
+        }
+
+        await this.batchStore.update(batch.id, {
+            status,
+            finishedAt: mergedJob.endTime,
+            mergedSessionId: jobs.length > 0 ? batch.id : null,
+            totalJobs: batch.combinations.reduce((sum, combination) => sum + combination.jobCount, 0),
+            uniqueJobs: jobs.length
+        });
+
+        if (jobs.length > 0) {
+            await this.notifyJobCompleted(mergedJob);
+        }
+
+        console.log(`Batch ${batch.name} finished: ${jobs.length} unique jobs from ${completed}/${batch.combinations.length} searches`);
+    }
+
+    /**
+     * Notify about the jobs found by a completed scrape: new jobs for saved searches,
+     * all jobs for manual scrapes
+     */
+    async notifyJobCompleted(job) {
+        try {
+            const settings = await this.getSettings();
+            if (settings.notificationsEnabled === false) {
+                return;
+            }
 
-            if (progressData.type === 'complete') {
-                job.status = 'completed';
-                job.endTime = Date.now();
-                job.extractedJobs = progressData.data || [];
+            const listUrl = chrome.runtime.getURL('options/options.html');
+            const summarize = (jobs) => jobs.slice(0, 5).map(jobData => ({
+                jobId: jobData.jobId,
+                jobTitle: jobData.jobTitle,
+                companyName: jobData.companyName,
+                jobUrl: jobData.jobUrl
+            }));
+
+            if (job.params.savedSearchId) {
+                const search = await this.savedSearchStore.get(job.params.savedSearchId);
+                if (!search) {
+                    return;
+                }
 
-                // Save results
-                await this.saveScrapingResults(job);
+                const newJobs = job.extractedJobs.filter(jobData => search.newJobIds.includes(jobData.jobId));
+                await this.notificationManager.notifySearchResults({
+                    searchId: search.id,
+                    searchName: search.name,
+                    newJobCount: newJobs.length,
+                    topJobs: summarize(newJobs),
+                    listUrl: `${listUrl}?savedSearch=${encodeURIComponent(search.id)}`
+                }, search);
 
-                // Send to API if configured
-                await this.sendToAPI(job);
+            } else {
+                await this.notificationManager.notifySearchResults({
+                    searchName: job.params.batchName || `${job.params.jobTitle} in ${job.params.location}`,
+                    newJobCount: job.extractedJobs.length,
+                    topJobs: summarize(job.extractedJobs),
+                    listUrl: `${listUrl}?session=${encodeURIComponent(job.id)}`,
+                    manual: true
+                });
+            }
 
-                // Cleanup
-                this.activeScrapeJobs.delete(tabId);
+        } catch (error) {
+            console.error('Error sending job notification:', error);
+        }
+    }
 
-                // Process queue
-                await this.processScrapingQueue();
+    /**
+     * Send the batched notification digest
+     */
+    async sendNotificationDigest() {
+        const searches = await this.savedSearchStore.getAll();
+        const searchesById = Object.fromEntries(searches.map(search => [search.id, search]));
+        await this.notificationManager.sendDigest(searchesById);
+    }
 
-            } else if (progressData.type === 'error') {
+    /**
+     * Handle progress updates from content script
+     */
+    async handleProgressUpdate(progressData, sender) {
+        const tabId = sender.tab.id;
+        const job = await this.getActiveJob(tabId);
+
+        if (job) {
+            job.lastUpdate = Date.now();
+            job.lastMessage = progressData.message || job.lastMessage;
+
+            if (progressData.type === 'error') {
                 job.errors.push({
                     timestamp: Date.now(),
                     message: progressData.message
                 });
+                await this.persistScrapeState(job);
             }
 
             // Broadcast progress to all extension contexts
@@ -359,41 +1422,147 @@ class LinkedInScrapingManager {
     }
 
     /**
-     * Process scraping queue
+     * Start queued entries while there are free slots. A slot is reserved before the first await,
+     * so calls made while an entry is still starting (opening its tab) do not overfill the limit.
      */
     async processScrapingQueue() {
-        if (this.scrapingQueue.length > 0 && this.activeScrapeJobs.size < this.maxConcurrentScrapes) {
-            const queuedJob = this.scrapingQueue.shift();
-            
+        while (this.activeScrapeJobs.size + this.startingScrapes < this.maxConcurrentScrapes) {
+            const queuedJob = this.scrapingQueue.takeNext();
+            if (!queuedJob) {
+                return;
+            }
+
+            this.startingScrapes++;
+            let tabId = queuedJob.tabId;
             try {
-                await this.startScrapeJob(queuedJob.tabId, queuedJob.scrapingParams);
+                await this.persistJobTable();
+
+                // Batch searches get their background tab once they start
+                if (tabId === null) {
+                    tabId = (await chrome.tabs.create({
+                        url: CONSTANTS.LINKEDIN_BASE_URL + CONSTANTS.JOBS_SEARCH_PATH,
+                        active: false
+                    })).id;
+                }
+                if (this.activeScrapeJobs.has(tabId)) {
+                    throw new Error(`Tab ${tabId} is already scraping`);
+                }
+                await this.startScrapeJob(tabId, queuedJob.scrapingParams);
             } catch (error) {
                 console.error('Error processing queued job:', error);
+                if (queuedJob.tabId === null && tabId !== null) {
+                    await chrome.tabs.remove(tabId).catch(() => {});
+                }
+                await this.failQueuedJobs([queuedJob], error.message);
+            } finally {
+                this.startingScrapes--;
             }
         }
     }
 
+    /**
+     * Running jobs and queued entries in the order they will start
+     */
+    getQueueStatus() {
+        return {
+            paused: this.scrapingQueue.paused,
+            maxConcurrentScrapes: this.maxConcurrentScrapes,
+            running: Array.from(this.activeScrapeJobs.values()).map(job => ({
+                ...this.getJobSummary(job),
+                params: job.params
+            })),
+            queued: this.scrapingQueue.list().map(entry => ({
+                id: entry.id,
+                tabId: entry.tabId,
+                params: entry.scrapingParams,
+                priority: entry.priority,
+                paused: entry.paused,
+                position: entry.position,
+                timestamp: entry.timestamp
+            }))
+        };
+    }
+
+    /**
+     * Pause or resume the whole queue. Running jobs are not affected.
+     */
+    async setQueuePaused(paused) {
+        this.scrapingQueue.paused = paused;
+        await this.persistJobTable();
+
+        if (!paused) {
+            await this.processScrapingQueue();
+        }
+
+        return this.getQueueStatus();
+    }
+
+    /**
+     * Apply a change to a queued entry, then start whatever became runnable
+     */
+    async updateQueuedJob(entryId, change) {
+        if (!change(this.scrapingQueue)) {
+            throw new ProtocolError(PROTOCOL.ERRORS.NOT_FOUND, `Queued job not found: ${entryId}`);
+        }
+
+        await this.persistJobTable();
+        await this.processScrapingQueue();
+        return this.getQueueStatus();
+    }
+
+    /**
+     * Remove a queued entry before it starts
+     */
+    async cancelQueuedJob(entryId) {
+        const entry = this.scrapingQueue.remove(entryId);
+        if (!entry) {
+            throw new ProtocolError(PROTOCOL.ERRORS.NOT_FOUND, `Queued job not found: ${entryId}`);
+        }
+
+        await this.failQueuedJobs([entry], 'Cancelled before the job started', 'cancelled');
+
+        // Tabs opened for unattended runs are no longer needed; batch entries have none yet
+        if (entry.scrapingParams.closeTabWhenDone && entry.tabId !== null) {
+            await chrome.tabs.remove(entry.tabId).catch(() => {});
+        }
+
+        return this.getQueueStatus();
+    }
+
+    /**
+     * Build the status summary of a job shared with extension pages
+     */
+    getJobSummary(job) {
+        return {
+            jobId: job.id,
+            tabId: job.tabId,
+            progress: job.progress,
+            status: job.status,
+            extractedCount: job.extractedJobs.length,
+            message: job.lastMessage
+        };
+    }
+
     /**
      * Broadcast progress to extension contexts
      */
     async broadcastProgress(job) {
-        try {
-            // Send to popup if open
-            chrome.runtime.sendMessage({
-                action: 'SCRAPING_PROGRESS',
-                data: {
-                    jobId: job.id,
-                    tabId: job.tabId,
-                    progress: job.progress,
-                    status: job.status,
-                    extractedCount: job.extractedJobs.length
-                }
-            }).catch(() => {
-                // Popup might not be open, ignore error
-            });
-        } catch (error) {
-            console.error('Error broadcasting progress:', error);
+        const summary = this.getJobSummary(job);
+
+        if (job.params.batchId) {
+            const batch = await this.batchStore.get(job.params.batchId);
+            if (batch) {
+                summary.batchId = batch.id;
+                // A job that just ended has left the job table but is not recorded in the batch yet
+                summary.batchProgress = this.batchStore.calculateProgress(batch, {
+                    ...this.getLiveProgress(),
+                    [job.id]: job.progress
+                });
+            }
         }
+
+        // Send to popup if open
+        await PROTOCOL.broadcast(PROTOCOL.MESSAGES.SCRAPING_PROGRESS, summary);
     }
 
     /**
@@ -443,15 +1612,24 @@ class LinkedInScrapingManager {
                 status: resultData.status
             };
 
+            // A collection saved again (manual captures) replaces its entry
+            const existing = index.findIndex(entry => entry.id === jobId);
+            if (existing !== -1) {
+                index.splice(existing, 1);
+            }
             index.unshift(indexEntry);
 
-            // Keep only recent entries (configurable limit)
+            // Keep only recent entries (configurable limit); manual captures are never dropped
             const maxEntries = 100;
             if (index.length > maxEntries) {
                 const removedEntries = index.splice(maxEntries);
                 
                 // Clean up old result data
                 for (const entry of removedEntries) {
+                    if (entry.id === CONSTANTS.MANUAL_CAPTURES.ID) {
+                        index.push(entry);
+                        continue;
+                    }
                     await chrome.storage.local.remove(`scraping_result_${entry.id}`);
                 }
             }
@@ -569,7 +1747,8 @@ class LinkedInScrapingManager {
                 id: job.id,
                 params: job.params,
                 startTime: job.startTime,
-                status: job.status
+                status: job.status,
+                error: job.error
             });
 
             // Keep only recent 50 entries
@@ -609,68 +1788,6 @@ class LinkedInScrapingManager {
         }
     }
 
-    /**
-     * Export data in various formats
-     */
-    async exportData(format, filters = {}) {
-        try {
-            const data = await this.getScrapedData(filters);
-            let content, filename, mimeType;
-
-            switch (format) {
-                case 'json':
-                    content = JSON.stringify(data.detailed, null, 2);
-                    filename = `linkedin_jobs_${Date.now()}.json`;
-                    mimeType = 'application/json';
-                    break;
-
-                case 'csv':
-                    content = this.convertToCSV(data.detailed);
-                    filename = `linkedin_jobs_${Date.now()}.csv`;
-                    mimeType = 'text/csv';
-                    break;
-
-                default:
-                    throw new Error('Unsupported export format');
-            }
-
-            // Create download
-            const blob = new Blob([content], { type: mimeType });
-            const url = URL.createObjectURL(blob);
-
-            await chrome.downloads.download({
-                url: url,
-                filename: filename,
-                saveAs: true
-            });
-
-        } catch (error) {
-            console.error('Error exporting data:', error);
-        }
-    }
-
-    /**
-     * Convert data to CSV format
-     */
-    convertToCSV(data) {
-        if (!data.length) return '';
-
-        const allJobs = data.flatMap(session => session.jobs || []);
-        if (!allJobs.length) return '';
-
-        const headers = Object.keys(allJobs[0]);
-        const csvContent = [
-            headers.join(','),
-            ...allJobs.map(job => 
-                headers.map(header => 
-                    `"${(job[header] || '').toString().replace(/"/g, '""')}"`
-                ).join(',')
-            )
-        ].join('\n');
-
-        return csvContent;
-    }
-
     /**
      * Delete scraped data
      */
@@ -739,6 +1856,9 @@ class LinkedInScrapingManager {
             this.maxConcurrentScrapes = updatedSettings.maxConcurrentScrapes || 2;
             this.apiEndpoint = updatedSettings.apiEndpoint;
 
+            // Apply changed task cadences
+            await this.taskScheduler.schedule(updatedSettings);
+
         } catch (error) {
             console.error('Error updating settings:', error);
         }
@@ -758,18 +1878,54 @@ class LinkedInScrapingManager {
     }
 
     /**
-     * Schedule periodic maintenance tasks
+     * Register periodic maintenance tasks with the alarm-based scheduler
      */
     schedulePeriodicTasks() {
-        // Clean up old data every hour
-        setInterval(() => {
-            this.cleanupOldData();
-        }, 60 * 60 * 1000);
+        // Clean up old data, hourly by default
+        this.taskScheduler.register('cleanupOldData', {
+            handler: () => this.cleanupOldData(),
+            settingKey: 'cleanupIntervalMinutes',
+            defaultMinutes: 60
+        });
+
+        // Start saved searches whose interval has elapsed, checked every 15 minutes by default
+        this.taskScheduler.register('runSavedSearches', {
+            handler: () => this.runDueSavedSearches(),
+            settingKey: 'savedSearchCheckIntervalMinutes',
+            defaultMinutes: 15
+        });
+
+        // Send batched new-job notifications, hourly by default
+        this.taskScheduler.register('sendNotificationDigest', {
+            handler: () => this.sendNotificationDigest(),
+            settingKey: 'notificationDigestIntervalMinutes',
+            defaultMinutes: 60
+        });
 
-        // Check for stale scraping jobs every 5 minutes
-        setInterval(() => {
-            this.checkStaleJobs();
-        }, 5 * 60 * 1000);
+        // Check for stale scraping jobs, every 5 minutes by default
+        this.taskScheduler.register('checkStaleJobs', {
+            handler: () => this.checkStaleJobs(),
+            settingKey: 'staleJobCheckIntervalMinutes',
+            defaultMinutes: 5
+        });
+
+        // Check storage quota, every 6 hours by default
+        this.taskScheduler.register('checkStorageQuota', {
+            handler: () => this.storageManager.checkStorageQuota(),
+            settingKey: 'storageQuotaCheckIntervalMinutes',
+            defaultMinutes: 6 * 60
+        });
+
+        // Alarms can wake the service worker, run tasks only once jobs are restored
+        this.taskScheduler.listen(() => this.ready);
+    }
+
+    /**
+     * Create or update task alarms from the current settings
+     */
+    async rescheduleTasks() {
+        const settings = await this.getSettings();
+        await this.taskScheduler.schedule(settings);
     }
 
     /**
@@ -788,7 +1944,8 @@ class LinkedInScrapingManager {
             const expiredIds = [];
 
             for (const entry of index) {
-                if (entry.timestamp > cutoffTime) {
+                // Jobs saved by hand stay until they are deleted
+                if (entry.timestamp > cutoffTime || entry.id === CONSTANTS.MANUAL_CAPTURES.ID) {
                     validEntries.push(entry);
                 } else {
                     expiredIds.push(entry.id);
@@ -816,21 +1973,21 @@ class LinkedInScrapingManager {
         const staleTime = 30 * 60 * 1000; // 30 minutes
         const currentTime = Date.now();
 
-        for (const [tabId, job] of this.activeScrapeJobs) {
-            if (currentTime - job.lastUpdate > staleTime) {
-                console.log(`Detected stale job in tab ${tabId}, cleaning up...`);
-                
-                job.status = 'timeout';
-                job.endTime = currentTime;
-                job.errors.push({
-                    timestamp: currentTime,
-                    message: 'Job timed out due to inactivity'
-                });
+        const staleJobs = Array.from(this.activeScrapeJobs.values())
+            .filter(job => currentTime - job.lastUpdate > staleTime);
+        if (staleJobs.length === 0) {
+            return;
+        }
 
-                await this.updateScrapingHistory(job);
-                this.activeScrapeJobs.delete(tabId);
-            }
+        for (const job of staleJobs) {
+            console.log(`Detected stale job in tab ${job.tabId}, cleaning up...`);
+            await this.failScrapeJob(job, 'Job timed out due to inactivity', 'timeout');
         }
+
+        await this.persistJobTable();
+
+        // The freed slots go to queued jobs
+        await this.processScrapingQueue();
     }
 }
 
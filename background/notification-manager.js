@@ -0,0 +1,233 @@
+// background/notification-manager.js
+// Purpose: Desktop notifications for new jobs, with per-search quiet hours and digest batching
+
+class NotificationManager {
+    constructor() {
+        this.digestStorageKey = 'notificationDigest';
+        this.targetsStorageKey = 'notificationTargets';
+        this.maxTargets = 20; // Click targets kept for recent notifications
+        this.maxListedJobs = 3;
+        this.iconUrl = chrome.runtime.getURL('popup/icons/icon128.png');
+        this.writes = Promise.resolve(); // Serializes read-modify-write updates of the digest and click targets
+    }
+
+    /**
+     * Listen for notification clicks. Must be called synchronously while the service worker starts.
+     */
+    listen() {
+        chrome.notifications.onClicked.addListener((notificationId) => {
+            this.openTarget(notificationId, 'listUrl');
+        });
+
+        chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+            this.openTarget(notificationId, buttonIndex === 0 ? 'listUrl' : 'topJobUrl');
+        });
+    }
+
+    /**
+     * Notify about the results of a search run.
+     * entry: { searchId, searchName, newJobCount, topJobs, listUrl, manual }
+     * search: the saved search the run belongs to, if any (notificationMode, quietHours)
+     */
+    async notifySearchResults(entry, search = null) {
+        if (entry.newJobCount === 0) {
+            return;
+        }
+
+        const mode = search?.notificationMode || 'instant';
+        if (mode === 'off') {
+            return;
+        }
+
+        // Digest searches and searches in their quiet hours are batched for later
+        if (mode === 'digest' || this.isWithinQuietHours(search?.quietHours)) {
+            await this.addToDigest(entry);
+            return;
+        }
+
+        const title = entry.manual
+            ? `Scraped ${entry.newJobCount} jobs: ${entry.searchName}`
+            : `${entry.newJobCount} new jobs: ${entry.searchName}`;
+
+        await this.show({
+            title,
+            message: this.formatJobLines(entry.topJobs),
+            listUrl: entry.listUrl,
+            topJobUrl: entry.topJobs[0]?.jobUrl
+        });
+    }
+
+    /**
+     * Queue an entry for the next digest
+     */
+    async addToDigest(entry) {
+        await this.write(this.digestStorageKey, [], digest => {
+            digest.push({ ...entry, createdAt: Date.now() });
+        });
+    }
+
+    /**
+     * Send one notification summarising all queued entries.
+     * Entries of searches still in their quiet hours stay queued.
+     * searches: saved searches by ID, used to look up quiet hours
+     */
+    async sendDigest(searches = {}) {
+        // Take the ready entries out of the digest; entries queued meanwhile wait for the next one
+        const { ready, held } = await this.write(this.digestStorageKey, [], digest => {
+            const ready = [];
+            const held = [];
+            for (const entry of digest) {
+                const search = searches[entry.searchId];
+                if (this.isWithinQuietHours(search?.quietHours)) {
+                    held.push(entry);
+                } else {
+                    ready.push(entry);
+                }
+            }
+            digest.splice(0, digest.length, ...held);
+            return { ready, held };
+        });
+
+        if (ready.length === 0) {
+            return { sent: 0, held: held.length };
+        }
+
+        // Merge several runs of the same search into one line
+        const bySearch = new Map();
+        for (const entry of ready) {
+            const key = entry.searchId || entry.searchName;
+            const merged = bySearch.get(key) || { ...entry, newJobCount: 0, topJobs: [] };
+            merged.newJobCount += entry.newJobCount;
+            merged.topJobs = merged.topJobs.concat(entry.topJobs).slice(0, this.maxListedJobs);
+            bySearch.set(key, merged);
+        }
+
+        const entries = Array.from(bySearch.values());
+        const total = entries.reduce((sum, entry) => sum + entry.newJobCount, 0);
+        const topJob = entries.flatMap(entry => entry.topJobs)[0];
+
+        await this.show({
+            title: `${total} new jobs across ${entries.length} ${entries.length === 1 ? 'search' : 'searches'}`,
+            message: entries.map(entry => `${entry.searchName}: ${entry.newJobCount} new`).join('\n'),
+            listUrl: entries.length === 1 ? entries[0].listUrl : chrome.runtime.getURL('options/options.html'),
+            topJobUrl: topJob?.jobUrl
+        });
+
+        return { sent: ready.length, held: held.length };
+    }
+
+    /**
+     * Check whether a time falls within quiet hours ({ start: 'HH:MM', end: 'HH:MM' }).
+     * Ranges may wrap around midnight, e.g. 22:00 - 07:00.
+     */
+    isWithinQuietHours(quietHours, date = new Date()) {
+        if (!quietHours || !quietHours.start || !quietHours.end) {
+            return false;
+        }
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        };
+
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+        const now = date.getHours() * 60 + date.getMinutes();
+
+        if (start === end) {
+            return false;
+        }
+
+        return start < end
+            ? now >= start && now < end
+            : now >= start || now < end;
+    }
+
+    /**
+     * Format the top jobs as notification lines
+     */
+    formatJobLines(jobs) {
+        return jobs
+            .slice(0, this.maxListedJobs)
+            .map(job => `${job.jobTitle} at ${job.companyName}`)
+            .join('\n');
+    }
+
+    /**
+     * Create a notification and remember where its buttons lead
+     */
+    async show({ title, message, listUrl, topJobUrl }) {
+        try {
+            const buttons = [{ title: 'View jobs' }];
+            if (topJobUrl && topJobUrl !== 'N/A') {
+                buttons.push({ title: 'Open top match' });
+            }
+
+            const notificationId = await chrome.notifications.create({
+                type: 'basic',
+                iconUrl: this.iconUrl,
+                title,
+                message: message || title,
+                buttons
+            });
+
+            await this.saveTarget(notificationId, { listUrl, topJobUrl });
+            return notificationId;
+
+        } catch (error) {
+            console.error('Error showing notification:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store click targets so they work after a service worker restart
+     */
+    async saveTarget(notificationId, target) {
+        await this.write(this.targetsStorageKey, {}, targets => {
+            targets[notificationId] = { ...target, createdAt: Date.now() };
+
+            // Keep only the most recent targets
+            const ids = Object.keys(targets).sort((a, b) => targets[b].createdAt - targets[a].createdAt);
+            for (const id of ids.slice(this.maxTargets)) {
+                delete targets[id];
+            }
+        });
+    }
+
+    /**
+     * Apply a change to a stored value (fallback when unset) once the writes before it are done;
+     * resolves with what change returns
+     */
+    write(storageKey, fallback, change) {
+        const run = this.writes.then(async () => {
+            const result = await chrome.storage.local.get([storageKey]);
+            const value = result[storageKey] || fallback;
+            const returned = change(value);
+            await chrome.storage.local.set({ [storageKey]: value });
+            return returned;
+        });
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Open the job list or top match of a notification
+     */
+    async openTarget(notificationId, field) {
+        try {
+            const result = await chrome.storage.local.get([this.targetsStorageKey]);
+            const target = (result[this.targetsStorageKey] || {})[notificationId];
+            const url = target?.[field];
+
+            if (url && url !== 'N/A') {
+                await chrome.tabs.create({ url });
+            }
+
+            await chrome.notifications.clear(notificationId);
+
+        } catch (error) {
+            console.error('Error opening notification target:', error);
+        }
+    }
+}
@@ -0,0 +1,155 @@
+// background/saved-searches.js
+// Purpose: Storage for named saved searches that the background re-runs on a schedule
+
+class SavedSearchStore {
+    constructor() {
+        this.storageKey = 'savedSearches';
+        this.defaultIntervalMinutes = 24 * 60; // Daily
+        this.minIntervalMinutes = 60;
+        this.maxIntervalMinutes = 30 * 24 * 60;
+        this.notificationModes = ['instant', 'digest', 'off'];
+        this.writes = Promise.resolve(); // Serializes read-modify-write updates of the search list
+    }
+
+    /**
+     * Get all saved searches
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return result[this.storageKey] || [];
+    }
+
+    /**
+     * Get a saved search by ID
+     */
+    async get(searchId) {
+        const searches = await this.getAll();
+        return searches.find(search => search.id === searchId) || null;
+    }
+
+    /**
+     * Create or update a saved search. Run bookkeeping is kept when updating.
+     */
+    async save(searchData) {
+        return this.write(searches => {
+            const existingIndex = searches.findIndex(search => search.id === searchData.id);
+            const existing = existingIndex !== -1 ? searches[existingIndex] : null;
+
+            const search = {
+                // Run bookkeeping
+                lastRunAt: null,
+                lastRunStatus: null,
+                lastSessionId: null,
+                newJobIds: [],
+                totalJobCount: 0,
+                createdAt: Date.now(),
+                ...existing,
+                // Editable fields
+                id: searchData.id || `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name: (searchData.name || `${searchData.jobTitle} in ${searchData.location}`).trim(),
+                jobTitle: searchData.jobTitle.trim(),
+                location: searchData.location.trim(),
+                numPages: searchData.numPages || existing?.numPages || 1,
+                filters: searchData.filters || existing?.filters || {},
+                intervalMinutes: searchData.intervalMinutes || existing?.intervalMinutes || this.defaultIntervalMinutes,
+                enabled: searchData.enabled !== undefined ? searchData.enabled : (existing ? existing.enabled : true),
+                // 'instant', 'digest' or 'off'
+                notificationMode: searchData.notificationMode || existing?.notificationMode || 'instant',
+                // { start: 'HH:MM', end: 'HH:MM' } or null
+                quietHours: searchData.quietHours !== undefined ? searchData.quietHours : (existing?.quietHours || null),
+                updatedAt: Date.now()
+            };
+
+            if (existing) {
+                searches[existingIndex] = search;
+            } else {
+                searches.push(search);
+            }
+            return search;
+        });
+    }
+
+    /**
+     * Delete a saved search
+     */
+    async delete(searchId) {
+        return this.write(searches => {
+            const index = searches.findIndex(search => search.id === searchId);
+            if (index === -1) {
+                return false;
+            }
+            searches.splice(index, 1);
+            return true;
+        });
+    }
+
+    /**
+     * Merge run bookkeeping into a saved search
+     */
+    async update(searchId, changes) {
+        return this.write(searches => {
+            const search = searches.find(entry => entry.id === searchId);
+            if (search) {
+                Object.assign(search, changes);
+            }
+            return search || null;
+        });
+    }
+
+    /**
+     * Apply a change to the stored search list once the writes before it are done; resolves with
+     * what change returns. Alarm runs, finished jobs and the popup all update saved searches.
+     */
+    write(change) {
+        const run = this.writes.then(async () => {
+            const searches = await this.getAll();
+            const result = change(searches);
+            await chrome.storage.local.set({ [this.storageKey]: searches });
+            return result;
+        });
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Check whether a saved search should run now
+     */
+    isDue(search, now = Date.now()) {
+        if (!search.enabled || search.lastRunStatus === 'running') {
+            return false;
+        }
+
+        if (!search.lastRunAt) {
+            return true;
+        }
+
+        return now - search.lastRunAt >= search.intervalMinutes * 60 * 1000;
+    }
+
+    /**
+     * Collect the job IDs stored by earlier sessions of a saved search, using the scraping index
+     */
+    async getStoredJobIds(searchId, excludeSessionId = null) {
+        const result = await chrome.storage.local.get(['scrapingIndex']);
+        const index = result.scrapingIndex || [];
+        const sessionKeys = index
+            .filter(entry => entry.params?.savedSearchId === searchId && entry.id !== excludeSessionId)
+            .map(entry => `scraping_result_${entry.id}`);
+
+        const jobIds = new Set();
+        if (sessionKeys.length === 0) {
+            return jobIds;
+        }
+
+        const sessions = await chrome.storage.local.get(sessionKeys);
+        for (const session of Object.values(sessions)) {
+            for (const job of session.jobs || []) {
+                if (job.jobId && job.jobId !== 'N/A') {
+                    jobIds.add(job.jobId);
+                }
+            }
+        }
+
+        return jobIds;
+    }
+}
@@ -0,0 +1,224 @@
+// background/scrape-batches.js
+// Purpose: Storage for batch searches: a list of job titles crossed with a list of locations, scraped
+// as one queued job per combination and merged into a single deduplicated session at the end
+
+class BatchStore {
+    constructor() {
+        this.storageKey = 'scrapeBatches';
+        this.maxCombinations = 50;
+        this.maxBatches = 20; // Finished batches kept for the batch list
+        this.writes = Promise.resolve(); // Serializes read-modify-write updates of the batch list
+    }
+
+    /**
+     * Get all batches, newest first
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return result[this.storageKey] || [];
+    }
+
+    /**
+     * Get a batch by ID
+     */
+    async get(batchId) {
+        const batches = await this.getAll();
+        return batches.find(batch => batch.id === batchId) || null;
+    }
+
+    /**
+     * Create a batch with one queued combination per title and location.
+     * Blank and repeated titles and locations are dropped.
+     */
+    async create({ name, titles, locations, numPages = 1, filters = {} }) {
+        const combinations = this.expandCombinations(titles, locations);
+        titles = [...new Set(combinations.map(combination => combination.jobTitle))];
+        locations = [...new Set(combinations.map(combination => combination.location))];
+
+        const batch = {
+            id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: (name || `${titles.join(' / ')} in ${locations.join(' / ')}`).trim(),
+            titles,
+            locations,
+            numPages,
+            filters,
+            status: 'running',
+            createdAt: Date.now(),
+            finishedAt: null,
+            combinations: combinations.map((combination, index) => ({
+                index,
+                ...combination,
+                status: 'queued',
+                sessionId: null,
+                jobCount: 0,
+                error: null
+            })),
+            mergedSessionId: null,
+            totalJobs: 0,
+            uniqueJobs: 0
+        };
+
+        await this.write(batches => {
+            batches.unshift(batch);
+            // Drop the oldest ended batches beyond the limit; their sessions stay in the scraping index
+            for (let i = batches.length - 1; i >= 0 && batches.length > this.maxBatches; i--) {
+                if (!this.isActive(batches[i])) {
+                    batches.splice(i, 1);
+                }
+            }
+        });
+        return batch;
+    }
+
+    /**
+     * Merge changes into a batch
+     */
+    async update(batchId, changes) {
+        let updated = null;
+        await this.write(batches => {
+            updated = batches.find(batch => batch.id === batchId) || null;
+            if (updated) {
+                Object.assign(updated, changes);
+            }
+        });
+        return updated;
+    }
+
+    /**
+     * Merge changes into one combination of a batch. finished is true for the update that moved
+     * the last combination out of 'queued' and 'running'; the batch is then marked 'merging'.
+     */
+    async updateCombination(batchId, index, changes) {
+        let result = { batch: null, finished: false };
+        await this.write(batches => {
+            const batch = batches.find(entry => entry.id === batchId);
+            const combination = batch?.combinations[index];
+            if (!combination) {
+                return;
+            }
+
+            Object.assign(combination, changes);
+            const finished = batch.status === 'running' && this.isFinished(batch);
+            if (finished) {
+                batch.status = 'merging';
+            }
+            result = { batch, finished };
+        });
+        return result;
+    }
+
+    /**
+     * Delete a batch record. Its sessions are kept.
+     */
+    async delete(batchId) {
+        let deleted = false;
+        await this.write(batches => {
+            const index = batches.findIndex(batch => batch.id === batchId);
+            if (index !== -1) {
+                batches.splice(index, 1);
+                deleted = true;
+            }
+        });
+        return deleted;
+    }
+
+    /**
+     * Apply a change to the stored batch list once the writes before it are done
+     */
+    write(change) {
+        const run = this.writes.then(async () => {
+            const batches = await this.getAll();
+            change(batches);
+            await chrome.storage.local.set({ [this.storageKey]: batches });
+        });
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Cross titles with locations, ignoring blanks and repeated entries
+     */
+    expandCombinations(titles, locations) {
+        const unique = (values) => [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+        const combinations = [];
+
+        for (const jobTitle of unique(titles)) {
+            for (const location of unique(locations)) {
+                combinations.push({ jobTitle, location });
+            }
+        }
+
+        return combinations;
+    }
+
+    /**
+     * Check whether a batch still has combinations to run or results to merge
+     */
+    isActive(batch) {
+        return batch.status === 'running' || batch.status === 'merging';
+    }
+
+    /**
+     * Check whether every combination of a batch has ended
+     */
+    isFinished(batch) {
+        return batch.combinations.every(combination =>
+            combination.status !== 'queued' && combination.status !== 'running');
+    }
+
+    /**
+     * Overall progress of a batch in percent. Ended combinations count as done; running ones
+     * use the live progress of their job, keyed by session ID.
+     */
+    calculateProgress(batch, liveProgress = {}) {
+        if (batch.combinations.length === 0) {
+            return 100;
+        }
+
+        const total = batch.combinations.reduce((sum, combination) => {
+            if (combination.status === 'queued') {
+                return sum;
+            }
+            if (combination.status === 'running') {
+                return sum + (liveProgress[combination.sessionId] || 0);
+            }
+            return sum + 100;
+        }, 0);
+
+        return Math.round(total / batch.combinations.length);
+    }
+
+    /**
+     * Merge the jobs of a batch's sessions (session ID -> stored session) into one list, keeping
+     * the first copy of each job. batchSearches lists every combination that found the job.
+     * Copies whose details could not be fetched give way to a later copy that has them.
+     */
+    mergeJobs(batch, sessions) {
+        const merged = new Map();
+
+        for (const combination of batch.combinations) {
+            const session = sessions[combination.sessionId];
+            const search = `${combination.jobTitle} in ${combination.location}`;
+
+            for (const job of session?.jobs || []) {
+                // Jobs without an ID or URL cannot be matched and are all kept
+                const key = [job.jobId, job.jobUrl].find(value => value && value !== 'N/A');
+                const existing = key ? merged.get(key) : null;
+
+                if (!existing) {
+                    merged.set(key || Symbol('unidentified'), { ...job, batchSearches: [search] });
+                    continue;
+                }
+
+                const batchSearches = existing.batchSearches.includes(search)
+                    ? existing.batchSearches
+                    : [...existing.batchSearches, search];
+                merged.set(key, existing.detailsError && !job.detailsError
+                    ? { ...job, batchSearches }
+                    : { ...existing, batchSearches });
+            }
+        }
+
+        return Array.from(merged.values());
+    }
+}
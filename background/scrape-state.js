@@ -0,0 +1,294 @@
+// background/scrape-state.js
+// Purpose: Resumable scrape state machine owned by the background.
+// The content script is destroyed on every navigation, so all progress of a scrape
+// (phase, current page, collected job ids, pending detail fetches) lives on the job
+// object kept by LinkedInScrapingManager and is persisted after each transition.
+
+const SCRAPE_STATE = {
+    PHASES: {
+        NAVIGATING: 'navigating',   // Tab is loading the search page for currentPage
+        COLLECTING: 'collecting',   // Content script is extracting job cards from currentPage
+        DETAILS: 'details',         // Content script is fetching details for pendingDetails
+        COMPLETED: 'completed',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled'
+    },
+
+    // Allowed phase transitions
+    TRANSITIONS: {
+        navigating: ['collecting', 'failed', 'cancelled'],
+        collecting: ['navigating', 'details', 'completed', 'failed', 'cancelled'],
+        details: ['completed', 'failed', 'cancelled'],
+        completed: [],
+        failed: [],
+        cancelled: []
+    },
+
+    JOBS_PER_PAGE: 25, // LinkedIn shows 25 jobs per page
+
+    // How a scrape finds its results: a search URL built from its params, or the search open in the tab
+    MODES: {
+        SEARCH: 'search',
+        CURRENT_PAGE: 'current-page'
+    },
+
+    /**
+     * Initial state fields for a new scraping job
+     */
+    createState(params) {
+        return {
+            phase: SCRAPE_STATE.PHASES.NAVIGATING,
+            currentPage: 0,
+            totalPages: Math.max(1, params.numPages || 5),
+            collectedJobIds: [],
+            pendingDetails: [],
+            detailsTotal: 0,
+            detailsFailed: 0
+        };
+    },
+
+    /**
+     * Move a job to a new phase, rejecting transitions the machine does not allow
+     */
+    transition(job, phase) {
+        const allowed = SCRAPE_STATE.TRANSITIONS[job.phase] || [];
+        if (!allowed.includes(phase)) {
+            throw new Error(`Invalid scrape transition: ${job.phase} -> ${phase}`);
+        }
+        job.phase = phase;
+        job.lastUpdate = Date.now();
+    },
+
+    /**
+     * Check whether a phase is final
+     */
+    isTerminal(phase) {
+        return SCRAPE_STATE.TRANSITIONS[phase]?.length === 0;
+    },
+
+    /**
+     * Build the LinkedIn search URL for a page of results
+     */
+    buildSearchUrl(params, page = 0) {
+        const url = new URL(CONSTANTS.JOBS_SEARCH_PATH, CONSTANTS.LINKEDIN_BASE_URL);
+        url.searchParams.set('keywords', params.jobTitle);
+        url.searchParams.set('location', params.location);
+
+        for (const [name, filter] of Object.entries(CONSTANTS.SEARCH_FILTERS)) {
+            const values = [].concat(params.filters?.[name] || [])
+                .map(value => filter.values[value])
+                .filter(Boolean);
+            if (values.length > 0) {
+                url.searchParams.set(filter.param, values.join(','));
+            }
+        }
+
+        if (page > 0) {
+            url.searchParams.set('start', (page * SCRAPE_STATE.JOBS_PER_PAGE).toString());
+        }
+
+        return url.toString();
+    },
+
+    /**
+     * Params of a "current page" scrape for the search results open at a URL, or null when the URL
+     * is not a LinkedIn job search. Title and location are only read for display; the URL keeps every filter.
+     */
+    currentPageParams(url, numPages) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        if (!/(^|\.)linkedin\.com$/.test(parsed.hostname) || !/^\/jobs\/(search|collections)\b/.test(parsed.pathname)) {
+            return null;
+        }
+
+        return {
+            mode: SCRAPE_STATE.MODES.CURRENT_PAGE,
+            searchUrl: url,
+            jobTitle: parsed.searchParams.get('keywords') || 'Current search',
+            location: parsed.searchParams.get('location') || '',
+            numPages,
+            filters: SCRAPE_STATE.parseSearchFilters(url)
+        };
+    },
+
+    /**
+     * Filters of a LinkedIn search URL, the reverse of buildSearchUrl.
+     * Parameter values the extension has no name for (e.g. f_TPR=r3600) are left out.
+     */
+    parseSearchFilters(url) {
+        const { searchParams } = new URL(url);
+        const filters = {};
+
+        for (const [name, filter] of Object.entries(CONSTANTS.SEARCH_FILTERS)) {
+            const codes = (searchParams.get(filter.param) || '').split(',');
+            const values = Object.keys(filter.values).filter(value => codes.includes(filter.values[value]));
+            if (values.length > 0) {
+                filters[name] = filter.multiple ? values : values[0];
+            }
+        }
+
+        return filters;
+    },
+
+    /**
+     * Search filters in the form they are recorded in a session's params: empty filters dropped,
+     * values as strings, a list for filters that take several values and a single value otherwise.
+     * Run findUnsupportedFilters on the result; extra values of single-value filters are kept for it to reject.
+     */
+    normalizeFilters(filters = {}) {
+        const normalized = {};
+        for (const [name, value] of Object.entries(filters || {})) {
+            const values = [].concat(value)
+                .filter(entry => entry !== null && entry !== undefined && entry !== '')
+                .map(String);
+            if (values.length > 0) {
+                normalized[name] = values.length > 1 || CONSTANTS.SEARCH_FILTERS[name]?.multiple ? values : values[0];
+            }
+        }
+        return normalized;
+    },
+
+    /**
+     * Search filter values LinkedIn has no URL parameter for, as "name=value" strings
+     */
+    findUnsupportedFilters(filters = {}) {
+        const unsupported = [];
+        for (const [name, value] of Object.entries(filters || {})) {
+            const filter = CONSTANTS.SEARCH_FILTERS[name];
+            const values = [].concat(value);
+            if (filter && !filter.multiple && values.length > 1) {
+                unsupported.push(`${name}=${values.join(',')} (takes one value)`);
+                continue;
+            }
+            for (const entry of values) {
+                if (!filter || !(entry in filter.values)) {
+                    unsupported.push(`${name}=${entry}`);
+                }
+            }
+        }
+        return unsupported;
+    },
+
+    /**
+     * Record the job cards collected on a page.
+     * Returns the number of jobs that were not seen on an earlier page.
+     */
+    recordPage(job, jobs) {
+        let added = 0;
+
+        for (const jobData of jobs) {
+            if (job.collectedJobIds.includes(jobData.jobId)) {
+                continue;
+            }
+            job.collectedJobIds.push(jobData.jobId);
+            job.extractedJobs.push(jobData);
+            added++;
+        }
+
+        job.lastUpdate = Date.now();
+        return added;
+    },
+
+    /**
+     * Queue detail fetches for every collected job with a usable URL
+     */
+    queueDetails(job) {
+        job.pendingDetails = job.extractedJobs
+            .filter(jobData => jobData.jobUrl && jobData.jobUrl !== 'N/A')
+            .map(jobData => jobData.jobId);
+        job.detailsTotal = job.pendingDetails.length;
+    },
+
+    /**
+     * Merge fetched details into a collected job and drop it from the pending list.
+     * Fields the detail page lacks keep the value read from the search card.
+     */
+    recordDetails(job, jobId, details) {
+        const jobData = job.extractedJobs.find(entry => entry.jobId === jobId);
+        if (jobData) {
+            for (const [key, value] of Object.entries(details)) {
+                const missing = value === 'N/A' || value === null || value === undefined ||
+                    (Array.isArray(value) && value.length === 0);
+                if (missing && key in jobData) {
+                    continue;
+                }
+                jobData[key] = value;
+            }
+        }
+
+        job.pendingDetails = job.pendingDetails.filter(id => id !== jobId);
+        job.lastUpdate = Date.now();
+    },
+
+    /**
+     * Record a detail fetch that failed and drop the job from the pending list.
+     * The collected job keeps its card data and notes the failure in detailsError.
+     */
+    recordDetailsFailure(job, jobId, error) {
+        const jobData = job.extractedJobs.find(entry => entry.jobId === jobId);
+        if (jobData) {
+            jobData.detailsError = error;
+        }
+
+        job.errors.push({ timestamp: Date.now(), jobId, message: `Details for job ${jobId}: ${error}` });
+        job.detailsFailed = (job.detailsFailed || 0) + 1;
+        job.pendingDetails = job.pendingDetails.filter(id => id !== jobId);
+        job.lastUpdate = Date.now();
+    },
+
+    /**
+     * Work the content script should do next for a job
+     */
+    nextStep(job) {
+        const { PHASES } = SCRAPE_STATE;
+        const COMMANDS = PROTOCOL.SCRAPE_COMMANDS;
+
+        switch (job.phase) {
+            case PHASES.NAVIGATING:
+            case PHASES.COLLECTING:
+                return {
+                    command: COMMANDS.COLLECT_PAGE,
+                    page: job.currentPage,
+                    totalPages: job.totalPages,
+                    followPagination: job.params.mode === SCRAPE_STATE.MODES.CURRENT_PAGE
+                };
+
+            case PHASES.DETAILS:
+                return {
+                    command: COMMANDS.FETCH_DETAILS,
+                    jobs: job.extractedJobs
+                        .filter(jobData => job.pendingDetails.includes(jobData.jobId))
+                        .map(jobData => ({ jobId: jobData.jobId, jobUrl: jobData.jobUrl })),
+                    captureContacts: job.captureContacts !== false,
+                    detailFetch: job.detailFetch || {}
+                };
+
+            default:
+                return { command: COMMANDS.IDLE };
+        }
+    },
+
+    /**
+     * Overall progress percentage: first half for listings, second half for details
+     */
+    calculateProgress(job) {
+        const { PHASES } = SCRAPE_STATE;
+
+        if (job.phase === PHASES.COMPLETED) {
+            return 100;
+        }
+
+        if (job.phase === PHASES.DETAILS) {
+            const total = job.detailsTotal || 1;
+            const done = total - job.pendingDetails.length;
+            return 50 + Math.round((done / total) * 50);
+        }
+
+        return Math.round((job.currentPage / job.totalPages) * 50);
+    }
+};
@@ -0,0 +1,137 @@
+// background/scraping-queue.js
+// Purpose: Prioritised queue of scraping jobs waiting for a free slot.
+// Entries are kept sorted by priority (highest first); equal priorities keep their order.
+
+class ScrapingQueue {
+    constructor(entries = [], paused = false) {
+        this.entries = entries.map(entry => ({ priority: 0, paused: false, ...entry }));
+        this.paused = paused; // Whole queue paused: nothing starts until resumed
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Add an entry and return its 1-based position
+     */
+    add(entry) {
+        this.entries.push({ priority: 0, paused: false, ...entry });
+        this.sort();
+        return this.entries.indexOf(this.find(entry.id)) + 1;
+    }
+
+    /**
+     * Remove and return the next entry allowed to start, or null
+     */
+    takeNext() {
+        if (this.paused) {
+            return null;
+        }
+
+        const index = this.entries.findIndex(entry => !entry.paused);
+        if (index === -1) {
+            return null;
+        }
+
+        return this.entries.splice(index, 1)[0];
+    }
+
+    /**
+     * Check whether an entry could start right now
+     */
+    hasRunnable() {
+        return !this.paused && this.entries.some(entry => !entry.paused);
+    }
+
+    find(entryId) {
+        return this.entries.find(entry => entry.id === entryId) || null;
+    }
+
+    /**
+     * Remove an entry by ID and return it, or null
+     */
+    remove(entryId) {
+        const index = this.entries.findIndex(entry => entry.id === entryId);
+        return index === -1 ? null : this.entries.splice(index, 1)[0];
+    }
+
+    /**
+     * Remove and return all entries matching a predicate
+     */
+    removeWhere(predicate) {
+        const removed = this.entries.filter(predicate);
+        this.entries = this.entries.filter(entry => !predicate(entry));
+        return removed;
+    }
+
+    /**
+     * Pause or resume a single entry
+     */
+    setEntryPaused(entryId, paused) {
+        const entry = this.find(entryId);
+        if (entry) {
+            entry.paused = paused;
+        }
+        return entry;
+    }
+
+    /**
+     * Change the priority of an entry (higher starts first)
+     */
+    setPriority(entryId, priority) {
+        const entry = this.find(entryId);
+        if (entry) {
+            entry.priority = priority;
+            this.sort();
+        }
+        return entry;
+    }
+
+    /**
+     * Move an entry to a 0-based position. The entry takes the priority of the last
+     * entry it moved past so the new order survives later sorting.
+     */
+    move(entryId, position) {
+        const index = this.entries.findIndex(entry => entry.id === entryId);
+        if (index === -1) {
+            return null;
+        }
+
+        const [entry] = this.entries.splice(index, 1);
+        const target = Math.max(0, Math.min(position, this.entries.length));
+        const neighbour = target < index ? this.entries[target] : this.entries[target - 1];
+        if (neighbour) {
+            entry.priority = neighbour.priority;
+        }
+
+        this.entries.splice(target, 0, entry);
+        return entry;
+    }
+
+    /**
+     * Entries with their positions, for display
+     */
+    list() {
+        return this.entries.map((entry, index) => ({ ...entry, position: index + 1 }));
+    }
+
+    sort() {
+        // Array.prototype.sort is stable, so equal priorities keep their order
+        this.entries.sort((a, b) => b.priority - a.priority);
+    }
+
+    toJSON() {
+        return { entries: this.entries, paused: this.paused };
+    }
+
+    /**
+     * Restore a queue from its JSON form (or a plain array saved by older versions)
+     */
+    static restore(data) {
+        if (Array.isArray(data)) {
+            return new ScrapingQueue(data);
+        }
+        return new ScrapingQueue(data?.entries || [], data?.paused || false);
+    }
+}
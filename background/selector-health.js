@@ -0,0 +1,146 @@
+// background/selector-health.js
+// Purpose: Per-field selector hit statistics recorded for every scrape session,
+// a health report across sessions and detection of fields whose selectors stopped matching
+
+class SelectorHealthMonitor {
+    constructor() {
+        this.storageKey = 'selectorHealth';
+        this.maxSessions = 50; // Sessions kept for the report
+        this.trendLength = 10; // Sessions shown in a field's trend
+        this.defaultThreshold = 0.8; // Success rate below which a field is degraded
+        this.defaultMinAttempts = 5; // Fewer lookups than this are too few to judge
+    }
+
+    /**
+     * Add selector stats reported by a content script to a job's running totals.
+     * stats: field -> { attempts, hits, selectors: { selector: hits } }
+     */
+    mergeStats(target, stats = {}) {
+        for (const [field, entry] of Object.entries(stats)) {
+            const merged = target[field] || (target[field] = { attempts: 0, hits: 0, selectors: {} });
+            merged.attempts += entry.attempts || 0;
+            merged.hits += entry.hits || 0;
+
+            for (const [selector, hits] of Object.entries(entry.selectors || {})) {
+                merged.selectors[selector] = (merged.selectors[selector] || 0) + hits;
+            }
+        }
+        return target;
+    }
+
+    /**
+     * Get recorded sessions, oldest first
+     */
+    async getSessions() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return result[this.storageKey] || [];
+    }
+
+    /**
+     * Record the selector stats of a finished scrape.
+     * Returns the fields that became degraded in this session, to alert about.
+     */
+    async recordSession(job, settings = {}) {
+        const sessions = await this.getSessions();
+        const previous = sessions[sessions.length - 1] || null;
+
+        let profile = null;
+        try {
+            const activeProfile = await SELECTOR_REGISTRY.getActiveProfile();
+            profile = { id: activeProfile.id, name: activeProfile.name, version: activeProfile.version };
+        } catch (error) {
+            console.error('Error reading active selector profile:', error);
+        }
+
+        const session = {
+            sessionId: job.id,
+            recordedAt: Date.now(),
+            profile,
+            fields: job.selectorStats
+        };
+
+        sessions.push(session);
+        await chrome.storage.local.set({ [this.storageKey]: sessions.slice(-this.maxSessions) });
+
+        // Only alert when a field crosses the threshold, not on every degraded session
+        return Object.keys(session.fields)
+            .filter(field => this.isDegraded(session.fields[field], settings, field))
+            .filter(field => !previous || !this.isDegraded(previous.fields[field], settings, field))
+            .map(field => ({ field, ...this.summarizeField(session.fields[field]) }));
+    }
+
+    /**
+     * Check whether a field's stats for one session fall below the threshold.
+     * Optional fields are never degraded: most postings simply do not have them.
+     */
+    isDegraded(stats, settings = {}, field = null) {
+        const threshold = settings.selectorHealthThreshold ?? this.defaultThreshold;
+        const minAttempts = settings.selectorHealthMinAttempts ?? this.defaultMinAttempts;
+
+        if (!stats || stats.attempts < minAttempts || SELECTOR_REGISTRY.OPTIONAL_FIELDS.includes(field)) {
+            return false;
+        }
+        return stats.hits / stats.attempts < threshold;
+    }
+
+    /**
+     * Success rate and hit counts of a field for one session
+     */
+    summarizeField(stats) {
+        return {
+            attempts: stats.attempts,
+            hits: stats.hits,
+            rate: stats.attempts > 0 ? stats.hits / stats.attempts : null
+        };
+    }
+
+    /**
+     * Health report: for every field, the latest and average success rate, the recent trend
+     * and which selectors are still matching
+     */
+    async getReport(settings = {}) {
+        const sessions = await this.getSessions();
+        const fields = new Set(sessions.flatMap(session => Object.keys(session.fields)));
+        const report = [];
+
+        for (const field of fields) {
+            const history = sessions.filter(session => session.fields[field]);
+            const latest = history[history.length - 1];
+            const latestStats = latest.fields[field];
+            const totals = history.reduce((sum, session) => ({
+                attempts: sum.attempts + session.fields[field].attempts,
+                hits: sum.hits + session.fields[field].hits
+            }), { attempts: 0, hits: 0 });
+
+            let status = 'healthy';
+            if (SELECTOR_REGISTRY.OPTIONAL_FIELDS.includes(field)) {
+                status = 'optional';
+            } else if (latestStats.attempts > 0 && latestStats.hits === 0) {
+                status = 'failing';
+            } else if (this.isDegraded(latestStats, settings, field)) {
+                status = 'degraded';
+            }
+
+            report.push({
+                field,
+                status,
+                latest: { sessionId: latest.sessionId, recordedAt: latest.recordedAt, ...this.summarizeField(latestStats) },
+                averageRate: totals.attempts > 0 ? totals.hits / totals.attempts : null,
+                trend: history.slice(-this.trendLength).map(session => ({
+                    sessionId: session.sessionId,
+                    recordedAt: session.recordedAt,
+                    rate: this.summarizeField(session.fields[field]).rate
+                })),
+                selectors: Object.entries(latestStats.selectors)
+                    .map(([selector, hits]) => ({ selector, hits }))
+                    .sort((a, b) => b.hits - a.hits)
+            });
+        }
+
+        return {
+            sessionCount: sessions.length,
+            lastProfile: sessions[sessions.length - 1]?.profile || null,
+            fields: report.sort((a, b) => a.field.localeCompare(b.field))
+        };
+    }
+}
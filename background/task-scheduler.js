@@ -0,0 +1,146 @@
+// background/task-scheduler.js
+// Purpose: Named periodic tasks scheduled with chrome.alarms.
+// setInterval timers die with the MV3 service worker; alarms wake it up again.
+
+class TaskScheduler {
+    constructor() {
+        this.alarmPrefix = 'task:';
+        this.runsStorageKey = 'taskRuns';
+        this.tasks = new Map(); // name -> { handler, settingKey, defaultMinutes }
+        this.runningTasks = new Set();
+    }
+
+    /**
+     * Register a named task.
+     * The cadence is read from settings[settingKey] (minutes), falling back to defaultMinutes.
+     */
+    register(name, { handler, settingKey, defaultMinutes }) {
+        this.tasks.set(name, { handler, settingKey, defaultMinutes });
+    }
+
+    /**
+     * Listen for alarms. Must be called synchronously while the service worker starts
+     * so alarms that woke it up are delivered.
+     * waitUntilReady, when given, returns a promise awaited before any task runs.
+     */
+    listen(waitUntilReady = null) {
+        chrome.alarms.onAlarm.addListener(async (alarm) => {
+            if (!alarm.name.startsWith(this.alarmPrefix)) {
+                return;
+            }
+
+            const name = alarm.name.slice(this.alarmPrefix.length);
+            if (!this.tasks.has(name)) {
+                // Task no longer exists, stop its alarm
+                await chrome.alarms.clear(alarm.name);
+                return;
+            }
+
+            if (waitUntilReady) {
+                await waitUntilReady();
+            }
+            await this.runTask(name, 'alarm');
+        });
+    }
+
+    /**
+     * Get the cadence of a task in minutes for the given settings
+     */
+    getPeriodMinutes(name, settings = {}) {
+        const task = this.tasks.get(name);
+        const configured = Number(settings[task.settingKey]);
+        return configured > 0 ? configured : task.defaultMinutes;
+    }
+
+    /**
+     * Create or update the alarms of all registered tasks.
+     * Alarms whose cadence is unchanged are left alone so their next run is not pushed back.
+     */
+    async schedule(settings = {}) {
+        for (const name of this.tasks.keys()) {
+            try {
+                const alarmName = this.alarmPrefix + name;
+                const periodInMinutes = this.getPeriodMinutes(name, settings);
+                const existing = await chrome.alarms.get(alarmName);
+
+                if (!existing || existing.periodInMinutes !== periodInMinutes) {
+                    await chrome.alarms.create(alarmName, {
+                        delayInMinutes: periodInMinutes,
+                        periodInMinutes
+                    });
+                    console.log(`Scheduled task ${name} every ${periodInMinutes} minutes`);
+                }
+            } catch (error) {
+                console.error(`Error scheduling task ${name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Run a task now and record the outcome. Overlapping runs of the same task are skipped.
+     */
+    async runTask(name, trigger = 'manual') {
+        const task = this.tasks.get(name);
+        if (!task) {
+            throw new Error(`Unknown task: ${name}`);
+        }
+
+        if (this.runningTasks.has(name)) {
+            return { name, skipped: true };
+        }
+
+        this.runningTasks.add(name);
+        const startTime = Date.now();
+        const run = { startedAt: startTime, trigger, status: 'success' };
+
+        try {
+            await task.handler();
+        } catch (error) {
+            console.error(`Error running task ${name}:`, error);
+            run.status = 'error';
+            run.error = error.message;
+        } finally {
+            run.duration = Date.now() - startTime;
+            this.runningTasks.delete(name);
+        }
+
+        await this.recordRun(name, run);
+        return { name, ...run };
+    }
+
+    /**
+     * Store last-run bookkeeping for a task
+     */
+    async recordRun(name, run) {
+        try {
+            const result = await chrome.storage.local.get([this.runsStorageKey]);
+            const runs = result[this.runsStorageKey] || {};
+            runs[name] = run;
+            await chrome.storage.local.set({ [this.runsStorageKey]: runs });
+        } catch (error) {
+            console.error(`Error recording run of task ${name}:`, error);
+        }
+    }
+
+    /**
+     * Status of every task: cadence, next scheduled run and last run
+     */
+    async getStatus(settings = {}) {
+        const result = await chrome.storage.local.get([this.runsStorageKey]);
+        const runs = result[this.runsStorageKey] || {};
+        const status = [];
+
+        for (const name of this.tasks.keys()) {
+            const alarm = await chrome.alarms.get(this.alarmPrefix + name);
+            status.push({
+                name,
+                periodInMinutes: this.getPeriodMinutes(name, settings),
+                nextRun: alarm ? alarm.scheduledTime : null,
+                running: this.runningTasks.has(name),
+                lastRun: runs[name] || null
+            });
+        }
+
+        return status;
+    }
+}
@@ -0,0 +1,124 @@
+// content/capture-button.js
+// Purpose: "Save job" control injected on single job pages (/jobs/view/). It shows whether the job
+// is already stored and saves it to the "Manual captures" collection when clicked.
+
+class CaptureButton {
+    /**
+     * onSave: saves the job on the page and resolves with the SAVE_JOB reply; rejects when it could not be saved
+     */
+    constructor(onSave) {
+        this.onSave = onSave;
+        this.element = null;
+        this.jobId = null;
+        this.saving = false;
+    }
+
+    /**
+     * Show the control for a job, or remove it when jobId is null.
+     * The stored state is looked up again every time the job changes.
+     */
+    async show(jobId) {
+        if (!jobId) {
+            this.remove();
+            return;
+        }
+        if (jobId === this.jobId && this.element && this.element.isConnected) {
+            return;
+        }
+
+        this.jobId = jobId;
+        if (!this.element) {
+            this.element = this.createElement();
+        }
+        if (!this.element.isConnected) {
+            document.body.appendChild(this.element);
+        }
+
+        this.render('checking');
+        try {
+            const status = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_JOB_STATUS, { jobId });
+            if (jobId === this.jobId && !this.saving) {
+                this.render(status.stored ? 'stored' : 'idle', status);
+            }
+        } catch (error) {
+            console.error(`Error checking whether job ${jobId} is stored:`, error);
+            this.render('idle');
+        }
+    }
+
+    /**
+     * Take the control off the page
+     */
+    remove() {
+        if (this.element) {
+            this.element.remove();
+        }
+        this.jobId = null;
+    }
+
+    /**
+     * Save the job on the page, showing the outcome on the control
+     */
+    async save() {
+        if (this.saving || !this.jobId) {
+            return;
+        }
+
+        const jobId = this.jobId;
+        this.saving = true;
+        this.render('saving');
+        try {
+            const reply = await this.onSave();
+            if (jobId === this.jobId) {
+                this.render('stored', reply);
+            }
+        } catch (error) {
+            console.error(`Error saving job ${jobId}:`, error);
+            if (jobId === this.jobId) {
+                this.render('error', { message: error.message });
+            }
+        } finally {
+            this.saving = false;
+        }
+    }
+
+    createElement() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'linkedin-scraper-capture';
+        button.addEventListener('click', () => this.save());
+        return button;
+    }
+
+    /**
+     * Update the control for a state: checking, idle, saving, stored or error.
+     * status: GET_JOB_STATUS or SAVE_JOB reply ({ collections }) or { message } for errors
+     */
+    render(state, status = {}) {
+        const labels = {
+            checking: 'Save job',
+            idle: 'Save job',
+            saving: 'Saving…',
+            stored: 'Saved ✓',
+            error: 'Save failed, retry'
+        };
+
+        this.element.textContent = labels[state];
+        this.element.disabled = state === 'checking' || state === 'saving';
+        this.element.dataset.state = state;
+
+        if (state === 'stored') {
+            const collections = (status.collections || []).join(', ');
+            this.element.title = `Stored in ${collections || CONSTANTS.MANUAL_CAPTURES.NAME}. Click to save it again with what the page shows now.`;
+        } else if (state === 'error') {
+            this.element.title = status.message || 'The job could not be saved';
+        } else {
+            this.element.title = `Save this job to "${CONSTANTS.MANUAL_CAPTURES.NAME}"`;
+        }
+    }
+}
+
+// Make the capture button available globally
+if (typeof window !== 'undefined') {
+    window.CaptureButton = CaptureButton;
+}
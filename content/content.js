@@ -10,6 +10,10 @@ class LinkedInJobScraper {
         this.processedJobIds = new Set();
         this.maxRetries = 3;
         this.retryDelay = 2000;
+        this.jobExtractor = new JobExtractor(); // Replaced with the active selector profile when a step runs
+        this.detailFetcher = null; // Set while detail pages are being fetched
+        this.captureButton = new CaptureButton(() => this.captureCurrentJob());
+        this.captureButtonUrl = null; // Page URL the capture button was last shown for
         
         this.initializeContentScript();
     }
@@ -21,170 +25,255 @@ class LinkedInJobScraper {
         console.log('LinkedIn Job Scraper content script initialized');
         
         // Listen for messages from popup or background script
-        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            this.handleMessage(message, sender, sendResponse);
-            return true; // Keep the message channel open for async responses
-        });
+        chrome.runtime.onMessage.addListener(
+            PROTOCOL.createListener((message, sender) => this.handleMessage(message, sender))
+        );
 
         // Observer for dynamic content loading
         this.setupDOMObserver();
+
+        // "Save job" control on single job pages
+        this.syncCaptureButton();
+
+        // Pick up a scrape the background is running in this tab
+        this.attachToScrape();
+    }
+
+    /**
+     * Handle incoming messages from popup/background.
+     * Messages arrive validated by PROTOCOL.createListener; the return value is the reply data.
+     */
+    async handleMessage(message, sender) {
+        const { MESSAGES } = PROTOCOL;
+
+        switch (message.type) {
+            case MESSAGES.PING:
+                return { alive: true, context: 'content' };
+
+            case MESSAGES.GET_STATUS:
+                return this.getStatus();
+
+            case MESSAGES.STOP_SCRAPING:
+                this.stopScraping();
+                return { stopped: true };
+
+            case MESSAGES.GET_CURRENT_URL:
+                return { url: window.location.href };
+
+            case MESSAGES.RESUME_SCRAPE:
+                // A scrape started on the page as it is; not awaited so the reply goes out right away
+                if (!this.isRunning) {
+                    this.attachToScrape();
+                }
+                return { attached: true };
+
+            default:
+                throw new ProtocolError(
+                    PROTOCOL.ERRORS.UNKNOWN_MESSAGE,
+                    `Content script does not handle ${message.type}`
+                );
+        }
+    }
+
+    /**
+     * Current scraping status of this tab
+     */
+    getStatus() {
+        return {
+            isActive: this.isRunning,
+            url: window.location.href,
+            currentPage: this.currentPage,
+            totalPages: this.totalPages,
+            extractedCount: this.extractedJobs.length
+        };
     }
 
     /**
-     * Handle incoming messages from popup/background
+     * Attach to the scrape running in this tab, if any.
+     * Every navigation reloads the content script, so the background keeps the scrape state
+     * and tells us what to do next each time we load.
      */
-    async handleMessage(message, sender, sendResponse) {
+    async attachToScrape() {
         try {
-            switch (message.action) {
-                case 'START_SCRAPING':
-                    await this.handleScrapeRequest(message.data);
-                    sendResponse({ success: true });
+            const step = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.SCRAPE_ATTACH, {
+                url: window.location.href
+            });
+            await this.runScrapeSteps(step);
+        } catch (error) {
+            console.error('Error attaching to scrape:', error);
+            this.sendProgressUpdate({
+                type: 'error',
+                message: `Scraping failed: ${error.message}`
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Run the steps handed out by the background until it asks us to wait for a navigation or stop
+     */
+    async runScrapeSteps(step) {
+        const { SCRAPE_COMMANDS } = PROTOCOL;
+
+        if (step && (step.command === SCRAPE_COMMANDS.COLLECT_PAGE || step.command === SCRAPE_COMMANDS.FETCH_DETAILS)) {
+            // Pick up selector fixes and skill dictionary entries made in the options page since the last page load
+            this.jobExtractor = new JobExtractor(
+                await SELECTOR_REGISTRY.getActiveSelectors(),
+                await SKILLS.getDictionary()
+            );
+        }
+
+        while (step) {
+            switch (step.command) {
+                case SCRAPE_COMMANDS.COLLECT_PAGE:
+                    step = await this.collectPage(step.page, step.totalPages, step.followPagination);
                     break;
-                    
-                case 'STOP_SCRAPING':
-                    this.stopScraping();
-                    sendResponse({ success: true });
+
+                case SCRAPE_COMMANDS.NEXT_PAGE:
+                    step = await this.goToNextPage();
                     break;
-                    
-                case 'GET_CURRENT_URL':
-                    sendResponse({ url: window.location.href });
+
+                case SCRAPE_COMMANDS.FETCH_DETAILS:
+                    // Hiring team capture follows the setting the scrape started with
+                    this.jobExtractor.captureContacts = step.captureContacts !== false;
+                    step = await this.extractJobDetails(step.jobs, step.detailFetch);
                     break;
-                    
-                default:
-                    sendResponse({ error: 'Unknown action' });
+
+                default: // WAIT for the next page load, or IDLE
+                    return;
             }
-        } catch (error) {
-            console.error('Error handling message:', error);
-            sendResponse({ error: error.message });
         }
     }
 
     /**
-     * Main scraping coordination function
+     * Extract the job cards of the current results page and report them to the background.
+     * followPagination: the scrape walks the page's own pagination controls, so report whether there is a next page
      */
-    async handleScrapeRequest(searchParams) {
-        if (this.isRunning) {
-            this.sendProgressUpdate({ 
-                type: 'error', 
-                message: 'Scraping already in progress' 
-            });
-            return;
-        }
-
+    async collectPage(page, totalPages, followPagination = false) {
         this.isRunning = true;
-        this.extractedJobs = [];
+        this.currentPage = page;
+        this.totalPages = totalPages;
         this.processedJobIds.clear();
-        this.currentPage = 0;
 
-        try {
-            const { jobTitle, location, numPages = 5 } = searchParams;
-            this.totalPages = numPages;
+        this.sendProgressUpdate({
+            type: 'info',
+            message: `Scraping page ${page + 1} of ${totalPages}`
+        });
 
-            this.sendProgressUpdate({ 
-                type: 'info', 
-                message: `Starting to scrape ${jobTitle} jobs in ${location}`,
-                progress: 0
-            });
+        await this.waitForPageLoad();
+        if (!this.isRunning) return null;
 
-            // Navigate to jobs search page
-            await this.navigateToJobsPage(jobTitle, location);
-            
-            // Wait for page to load
-            await this.waitForPageLoad();
+        await this.renderOccludedCards();
+        if (!this.isRunning) return null;
 
-            // Extract jobs from multiple pages
-            for (let page = 0; page < numPages; page++) {
-                this.currentPage = page;
-                
-                this.sendProgressUpdate({
-                    type: 'info',
-                    message: `Scraping page ${page + 1} of ${numPages}`,
-                    progress: Math.round((page / numPages) * 50) // 50% for listing extraction
-                });
+        const jobListings = await this.extractJobListings();
+        this.extractedJobs = jobListings;
 
-                if (page > 0) {
-                    await this.navigateToNextPage(page);
-                    await this.waitForPageLoad();
-                }
+        // Add delay between pages
+        await this.delay(this.getRandomDelay(2000, 4000));
+        if (!this.isRunning) return null; // Check if stopped
 
-                const jobListings = await this.extractJobListings();
-                this.extractedJobs.push(...jobListings);
+        return PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.PAGE_COLLECTED, {
+            page,
+            jobs: jobListings,
+            ...(followPagination ? { hasNextPage: this.findNextPageControl() !== null } : {}),
+            selectorStats: this.jobExtractor.takeSelectorStats()
+        });
+    }
 
-                // Add delay between pages
-                await this.delay(this.getRandomDelay(2000, 4000));
-                
-                if (!this.isRunning) break; // Check if stopped
-            }
+    /**
+     * Scroll the empty placeholders of the results list into view so LinkedIn renders their cards.
+     * The logged-in list only renders cards near the viewport.
+     */
+    async renderOccludedCards(timeout = 2000) {
+        const items = this.jobExtractor.findAllBySelectors(document, this.jobExtractor.selectors.resultItems);
+        const occluded = items.filter(item => !item.textContent.trim());
 
-            // Now extract detailed information for each job
-            await this.extractJobDetails();
+        for (const item of occluded) {
+            if (!this.isRunning) return;
 
-            this.sendProgressUpdate({
-                type: 'complete',
-                message: `Successfully scraped ${this.extractedJobs.length} jobs`,
-                data: this.extractedJobs,
-                progress: 100
-            });
+            item.scrollIntoView({ block: 'center' });
+            const deadline = Date.now() + timeout;
+            while (!item.textContent.trim() && Date.now() < deadline) {
+                await this.delay(100);
+            }
+        }
 
-        } catch (error) {
-            console.error('Scraping error:', error);
-            this.sendProgressUpdate({
-                type: 'error',
-                message: `Scraping failed: ${error.message}`
-            });
-        } finally {
-            this.isRunning = false;
+        if (occluded.length > 0) {
+            items[0].scrollIntoView({ block: 'start' });
         }
     }
 
     /**
-     * Navigate to LinkedIn jobs search page
+     * The control leading to the page after the current one: the "next" button, or the numbered
+     * button after the current page's. Null on the last page or when the results have no pagination.
      */
-    async navigateToJobsPage(jobTitle, location) {
-        const encodedTitle = encodeURIComponent(jobTitle);
-        const encodedLocation = encodeURIComponent(location);
-        const searchUrl = `https://www.linkedin.com/jobs/search/?keywords=${encodedTitle}&location=${encodedLocation}`;
-        
-        if (window.location.href !== searchUrl) {
-            window.location.href = searchUrl;
-            // Wait for navigation to complete
-            await new Promise(resolve => {
-                const checkUrl = () => {
-                    if (window.location.href.includes('/jobs/search/')) {
-                        resolve();
-                    } else {
-                        setTimeout(checkUrl, 500);
-                    }
-                };
-                checkUrl();
-            });
+    findNextPageControl() {
+        const { pagination } = this.jobExtractor.selectors;
+
+        const next = this.jobExtractor.findElementBySelectors(document, pagination.nextButton);
+        if (next && !next.disabled && next.getAttribute('aria-disabled') !== 'true') {
+            return next;
         }
+
+        const pageButtons = this.jobExtractor.findAllBySelectors(document, pagination.pageButtons);
+        const current = pageButtons.findIndex(button =>
+            button.getAttribute('aria-current') === 'true' ||
+            button.getAttribute('aria-current') === 'page' ||
+            button.classList.contains('active') ||
+            button.closest('.active, .selected') !== null
+        );
+        return current >= 0 && current + 1 < pageButtons.length ? pageButtons[current + 1] : null;
     }
 
     /**
-     * Navigate to next page of results
+     * Open the next results page with the search's own pagination controls, which keeps every
+     * filter of the open search. LinkedIn swaps the list in place, so once it changes we attach
+     * again; if the click loads a new document instead, its content script attaches.
      */
-    async navigateToNextPage(pageNum) {
-        const currentUrl = new URL(window.location.href);
-        const startParam = pageNum * 25; // LinkedIn shows 25 jobs per page
-        currentUrl.searchParams.set('start', startParam.toString());
-        
-        window.location.href = currentUrl.toString();
+    async goToNextPage(timeout = 15000) {
+        const control = this.findNextPageControl();
+        if (control) {
+            const firstJobId = () => {
+                const [first] = this.getJobElements();
+                return first ? this.jobExtractor.extractJobId(first) : null;
+            };
+            const before = firstJobId();
+
+            control.click();
+
+            const deadline = Date.now() + timeout;
+            while (firstJobId() === before && Date.now() < deadline) {
+                await this.delay(250);
+            }
+        }
+
+        // Without a control or a change the same page is collected again and the background ends the listing
+        return PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.SCRAPE_ATTACH, {
+            url: window.location.href
+        });
     }
 
     /**
      * Wait for page to load completely
      */
-    async waitForPageLoad() {
+    async waitForPageLoad(timeout = 30000) {
+        const deadline = Date.now() + timeout;
+
         return new Promise((resolve) => {
             const checkForContent = () => {
-                const jobsContainer = document.querySelector('ul.jobs-search__results-list') || 
-                                    document.querySelector('div.jobs-search-results-list') ||
-                                    document.querySelector('.scaffold-layout__list');
+                const jobsContainer = this.jobExtractor.findElementBySelectors(
+                    document,
+                    this.jobExtractor.selectors.jobList
+                );
                 
                 if (jobsContainer && jobsContainer.children.length > 0) {
                     // Additional wait for dynamic content
                     setTimeout(resolve, 2000);
+                } else if (Date.now() > deadline) {
+                    // No results on this page, let the caller report an empty page
+                    resolve();
                 } else {
                     setTimeout(checkForContent, 1000);
                 }
@@ -198,13 +287,12 @@ class LinkedInJobScraper {
      * Extract job listings from current page
      */
     async extractJobListings() {
-        const jobExtractor = new JobExtractor();
         const jobElements = this.getJobElements();
         const jobs = [];
 
         for (const element of jobElements) {
             try {
-                const jobData = jobExtractor.extractJobListingData(element);
+                const jobData = this.jobExtractor.extractJobListingData(element);
                 
                 // Avoid duplicates
                 if (!this.processedJobIds.has(jobData.jobId)) {
@@ -224,134 +312,109 @@ class LinkedInJobScraper {
      * Get job elements from the page
      */
     getJobElements() {
-        // Try multiple selectors for job cards
-        const selectors = [
-            'ul.jobs-search__results-list > li',
-            'div.jobs-search-results-list > div',
-            '.scaffold-layout__list > div',
-            '[data-job-id]'
-        ];
-
-        for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length > 0) {
-                return Array.from(elements);
-            }
-        }
-
-        return [];
+        return this.jobExtractor.findAllBySelectors(document, this.jobExtractor.selectors.jobCards, 'jobCards');
     }
 
     /**
-     * Extract detailed information for all jobs
+     * Extract detailed information for the jobs the background still needs details for.
+     * Pages are fetched and parsed by a bounded worker pool; each result, fetched or failed, is
+     * reported as soon as it settles so a reload only repeats the remaining jobs.
      */
-    async extractJobDetails() {
-        const totalJobs = this.extractedJobs.length;
-        let processedCount = 0;
+    async extractJobDetails(jobs, { concurrency, timeout } = {}) {
+        this.isRunning = true;
+        const defaults = CONSTANTS.DEFAULT_SETTINGS;
+        this.detailFetcher = new DetailFetcher({
+            concurrency: concurrency ?? defaults.detailFetchConcurrency,
+            timeout: timeout ?? defaults.detailFetchTimeout
+        });
 
-        for (const job of this.extractedJobs) {
-            if (!this.isRunning) break;
+        try {
+            await this.detailFetcher.fetchAll(jobs, this.jobExtractor, async ({ jobId, details, error }) => {
+                if (error) {
+                    console.warn(`Could not fetch details for job ${jobId}: ${error}`);
+                }
 
-            try {
-                this.sendProgressUpdate({
-                    type: 'info',
-                    message: `Getting details for job ${processedCount + 1} of ${totalJobs}`,
-                    progress: 50 + Math.round((processedCount / totalJobs) * 50)
+                const reply = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.JOB_DETAILS_COLLECTED, {
+                    jobId,
+                    ...(error ? { error } : { details }),
+                    selectorStats: this.jobExtractor.takeSelectorStats()
                 });
 
-                const details = await this.scrapeJobDetails(job.jobUrl);
-                Object.assign(job, details);
-
-                processedCount++;
-                
-                // Add delay between detail requests
-                await this.delay(this.getRandomDelay(1000, 3000));
-                
-            } catch (error) {
-                console.error(`Error getting details for job ${job.jobId}:`, error);
-                // Continue with next job
-            }
+                // The background asks for the company page when its cached record is due for a refresh
+                if (reply && reply.companyToFetch) {
+                    await this.captureCompanyPage(reply.companyToFetch);
+                }
+            });
+        } finally {
+            this.detailFetcher = null;
         }
+
+        return { command: PROTOCOL.SCRAPE_COMMANDS.IDLE };
     }
 
     /**
-     * Scrape detailed job information from job URL
+     * Fetch a company page and report what it shows to the company cache.
+     * A page that cannot be read is reported with the company id only, so the background
+     * does not ask for it again before the refresh period ends.
      */
-    async scrapeJobDetails(jobUrl) {
-        return new Promise((resolve) => {
-            // Create hidden iframe to load job details
-            const iframe = document.createElement('iframe');
-            iframe.style.display = 'none';
-            iframe.src = jobUrl;
-            
-            const cleanup = () => {
-                if (iframe.parentNode) {
-                    iframe.parentNode.removeChild(iframe);
-                }
-            };
+    async captureCompanyPage(companyUrl, timeout = CONSTANTS.DEFAULT_SETTINGS.detailFetchTimeout) {
+        let company = null;
 
-            iframe.onload = () => {
-                try {
-                    setTimeout(() => {
-                        const jobExtractor = new JobExtractor();
-                        const details = jobExtractor.extractJobDetails(iframe.contentDocument);
-                        cleanup();
-                        resolve(details);
-                    }, 2000); // Wait for dynamic content
-                } catch (error) {
-                    console.error('Error extracting job details:', error);
-                    cleanup();
-                    resolve({
-                        jobDescription: 'N/A',
-                        seniorityLevel: 'N/A',
-                        employmentType: 'N/A',
-                        jobFunction: 'N/A',
-                        industries: 'N/A',
-                        applicants: 'N/A',
-                        datePosted: 'N/A'
-                    });
-                }
-            };
-
-            iframe.onerror = () => {
-                cleanup();
-                resolve({
-                    jobDescription: 'N/A',
-                    seniorityLevel: 'N/A',
-                    employmentType: 'N/A',
-                    jobFunction: 'N/A',
-                    industries: 'N/A',
-                    applicants: 'N/A',
-                    datePosted: 'N/A'
-                });
-            };
+        try {
+            const page = await new DetailFetcher({ timeout }).fetchDocument(companyUrl);
+            company = this.jobExtractor.extractCompanyPage(page, companyUrl);
+        } catch (error) {
+            console.error(`Error fetching company page ${companyUrl}:`, error);
+        }
 
-            document.body.appendChild(iframe);
-
-            // Timeout fallback
-            setTimeout(() => {
-                cleanup();
-                resolve({
-                    jobDescription: 'N/A',
-                    seniorityLevel: 'N/A',
-                    employmentType: 'N/A',
-                    jobFunction: 'N/A',
-                    industries: 'N/A',
-                    applicants: 'N/A',
-                    datePosted: 'N/A'
-                });
-            }, 15000);
+        await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.COMPANY_CAPTURED, {
+            company: company || { id: NORMALIZERS.parseCompanyId(companyUrl) }
         });
     }
 
+    /**
+     * Show the "Save job" control on single job pages and remove it elsewhere.
+     * LinkedIn changes pages without reloading, so this runs again on DOM changes and only acts
+     * when the URL changed.
+     */
+    syncCaptureButton() {
+        if (window.location.href === this.captureButtonUrl) {
+            return;
+        }
+        this.captureButtonUrl = window.location.href;
+
+        const jobId = window.location.pathname.startsWith('/jobs/view/')
+            ? NORMALIZERS.parseJobId(window.location.href)
+            : null;
+        this.captureButton.show(jobId);
+    }
+
+    /**
+     * Extract the job on this page and save it to the "Manual captures" collection.
+     * Resolves with the SAVE_JOB reply.
+     */
+    async captureCurrentJob() {
+        const extractor = new JobExtractor(
+            await SELECTOR_REGISTRY.getActiveSelectors(),
+            await SKILLS.getDictionary()
+        );
+        const job = extractor.extractJobPage(document, window.location.href);
+
+        const reply = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.SAVE_JOB, { job });
+        if (reply.companyToFetch) {
+            this.jobExtractor = extractor;
+            this.captureCompanyPage(reply.companyToFetch).catch(error => {
+                console.error('Error capturing company page:', error);
+            });
+        }
+        return reply;
+    }
+
     /**
      * Send progress updates to popup
      */
     sendProgressUpdate(update) {
-        chrome.runtime.sendMessage({
-            action: 'PROGRESS_UPDATE',
-            data: update
-        }).catch(error => {
+        PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.PROGRESS_UPDATE, update).catch(error => {
             console.error('Error sending progress update:', error);
         });
     }
@@ -361,6 +424,9 @@ class LinkedInJobScraper {
      */
     stopScraping() {
         this.isRunning = false;
+        if (this.detailFetcher) {
+            this.detailFetcher.stop();
+        }
         this.sendProgressUpdate({
             type: 'info',
             message: 'Scraping stopped by user'
@@ -372,7 +438,8 @@ class LinkedInJobScraper {
      */
     setupDOMObserver() {
         const observer = new MutationObserver((mutations) => {
-            // Handle dynamic content changes if needed
+            // LinkedIn navigates without reloading the page; keep the capture button in step with the URL
+            this.syncCaptureButton();
         });
 
         observer.observe(document.body, {
@@ -0,0 +1,131 @@
+// content/detail-fetcher.js
+// Purpose: Fetch LinkedIn pages as HTML and parse them with DOMParser, without loading them in frames.
+// Job detail pages are fetched by a bounded pool of workers; every job ends in exactly one result,
+// either its extracted details or the reason they could not be fetched.
+
+class DetailFetcher {
+    /**
+     * concurrency: jobs fetched at the same time
+     * timeout: milliseconds a single request may take, body included
+     * minDelay / maxDelay: pause range each worker takes between its requests
+     * fetchImpl / parser: injectable for tests; the page's fetch and a DOMParser by default
+     */
+    constructor({
+        concurrency = 3,
+        timeout = 15000,
+        minDelay = 1000,
+        maxDelay = 3000,
+        fetchImpl = (...args) => fetch(...args),
+        parser = new DOMParser()
+    } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.timeout = timeout;
+        this.minDelay = minDelay;
+        this.maxDelay = Math.max(minDelay, maxDelay);
+        this.fetchImpl = fetchImpl;
+        this.parser = parser;
+        this.controllers = new Set(); // In-flight requests, aborted by stop()
+        this.stopped = false;
+    }
+
+    /**
+     * Fetch and extract details for every job, calling onResult once per job as soon as it settles.
+     * Results are { jobId, jobUrl, details, error }: details is null and error says why when a fetch failed.
+     * Resolves with all results once every worker is done or stop() was called.
+     */
+    async fetchAll(jobs, extractor, onResult = async () => {}) {
+        this.stopped = false;
+        const queue = [...jobs];
+        const results = [];
+
+        const worker = async () => {
+            while (queue.length > 0 && !this.stopped) {
+                const job = queue.shift();
+                const result = await this.fetchJob(job, extractor);
+                if (this.stopped) {
+                    return;
+                }
+
+                results.push(result);
+                try {
+                    await onResult(result);
+                } catch (error) {
+                    console.error(`Error reporting details for job ${job.jobId}:`, error);
+                }
+
+                if (queue.length > 0) {
+                    await this.pause();
+                }
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(this.concurrency, jobs.length) }, worker);
+        await Promise.all(workers);
+        return results;
+    }
+
+    /**
+     * Fetch one job page and run the extractor on it. Never throws: failures become the result's error.
+     */
+    async fetchJob(job, extractor) {
+        try {
+            const page = await this.fetchDocument(job.jobUrl);
+            return { jobId: job.jobId, jobUrl: job.jobUrl, details: extractor.extractJobDetails(page), error: null };
+        } catch (error) {
+            // An empty error would read as neither details nor error and leave the job pending
+            return { jobId: job.jobId, jobUrl: job.jobUrl, details: null, error: error?.message || String(error ?? '') || 'Unknown error' };
+        }
+    }
+
+    /**
+     * Fetch a page and parse it into a Document. Throws on timeouts, HTTP errors and sign-in redirects.
+     */
+    async fetchDocument(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        this.controllers.add(controller);
+
+        try {
+            const response = await this.fetchImpl(url, { credentials: 'include', signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} for ${url}`);
+            }
+            if (/\/(authwall|login|checkpoint)\b/.test(response.url || '')) {
+                throw new Error(`Redirected to sign-in for ${url}`);
+            }
+
+            return this.parser.parseFromString(await response.text(), 'text/html');
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new Error(this.stopped ? `Stopped before ${url} loaded` : `Timed out after ${this.timeout}ms for ${url}`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.controllers.delete(controller);
+        }
+    }
+
+    /**
+     * Stop handing out jobs and abort the requests in flight
+     */
+    stop() {
+        this.stopped = true;
+        for (const controller of this.controllers) {
+            controller.abort();
+        }
+    }
+
+    /**
+     * Wait a random time within the configured delay range
+     */
+    pause() {
+        const delay = this.minDelay + Math.random() * (this.maxDelay - this.minDelay);
+        return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+    }
+}
+
+// Make the detail fetcher available globally
+if (typeof window !== 'undefined') {
+    window.DetailFetcher = DetailFetcher;
+}
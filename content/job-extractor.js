@@ -2,86 +2,73 @@
 // Purpose: Handles actual data extraction from LinkedIn DOM
 
 class JobExtractor {
-    constructor() {
-        this.baseLinkedInUrl = 'https://www.linkedin.com';
-        this.setupSelectors();
-    }
-
     /**
-     * Setup selectors for different LinkedIn layouts
+     * selectors: resolved selectors from SELECTOR_REGISTRY (the built-in ones by default)
+     * skillDictionary: skill -> synonyms used to detect skills in descriptions (SKILLS.getDictionary())
+     * captureContacts: read the job poster and hiring team from detail pages (captureHiringTeam setting)
      */
-    setupSelectors() {
-        this.selectors = {
-            jobCard: {
-                title: [
-                    'h3.base-search-card__title',
-                    'a[aria-label]',
-                    '.job-card-list__title',
-                    '.job-card-container__link'
-                ],
-                company: [
-                    'h4.base-search-card__subtitle',
-                    '.artdeco-entity-lockup__subtitle',
-                    'span[class*="qHYMDgztNEREKlSMgIjhyyyqAxxeVviD"]'
-                ],
-                location: [
-                    'span.job-search-card__location',
-                    'li[class*="bKQmZihARnOXesSdpcmicRgZiMVAUmlKncY"] span',
-                    'span[dir="ltr"]'
-                ],
-                link: [
-                    'a.base-card__full-link',
-                    'a[href*="/jobs/view/"]'
-                ],
-                date: [
-                    'time',
-                    '.job-search-card__listdate'
-                ]
-            },
-            jobDetails: {
-                description: [
-                    'div.show-more-less-html__markup',
-                    '.description__text',
-                    '.jobs-description__content'
-                ],
-                criteria: [
-                    'li.description__job-criteria-item',
-                    '.job-criteria'
-                ],
-                applicants: [
-                    'figure.num-applicants__figure',
-                    'span.num-applicants__caption',
-                    '.applicant-count'
-                ],
-                datePosted: [
-                    'span.posted-time-ago__text',
-                    '.job-posted-date'
-                ]
-            }
-        };
+    constructor(selectors = SELECTOR_REGISTRY.resolve(), skillDictionary = SKILLS.DICTIONARY, { captureContacts = true } = {}) {
+        this.baseLinkedInUrl = 'https://www.linkedin.com';
+        this.selectors = selectors;
+        this.skillDictionary = skillDictionary;
+        this.captureContacts = captureContacts;
+        this.selectorStats = {}; // field -> { attempts, hits, selectors: { selector: hits } }
     }
 
     /**
-     * Extract data from job card element
+     * Extract data from job card element.
+     * scrapedAt: time relative dates ("2 days ago") are counted back from
      */
-    extractJobListingData(jobElement) {
+    extractJobListingData(jobElement, scrapedAt = Date.now()) {
+        const listingDateText = this.extractListingDate(jobElement);
+        const companyLink = this.extractCompanyLink(jobElement, this.selectors.jobCard.companyLink, 'jobCard.companyLink');
         const jobData = {
             jobId: this.extractJobId(jobElement),
-            jobTitle: this.extractTextFromSelectors(jobElement, this.selectors.jobCard.title),
-            companyName: this.extractTextFromSelectors(jobElement, this.selectors.jobCard.company),
-            location: this.extractTextFromSelectors(jobElement, this.selectors.jobCard.location),
+            jobTitle: this.extractTextFromSelectors(jobElement, this.selectors.jobCard.title, 'jobCard.title'),
+            companyName: this.extractTextFromSelectors(jobElement, this.selectors.jobCard.company, 'jobCard.company'),
+            companyId: companyLink.companyId,
+            companyUrl: companyLink.companyUrl,
+            location: this.extractTextFromSelectors(jobElement, this.selectors.jobCard.location, 'jobCard.location'),
             jobUrl: this.extractJobUrl(jobElement),
-            listingDate: this.extractListingDate(jobElement),
+            listingDate: NORMALIZERS.parseRelativeDate(listingDateText, scrapedAt) || 'N/A',
+            listingDateText,
+            scrapedAt,
+            salary: this.extractSalaryInfo(jobElement),
             // Default values for detailed info
             jobDescription: 'N/A',
+            jobDescriptionHtml: 'N/A',
+            jobDescriptionMarkdown: 'N/A',
             seniorityLevel: 'N/A',
             employmentType: 'N/A',
             jobFunction: 'N/A',
             industries: 'N/A',
             applicants: 'N/A',
-            datePosted: 'N/A'
+            applicantsMin: null,
+            applicantsMax: null,
+            datePosted: 'N/A',
+            datePostedText: 'N/A',
+            benefits: [],
+            benefitsText: 'N/A',
+            posterContactId: 'N/A',
+            hiringTeamContactIds: [],
+            skills: [],
+            ...NORMALIZERS.parseRequirements(null)
         };
 
+        Object.assign(jobData, this.extractWorkplaceInfo(
+            jobElement,
+            this.selectors.jobCard.workplaceType,
+            'jobCard.workplaceType',
+            { location: jobData.location }
+        ));
+
+        // Cards only mark Easy Apply jobs; the detail page tells external applications apart
+        const footerItems = this.findAllBySelectors(jobElement, this.selectors.jobCard.applyMethod, 'jobCard.applyMethod');
+        const easyApplyItem = footerItems.find(item => /\beasy apply\b/i.test(item.textContent));
+        Object.assign(jobData, NORMALIZERS.parseApplyInfo({
+            label: easyApplyItem ? this.cleanText(easyApplyItem.textContent) : null
+        }));
+
         return jobData;
     }
 
@@ -153,7 +140,7 @@ class JobExtractor {
      * Extract job URL from job element
      */
     extractJobUrl(jobElement) {
-        const linkElement = this.findElementBySelectors(jobElement, this.selectors.jobCard.link);
+        const linkElement = this.findElementBySelectors(jobElement, this.selectors.jobCard.link, 'jobCard.link');
         
         if (linkElement && linkElement.href) {
             let href = linkElement.href;
@@ -184,7 +171,7 @@ class JobExtractor {
      * Extract listing date from job element
      */
     extractListingDate(jobElement) {
-        const dateElement = this.findElementBySelectors(jobElement, this.selectors.jobCard.date);
+        const dateElement = this.findElementBySelectors(jobElement, this.selectors.jobCard.date, 'jobCard.date');
         
         if (dateElement) {
             // Try to get datetime attribute first
@@ -204,47 +191,301 @@ class JobExtractor {
     }
 
     /**
-     * Extract detailed job information from job detail page
+     * Extract detailed job information from job detail page.
+     * scrapedAt: time relative dates ("2 weeks ago") are counted back from
      */
-    extractJobDetails(document) {
+    extractJobDetails(document, scrapedAt = Date.now()) {
         if (!document) {
             return this.getDefaultJobDetails();
         }
 
+        const applicants = this.extractApplicantsInfo(document);
+        const applicantBounds = NORMALIZERS.parseApplicants(applicants);
+        const datePostedText = this.extractDatePosted(document);
+
         const details = {
-            jobDescription: this.extractJobDescription(document),
+            ...this.extractJobDescription(document),
             seniorityLevel: 'N/A',
             employmentType: 'N/A',
             jobFunction: 'N/A',
             industries: 'N/A',
-            applicants: this.extractApplicantsInfo(document),
-            datePosted: this.extractDatePosted(document)
+            applicants,
+            applicantsMin: applicantBounds ? applicantBounds.min : null,
+            applicantsMax: applicantBounds ? applicantBounds.max : null,
+            datePosted: NORMALIZERS.parseRelativeDate(datePostedText, scrapedAt) || 'N/A',
+            datePostedText,
+            salary: this.extractSalaryInfo(
+                document.documentElement,
+                this.selectors.jobDetails.salary,
+                'jobDetails.salary'
+            )
         };
 
         // Extract job criteria
         const criteria = this.extractJobCriteria(document);
         Object.assign(details, criteria);
 
+        Object.assign(details, this.extractBenefits(document));
+
+        Object.assign(details, this.extractWorkplaceInfo(
+            document.documentElement,
+            this.selectors.jobDetails.workplaceType,
+            'jobDetails.workplaceType',
+            { description: details.jobDescription }
+        ));
+
+        Object.assign(details, this.extractApplyInfo(document));
+
+        // Company record for the company cache; the background links the job to it by companyId
+        const companyLink = this.extractCompanyLink(
+            document.documentElement,
+            this.selectors.jobDetails.companyLink,
+            'jobDetails.companyLink'
+        );
+        Object.assign(details, {
+            companyId: companyLink.companyId,
+            companyUrl: companyLink.companyUrl,
+            company: this.extractCompanyInfo(document, companyLink)
+        });
+
+        // Contact records for the contact store; the job keeps only their ids
+        if (this.captureContacts) {
+            Object.assign(details, this.extractHiringTeam(document, details.companyId));
+        }
+
+        details.skills = SKILLS.extractSkills(details.jobDescription, this.skillDictionary);
+
+        // Markdown keeps list items apart, which the plain text runs together
+        Object.assign(details, NORMALIZERS.parseRequirements(
+            details.jobDescriptionMarkdown !== 'N/A' ? details.jobDescriptionMarkdown : details.jobDescription
+        ));
+
         return details;
     }
 
     /**
-     * Extract job description from document
+     * Extract a whole job from its own page (/jobs/view/): the top card fields a search card would
+     * give, plus the details. url: the page URL, which carries the job id
+     */
+    extractJobPage(document, url, scrapedAt = Date.now()) {
+        const { jobDetails } = this.selectors;
+        const root = document.documentElement;
+        const jobId = NORMALIZERS.parseJobId(url);
+        const details = this.extractJobDetails(document, scrapedAt);
+
+        let companyName = this.extractTextFromSelectors(root, jobDetails.company, 'jobDetails.company');
+        if (companyName === 'N/A' && details.company) {
+            companyName = details.company.name;
+        }
+
+        return {
+            jobId: jobId || 'N/A',
+            jobTitle: this.extractTextFromSelectors(root, jobDetails.title, 'jobDetails.title'),
+            companyName,
+            location: this.extractTextFromSelectors(root, jobDetails.location, 'jobDetails.location'),
+            jobUrl: jobId ? `${this.baseLinkedInUrl}/jobs/view/${jobId}` : 'N/A',
+            listingDate: details.datePosted,
+            listingDateText: details.datePostedText,
+            scrapedAt,
+            ...details
+        };
+    }
+
+    /**
+     * Apply method of a detail page and, for external applications, the apply URL, its domain and ATS
+     */
+    extractApplyInfo(document) {
+        const button = this.findElementBySelectors(
+            document.documentElement,
+            this.selectors.jobDetails.applyButton,
+            'jobDetails.applyButton'
+        );
+        const link = this.findElementBySelectors(
+            document.documentElement,
+            this.selectors.jobDetails.applyUrl,
+            'jobDetails.applyUrl'
+        );
+
+        return NORMALIZERS.parseApplyInfo({
+            label: button ? this.cleanText(`${button.getAttribute('aria-label') || ''} ${button.textContent}`) : null,
+            url: link ? (link.getAttribute('href') || link.innerHTML) : null
+        });
+    }
+
+    /**
+     * Company id, canonical company page URL and link text of a company link
+     */
+    extractCompanyLink(element, selectors, field) {
+        const link = this.findElementBySelectors(element, selectors, field);
+        const companyId = NORMALIZERS.parseCompanyId(link ? link.getAttribute('href') : null);
+
+        return {
+            companyId: companyId || 'N/A',
+            companyUrl: companyId ? NORMALIZERS.companyUrl(companyId) : 'N/A',
+            name: link ? link.textContent.trim() : 'N/A'
+        };
+    }
+
+    /**
+     * Company data shown on a job detail page ("About the company"), or null without a company link
+     */
+    extractCompanyInfo(document, { companyId, companyUrl, name }) {
+        if (companyId === 'N/A') {
+            return null;
+        }
+
+        const infoElement = this.findElementBySelectors(
+            document.documentElement,
+            this.selectors.jobDetails.companyInfo,
+            'jobDetails.companyInfo'
+        );
+        // Industry, size and member count are separate nodes (or "·"-separated) in one line
+        const segments = infoElement
+            ? Array.from(infoElement.childNodes)
+                .flatMap(node => node.textContent.split('·'))
+                .map(text => text.trim())
+                .filter(Boolean)
+            : [];
+
+        const size = segments.map(text => NORMALIZERS.parseCompanySize(text)).find(Boolean) || null;
+        const industry = segments.find(text => !/\bemployees?\b|\bon LinkedIn\b|\bfollowers?\b/i.test(text));
+        const followersText = this.extractTextFromSelectors(
+            document.documentElement,
+            this.selectors.jobDetails.companyFollowers,
+            'jobDetails.companyFollowers'
+        );
+
+        return this.buildCompanyRecord(companyId, {
+            url: companyUrl,
+            name,
+            industry,
+            size,
+            followers: NORMALIZERS.parseFollowers(followersText)
+        });
+    }
+
+    /**
+     * Company record from a company page. url: the page address, which identifies the company.
+     */
+    extractCompanyPage(document, url) {
+        const companyId = NORMALIZERS.parseCompanyId(url);
+        if (!companyId) {
+            return null;
+        }
+
+        // "Industry", "Company size", "Headquarters"... -> value
+        const about = {};
+        const items = this.findAllBySelectors(document, this.selectors.companyPage.aboutItems, 'companyPage.aboutItems');
+        for (const item of items) {
+            const term = item.matches('dt') ? item : item.querySelector('dt');
+            const value = item.matches('dt') ? item.nextElementSibling : item.querySelector('dd');
+            if (term && value) {
+                about[term.textContent.trim().toLowerCase()] = value.textContent.trim().replace(/\s+/g, ' ');
+            }
+        }
+
+        const followersText = this.extractTextFromSelectors(
+            document.documentElement,
+            this.selectors.companyPage.followers,
+            'companyPage.followers'
+        );
+
+        return this.buildCompanyRecord(companyId, {
+            name: this.extractTextFromSelectors(document.documentElement, this.selectors.companyPage.name, 'companyPage.name'),
+            industry: about.industry || about.industries,
+            size: NORMALIZERS.parseCompanySize(about['company size']),
+            followers: NORMALIZERS.parseFollowers(followersText),
+            headquarters: about.headquarters,
+            website: about.website
+        });
+    }
+
+    /**
+     * Company record in the shape the company cache stores, with N/A or null for missing values
+     */
+    buildCompanyRecord(companyId, { url = null, name, industry, size, followers = null, headquarters, website }) {
+        return {
+            id: companyId,
+            url: url || NORMALIZERS.companyUrl(companyId),
+            name: name || 'N/A',
+            industry: industry || 'N/A',
+            sizeBand: size ? size.band : 'N/A',
+            sizeMin: size ? size.min : null,
+            sizeMax: size ? size.max : null,
+            followers,
+            headquarters: headquarters || 'N/A',
+            website: website || 'N/A'
+        };
+    }
+
+    /**
+     * Job poster and hiring team ("Meet the hiring team") of a logged-in detail page as
+     * { posterContactId, hiringTeamContactIds, contacts }. People without a profile link are skipped,
+     * since the profile id is what identifies a contact.
+     */
+    extractHiringTeam(document, companyId = 'N/A') {
+        const { jobDetails } = this.selectors;
+        const members = this.findAllBySelectors(document, jobDetails.hiringTeamMembers, 'jobDetails.hiringTeamMembers');
+        const contacts = [];
+        let posterContactId = 'N/A';
+
+        for (const member of members) {
+            const link = this.findElementBySelectors(member, jobDetails.hiringTeamProfileLink, 'jobDetails.hiringTeamProfileLink');
+            const profileId = NORMALIZERS.parseProfileId(link ? link.getAttribute('href') : null);
+            if (!profileId || contacts.some(contact => contact.id === profileId)) {
+                continue;
+            }
+
+            contacts.push({
+                id: profileId,
+                name: this.cleanText(this.extractTextFromSelectors(member, jobDetails.hiringTeamName, 'jobDetails.hiringTeamName')),
+                title: this.cleanText(this.extractTextFromSelectors(member, jobDetails.hiringTeamTitle, 'jobDetails.hiringTeamTitle')),
+                profileUrl: NORMALIZERS.profileUrl(profileId),
+                companyId
+            });
+
+            const badge = this.findElementBySelectors(member, jobDetails.hiringTeamPosterBadge, 'jobDetails.hiringTeamPosterBadge');
+            if (posterContactId === 'N/A' && (badge || /\bjob poster\b/i.test(member.textContent))) {
+                posterContactId = profileId;
+            }
+        }
+
+        return {
+            posterContactId,
+            hiringTeamContactIds: contacts.map(contact => contact.id),
+            contacts
+        };
+    }
+
+    /**
+     * Extract job description from document as plain text, sanitized HTML and Markdown
      */
     extractJobDescription(document) {
         const descriptionElement = this.findElementBySelectors(
             document.documentElement, 
-            this.selectors.jobDetails.description
+            this.selectors.jobDetails.description,
+            'jobDetails.description'
         );
 
         if (descriptionElement) {
             // Get text content and clean it
             let description = descriptionElement.textContent || descriptionElement.innerText || '';
             description = description.trim().replace(/\s+/g, ' ');
-            return description;
+
+            // Structured copies keep the paragraphs, lists and headings the text loses
+            const sanitized = DESCRIPTION_FORMATTER.sanitize(descriptionElement);
+            return {
+                jobDescription: description || 'N/A',
+                jobDescriptionHtml: sanitized.innerHTML.trim() || 'N/A',
+                jobDescriptionMarkdown: DESCRIPTION_FORMATTER.toMarkdown(sanitized) || 'N/A'
+            };
         }
 
-        return 'N/A';
+        return {
+            jobDescription: 'N/A',
+            jobDescriptionHtml: 'N/A',
+            jobDescriptionMarkdown: 'N/A'
+        };
     }
 
     /**
@@ -258,11 +499,11 @@ class JobExtractor {
             industries: 'N/A'
         };
 
-        const criteriaElements = document.querySelectorAll('li.description__job-criteria-item');
+        const criteriaElements = this.findAllBySelectors(document, this.selectors.jobDetails.criteria, 'jobDetails.criteria');
         
         for (const item of criteriaElements) {
-            const header = item.querySelector('h3.description__job-criteria-subheader');
-            const value = item.querySelector('span.description__job-criteria-text');
+            const header = this.findElementBySelectors(item, this.selectors.jobDetails.criteriaHeader);
+            const value = this.findElementBySelectors(item, this.selectors.jobDetails.criteriaValue);
 
             if (header && value) {
                 const headerText = header.textContent.trim().toLowerCase();
@@ -287,22 +528,17 @@ class JobExtractor {
      * Extract applicants information
      */
     extractApplicantsInfo(document) {
-        // Method 1: Figure with caption
-        const applicantsFigure = document.querySelector('figure.num-applicants__figure');
-        if (applicantsFigure) {
-            const caption = applicantsFigure.querySelector('figcaption.num-applicants__caption');
-            if (caption) {
-                return caption.textContent.trim();
-            }
-        }
-
-        // Method 2: Direct span
-        const applicantsSpan = document.querySelector('span.num-applicants__caption');
-        if (applicantsSpan) {
-            return applicantsSpan.textContent.trim();
+        // Method 1: Applicant count elements
+        const applicantsElement = this.findElementBySelectors(
+            document,
+            this.selectors.jobDetails.applicants,
+            'jobDetails.applicants'
+        );
+        if (applicantsElement && applicantsElement.textContent.trim()) {
+            return applicantsElement.textContent.trim();
         }
 
-        // Method 3: Search for text containing "applicants"
+        // Method 2: Search for text containing "applicants"
         const walker = document.createTreeWalker(
             document.body,
             NodeFilter.SHOW_TEXT,
@@ -328,7 +564,11 @@ class JobExtractor {
      * Extract date posted information
      */
     extractDatePosted(document) {
-        const dateElement = document.querySelector('span.posted-time-ago__text');
+        const dateElement = this.findElementBySelectors(
+            document,
+            this.selectors.jobDetails.datePosted,
+            'jobDetails.datePosted'
+        );
         if (dateElement) {
             return dateElement.textContent.trim();
         }
@@ -352,8 +592,8 @@ class JobExtractor {
     /**
      * Utility function to extract text from multiple selectors
      */
-    extractTextFromSelectors(element, selectors) {
-        const foundElement = this.findElementBySelectors(element, selectors);
+    extractTextFromSelectors(element, selectors, field = null) {
+        const foundElement = this.findElementBySelectors(element, selectors, field);
         if (foundElement) {
             return foundElement.textContent.trim() || foundElement.innerText.trim() || 'N/A';
         }
@@ -361,34 +601,102 @@ class JobExtractor {
     }
 
     /**
-     * Find element using multiple selectors
+     * Find element using multiple selectors.
+     * When a field name is given, the lookup is counted in the selector health stats.
      */
-    findElementBySelectors(parent, selectors) {
+    findElementBySelectors(parent, selectors, field = null) {
         for (const selector of selectors) {
             try {
                 const element = parent.querySelector(selector);
                 if (element) {
+                    this.recordSelectorResult(field, selector);
                     return element;
                 }
             } catch (error) {
                 console.warn(`Invalid selector: ${selector}`, error);
             }
         }
+        this.recordSelectorResult(field, null);
         return null;
     }
 
+    /**
+     * Find all elements matched by the first selector that matches anything
+     */
+    findAllBySelectors(parent, selectors, field = null) {
+        for (const selector of selectors) {
+            try {
+                const elements = parent.querySelectorAll(selector);
+                if (elements.length > 0) {
+                    this.recordSelectorResult(field, selector);
+                    return Array.from(elements);
+                }
+            } catch (error) {
+                console.warn(`Invalid selector: ${selector}`, error);
+            }
+        }
+        this.recordSelectorResult(field, null);
+        return [];
+    }
+
+    /**
+     * Count a field lookup and the selector that matched it (null when every selector missed)
+     */
+    recordSelectorResult(field, selector) {
+        if (!field) {
+            return;
+        }
+
+        const stats = this.selectorStats[field] || (this.selectorStats[field] = { attempts: 0, hits: 0, selectors: {} });
+        stats.attempts++;
+
+        if (selector) {
+            stats.hits++;
+            stats.selectors[selector] = (stats.selectors[selector] || 0) + 1;
+        }
+    }
+
+    /**
+     * Return the selector stats collected since the last call and start counting afresh
+     */
+    takeSelectorStats() {
+        const stats = this.selectorStats;
+        this.selectorStats = {};
+        return stats;
+    }
+
     /**
      * Get default job details structure
      */
     getDefaultJobDetails() {
         return {
             jobDescription: 'N/A',
+            jobDescriptionHtml: 'N/A',
+            jobDescriptionMarkdown: 'N/A',
             seniorityLevel: 'N/A',
             employmentType: 'N/A',
             jobFunction: 'N/A',
             industries: 'N/A',
             applicants: 'N/A',
-            datePosted: 'N/A'
+            applicantsMin: null,
+            applicantsMax: null,
+            datePosted: 'N/A',
+            datePostedText: 'N/A',
+            benefits: [],
+            benefitsText: 'N/A',
+            workplaceType: 'N/A',
+            remoteRegions: [],
+            applyMethod: 'N/A',
+            applyUrl: 'N/A',
+            applyDomain: 'N/A',
+            applyAts: 'N/A',
+            companyId: 'N/A',
+            companyUrl: 'N/A',
+            company: null,
+            posterContactId: 'N/A',
+            hiringTeamContactIds: [],
+            skills: [],
+            ...NORMALIZERS.parseRequirements(null)
         };
     }
 
@@ -426,50 +734,56 @@ class JobExtractor {
     }
 
     /**
-     * Extract salary information if available
+     * Extract salary information if available, parsed into
+     * { text, min, max, currency, period, estimated, annualMin, annualMax }
      */
-    extractSalaryInfo(element) {
-        const salarySelectors = [
-            '.job-search-card__salary-info',
-            '.salary-main-rail__salary-info',
-            '[data-test-id="salary-info"]'
-        ];
-
-        const salaryElement = this.findElementBySelectors(element, salarySelectors);
+    extractSalaryInfo(element, selectors = this.selectors.jobCard.salary, field = 'jobCard.salary') {
+        const salaryElement = this.findElementBySelectors(element, selectors, field);
         if (salaryElement) {
-            return this.cleanText(salaryElement.textContent);
+            return NORMALIZERS.parseSalary(this.cleanText(salaryElement.textContent)) || 'N/A';
         }
 
         return 'N/A';
     }
 
     /**
-     * Extract job benefits if available
+     * Extract the workplace type (remote, hybrid, on-site) and the regions remote work is open to,
+     * from a workplace badge if the page has one, else the given location or description text
      */
-    extractBenefits(document) {
-        const benefitsSelectors = [
-            '.job-details-benefits-module',
-            '.benefits-section',
-            '[data-test-id="benefits"]'
-        ];
+    extractWorkplaceInfo(element, selectors, field, { location = null, description = null } = {}) {
+        const badge = this.findElementBySelectors(element, selectors, field);
+
+        return NORMALIZERS.parseWorkplace({
+            badge: badge ? this.cleanText(badge.textContent) : null,
+            location,
+            description
+        });
+    }
 
+    /**
+     * Extract job benefits if available, as normalized keys (health, retirement, equity...)
+     * plus the benefit texts as shown on the page
+     */
+    extractBenefits(document) {
         const benefitsElement = this.findElementBySelectors(
             document.documentElement, 
-            benefitsSelectors
+            this.selectors.jobDetails.benefits,
+            'jobDetails.benefits'
         );
 
         if (benefitsElement) {
-            const benefitsList = benefitsElement.querySelectorAll('li, .benefit-item');
-            if (benefitsList.length > 0) {
-                return Array.from(benefitsList)
-                    .map(item => this.cleanText(item.textContent))
-                    .filter(benefit => benefit !== 'N/A')
-                    .join(', ');
-            }
-            return this.cleanText(benefitsElement.textContent);
+            const items = this.findAllBySelectors(benefitsElement, this.selectors.jobDetails.benefitItems)
+                .map(item => this.cleanText(item.textContent))
+                .filter(benefit => benefit !== 'N/A');
+            const texts = items.length > 0 ? items : [this.cleanText(benefitsElement.textContent)];
+
+            return {
+                benefits: NORMALIZERS.normalizeBenefits(texts),
+                benefitsText: texts.join('; ')
+            };
         }
 
-        return 'N/A';
+        return { benefits: [], benefitsText: 'N/A' };
     }
 }
 
@@ -1,9 +1,828 @@
 // options.js
 // Purpose: Handle options page functionality
 // Main Functions:
+// - Scraped jobs: search stored jobs, read descriptions as formatted HTML, Markdown or text, export.
+//   ?savedSearch=<id> or ?session=<id> (notification "View jobs" links) limits the list to that search.
+// - Batch searches: scrape lists of titles across lists of locations, follow their progress, export the merged jobs
+// - Skills: most common skills across scraped jobs and the user's skill dictionary entries
+// - Privacy: turn job poster and hiring team capture on or off, delete stored contacts
+// - Selector profiles: pick the active profile, edit, import and export selector profiles
+// - Selector health: per-field success rates of recent scrapes
 
-// loadSavedOptions(): Load settings from storage
-// saveOptions(): Save user preferences
-// validateApiSettings(): Test backend connection
-// exportData(): Export scraped data to CSV/JSON
-// clearStoredData(): Clear extension data
\ No newline at end of file
+class OptionsController {
+    constructor() {
+        this.profiles = [];
+        this.activeProfileId = SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID;
+        this.selectedProfileId = SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID;
+        this.storage = new StorageManager();
+        this.jobs = [];
+        this.jobLimit = 100; // Jobs listed at once
+        this.batches = [];
+        this.jobsScope = null; // { filters, label } when the page was opened for one search or session
+
+        this.initializeOptions();
+    }
+
+    /**
+     * Load stored options and set up event listeners
+     */
+    async initializeOptions() {
+        try {
+            this.setupEventListeners();
+            await this.loadJobsScope();
+            await this.loadJobs();
+            await this.loadBatches();
+            await this.loadCustomSkills();
+            await this.loadPrivacySettings();
+            await this.loadSelectorProfiles();
+            await this.loadSelectorHealth();
+        } catch (error) {
+            console.error('Error initializing options:', error);
+            this.showStatusMessage('Error loading settings', 'error');
+        }
+    }
+
+    /**
+     * Set up all event listeners for the options page
+     */
+    setupEventListeners() {
+        document.getElementById('jobQuery').addEventListener('input', HELPERS.debounce(() => {
+            this.loadJobs();
+        }, 300));
+
+        document.getElementById('descriptionFormat').addEventListener('change', () => {
+            this.displayJobs();
+        });
+
+        document.getElementById('clearJobsScope').addEventListener('click', () => {
+            this.clearJobsScope();
+        });
+
+        document.getElementById('refreshJobs').addEventListener('click', () => {
+            this.loadJobs();
+        });
+
+        document.getElementById('exportJobsJson').addEventListener('click', () => {
+            this.handleExportJobs('json', this.jobsScope?.filters);
+        });
+
+        document.getElementById('exportJobsCsv').addEventListener('click', () => {
+            this.handleExportJobs('csv', this.jobsScope?.filters);
+        });
+
+        document.getElementById('batchTitles').addEventListener('input', () => {
+            this.displayBatchSummary();
+        });
+
+        document.getElementById('batchLocations').addEventListener('input', () => {
+            this.displayBatchSummary();
+        });
+
+        document.getElementById('startBatch').addEventListener('click', () => {
+            this.handleStartBatch();
+        });
+
+        document.getElementById('refreshBatches').addEventListener('click', () => {
+            this.loadBatches();
+        });
+
+        // Batch progress arrives with the progress broadcasts of its scrapes
+        chrome.runtime.onMessage.addListener(
+            PROTOCOL.createListener((message) => this.handleBatchProgress(message.data), {
+                accepts: [PROTOCOL.MESSAGES.SCRAPING_PROGRESS]
+            })
+        );
+
+        document.getElementById('saveCustomSkills').addEventListener('click', () => {
+            this.handleSaveCustomSkills();
+        });
+
+        document.getElementById('captureHiringTeam').addEventListener('change', (e) => {
+            this.handleCaptureHiringTeamChange(e.target.checked);
+        });
+
+        document.getElementById('deleteContacts').addEventListener('click', () => {
+            this.handleDeleteContacts();
+        });
+
+        document.getElementById('profileSelect').addEventListener('change', (e) => {
+            this.selectedProfileId = e.target.value;
+            this.displaySelectedProfile();
+        });
+
+        document.getElementById('activateProfile').addEventListener('click', () => {
+            this.handleActivateProfile();
+        });
+
+        document.getElementById('saveProfile').addEventListener('click', () => {
+            this.handleSaveProfile(false);
+        });
+
+        document.getElementById('saveProfileAsNew').addEventListener('click', () => {
+            this.handleSaveProfile(true);
+        });
+
+        document.getElementById('deleteProfile').addEventListener('click', () => {
+            this.handleDeleteProfile();
+        });
+
+        document.getElementById('exportProfiles').addEventListener('click', () => {
+            this.handleExportProfiles();
+        });
+
+        document.getElementById('importProfiles').addEventListener('change', (e) => {
+            this.handleImportProfiles(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('refreshSelectorHealth').addEventListener('click', () => {
+            this.loadSelectorHealth();
+        });
+    }
+
+    /**
+     * Limit the job list to the saved search or session named in the page URL
+     */
+    async loadJobsScope() {
+        const params = new URLSearchParams(location.search);
+        const savedSearchId = params.get('savedSearch');
+        const sessionId = params.get('session');
+
+        if (savedSearchId) {
+            let name = savedSearchId;
+            try {
+                const { searches } = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_SAVED_SEARCHES);
+                name = searches.find(search => search.id === savedSearchId)?.name || name;
+            } catch (error) {
+                console.error('Error loading saved searches:', error);
+            }
+            this.jobsScope = { filters: { savedSearchId }, label: `Jobs from saved search "${name}"` };
+        } else if (sessionId) {
+            const session = await this.storage.getScrapingSession(sessionId);
+            const name = session
+                ? session.params?.batchName || `${session.params?.jobTitle} in ${session.params?.location}`
+                : sessionId;
+            this.jobsScope = { filters: { sessionId }, label: `Jobs from the scrape "${name}"` };
+        } else {
+            this.jobsScope = null;
+        }
+
+        document.getElementById('jobsScopeText').textContent = this.jobsScope ? `${this.jobsScope.label}.` : '';
+        document.getElementById('jobsScope').classList.toggle('hidden', !this.jobsScope);
+    }
+
+    /**
+     * Go back to the jobs of every session
+     */
+    async clearJobsScope() {
+        history.replaceState(null, '', location.pathname + location.hash);
+        await this.loadJobsScope();
+        await this.loadJobs();
+    }
+
+    /**
+     * Load stored jobs matching the search box, newest sessions first
+     */
+    async loadJobs() {
+        try {
+            const result = await this.storage.searchJobs({
+                sessionFilters: this.jobsScope?.filters,
+                query: document.getElementById('jobQuery').value.trim(),
+                limit: this.jobLimit,
+                sortBy: 'sessionDate'
+            });
+            this.jobs = result.jobs;
+            this.displayJobs();
+            await this.loadTopSkills();
+        } catch (error) {
+            console.error('Error loading jobs:', error);
+            this.showStatusMessage('Error loading jobs', 'error');
+        }
+    }
+
+    /**
+     * Render the job list with descriptions in the selected format
+     */
+    displayJobs() {
+        const list = document.getElementById('jobsList');
+        const summary = document.getElementById('jobsSummary');
+        const format = document.getElementById('descriptionFormat').value;
+
+        list.innerHTML = '';
+        summary.textContent = this.jobs.length === 0
+            ? 'No jobs found.'
+            : `Showing ${this.jobs.length} jobs${this.jobs.length === this.jobLimit ? ' (refine the search to see others)' : ''}.`;
+
+        this.jobs.forEach(job => {
+            const item = document.createElement('details');
+            item.className = 'job-item';
+
+            const title = document.createElement('summary');
+            title.textContent = [job.jobTitle, job.companyName, job.location]
+                .filter(value => value && value !== 'N/A')
+                .join(' · ');
+            item.appendChild(title);
+
+            if (job.jobUrl && job.jobUrl !== 'N/A') {
+                const link = document.createElement('a');
+                link.href = job.jobUrl;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = 'Open on LinkedIn';
+                item.appendChild(link);
+            }
+
+            if (job.applyMethod === 'easy-apply' || job.applyMethod === 'external') {
+                const apply = document.createElement('p');
+                apply.className = 'job-apply';
+                const target = [job.applyAts, job.applyDomain].filter(value => value && value !== 'N/A');
+                apply.textContent = job.applyMethod === 'easy-apply'
+                    ? 'Easy Apply'
+                    : `External application${target.length > 0 ? ` on ${target.join(', ')}` : ''}`;
+                item.appendChild(apply);
+            }
+
+            if (job.company) {
+                const company = document.createElement('p');
+                company.className = 'job-company';
+                const size = job.company.sizeBand !== 'N/A' ? `${job.company.sizeBand} employees` : null;
+                company.textContent = [job.company.industry, size, job.company.headquarters]
+                    .filter(value => value && value !== 'N/A')
+                    .join(' · ');
+                if (company.textContent) {
+                    item.appendChild(company);
+                }
+            }
+
+            if (job.poster) {
+                const poster = document.createElement('p');
+                poster.className = 'job-poster';
+                poster.textContent = `Posted by ${[job.poster.name, job.poster.title]
+                    .filter(value => value && value !== 'N/A')
+                    .join(', ')}`;
+                item.appendChild(poster);
+            }
+
+            if (Array.isArray(job.skills) && job.skills.length > 0) {
+                const skills = document.createElement('p');
+                skills.className = 'job-skills';
+                skills.textContent = `Skills: ${job.skills.join(', ')}`;
+                item.appendChild(skills);
+            }
+
+            item.appendChild(this.createDescriptionElement(job, format));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Read a one-entry-per-line list from a textarea
+     */
+    readLines(elementId) {
+        return document.getElementById(elementId).value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Show how many searches the entered titles and locations make
+     */
+    displayBatchSummary() {
+        const titles = new Set(this.readLines('batchTitles'));
+        const locations = new Set(this.readLines('batchLocations'));
+        const count = titles.size * locations.size;
+
+        document.getElementById('batchSummary').textContent = count === 0
+            ? ''
+            : `${titles.size} titles × ${locations.size} locations = ${count} searches.`;
+    }
+
+    /**
+     * Queue a batch search for the entered titles and locations
+     */
+    async handleStartBatch() {
+        try {
+            const reply = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.START_BATCH, {
+                titles: this.readLines('batchTitles'),
+                locations: this.readLines('batchLocations'),
+                numPages: parseInt(document.getElementById('batchPages').value, 10)
+            });
+
+            this.showStatusMessage(
+                `Queued ${reply.searches} searches${reply.queuePaused ? ' (the queue is paused)' : ''}`,
+                'success'
+            );
+            await this.loadBatches();
+        } catch (error) {
+            console.error('Error starting batch:', error);
+            this.showStatusMessage(`Batch not started: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load batches and their progress from the background
+     */
+    async loadBatches() {
+        try {
+            const { batches } = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_BATCHES);
+            this.batches = batches;
+            this.displayBatches();
+        } catch (error) {
+            console.error('Error loading batches:', error);
+        }
+    }
+
+    /**
+     * Update a batch's progress from a scrape of it, reloading the list when a scrape ends
+     */
+    handleBatchProgress(data) {
+        if (!data.batchId) {
+            return {};
+        }
+
+        const batch = this.batches.find(entry => entry.id === data.batchId);
+        if (!batch || data.status !== 'running') {
+            this.loadBatches();
+        } else {
+            batch.progress = data.batchProgress;
+            this.displayBatches();
+        }
+
+        return {};
+    }
+
+    displayBatches() {
+        const list = document.getElementById('batchList');
+        // Progress updates re-render the list; keep expanded batches open
+        const expanded = new Set(Array.from(list.querySelectorAll('details[open]')).map(item => item.dataset.batchId));
+        list.innerHTML = '';
+
+        this.batches.forEach(batch => {
+            const item = document.createElement('details');
+            item.className = `batch-item batch-${batch.status}`;
+            item.dataset.batchId = batch.id;
+            item.open = expanded.has(batch.id);
+
+            const counts = {};
+            batch.combinations.forEach(combination => {
+                counts[combination.status] = (counts[combination.status] || 0) + 1;
+            });
+
+            const title = document.createElement('summary');
+            title.textContent = `${batch.name} · ${this.formatBatchStatus(batch, counts)}`;
+            item.appendChild(title);
+
+            const combinations = document.createElement('ul');
+            batch.combinations.forEach(combination => {
+                const entry = document.createElement('li');
+                entry.textContent = `${combination.jobTitle} in ${combination.location}: ${combination.status}` +
+                    (combination.status === 'completed' ? ` (${combination.jobCount} jobs)` : '') +
+                    (combination.error ? ` (${combination.error})` : '');
+                combinations.appendChild(entry);
+            });
+            item.appendChild(combinations);
+
+            const actions = document.createElement('div');
+            actions.className = 'batch-actions';
+
+            if (batch.status === 'running') {
+                const cancel = document.createElement('button');
+                cancel.type = 'button';
+                cancel.className = 'btn btn-outline';
+                cancel.textContent = 'Cancel Batch';
+                cancel.addEventListener('click', () => this.handleCancelBatch(batch.id));
+                actions.appendChild(cancel);
+            }
+
+            if (batch.mergedSessionId) {
+                ['csv', 'json'].forEach(format => {
+                    const exportButton = document.createElement('button');
+                    exportButton.type = 'button';
+                    exportButton.className = 'btn btn-outline';
+                    exportButton.textContent = `Export Merged ${format.toUpperCase()}`;
+                    exportButton.addEventListener('click', () => this.handleExportJobs(format, { sessionId: batch.mergedSessionId }));
+                    actions.appendChild(exportButton);
+                });
+            }
+
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * One-line status of a batch: progress while it runs, merged job counts once it ended
+     */
+    formatBatchStatus(batch, counts) {
+        const searches = batch.combinations.length;
+
+        if (batch.status === 'running' || batch.status === 'merging') {
+            return `${batch.progress}% · ${counts.completed || 0}/${searches} searches done`;
+        }
+
+        const failed = searches - (counts.completed || 0);
+        return `${batch.status} · ${batch.uniqueJobs} unique jobs (${batch.totalJobs} found)` +
+            (failed > 0 ? ` · ${failed} of ${searches} searches did not complete` : '');
+    }
+
+    /**
+     * Cancel the searches of a batch that have not ended
+     */
+    async handleCancelBatch(batchId) {
+        try {
+            await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.CANCEL_BATCH, { id: batchId });
+            await this.loadBatches();
+        } catch (error) {
+            console.error('Error cancelling batch:', error);
+            this.showStatusMessage(`Error cancelling batch: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the skills most often mentioned by the jobs matching the search box.
+     * Clicking a skill searches for it.
+     */
+    async loadTopSkills() {
+        const container = document.getElementById('topSkills');
+        const { skills, totalJobs } = await this.storage.getSkillStats({
+            sessionFilters: this.jobsScope?.filters,
+            query: document.getElementById('jobQuery').value.trim(),
+            limit: 15
+        });
+
+        container.innerHTML = '';
+        if (skills.length === 0) {
+            return;
+        }
+
+        const label = document.createElement('span');
+        label.textContent = `Top skills across ${totalJobs} jobs: `;
+        container.appendChild(label);
+
+        skills.forEach(({ skill, count }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'skill-tag';
+            button.textContent = `${skill} (${count})`;
+            button.addEventListener('click', () => {
+                document.getElementById('jobQuery').value = skill;
+                this.loadJobs();
+            });
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Load the user's skill dictionary entries into the editor
+     */
+    async loadCustomSkills() {
+        const customSkills = await SKILLS.getCustomSkills();
+        document.getElementById('customSkills').value = JSON.stringify(customSkills, null, 2);
+    }
+
+    async handleSaveCustomSkills() {
+        try {
+            let customSkills;
+            try {
+                customSkills = JSON.parse(document.getElementById('customSkills').value || '{}');
+            } catch (error) {
+                throw new Error(`Custom skills are not valid JSON: ${error.message}`);
+            }
+
+            await SKILLS.saveCustomSkills(customSkills);
+            await this.loadCustomSkills();
+            this.showStatusMessage(`Saved ${Object.keys(customSkills).length} custom skills`, 'success');
+        } catch (error) {
+            console.error('Error saving custom skills:', error);
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    async loadPrivacySettings() {
+        const { settings } = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_SETTINGS);
+        document.getElementById('captureHiringTeam').checked = settings.captureHiringTeam !== false;
+
+        const count = Object.keys(await this.storage.contactStore.getAll()).length;
+        document.getElementById('contactsSummary').textContent = count > 0
+            ? `${count} contact${count === 1 ? '' : 's'} stored.`
+            : 'No contacts stored.';
+        document.getElementById('deleteContacts').disabled = count === 0;
+    }
+
+    async handleCaptureHiringTeamChange(enabled) {
+        try {
+            await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.UPDATE_SETTINGS, {
+                settings: { captureHiringTeam: enabled }
+            });
+            this.showStatusMessage(
+                enabled ? 'Hiring team capture turned on' : 'Hiring team capture turned off',
+                'success'
+            );
+        } catch (error) {
+            console.error('Error updating hiring team capture:', error);
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    async handleDeleteContacts() {
+        if (!confirm('Delete every stored job poster and hiring team contact?')) {
+            return;
+        }
+
+        try {
+            const removed = await this.storage.contactStore.clear();
+            await this.loadPrivacySettings();
+            await this.loadJobs();
+            this.showStatusMessage(`Deleted ${removed} contacts`, 'success');
+        } catch (error) {
+            console.error('Error deleting contacts:', error);
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Description of a job in the given format. Stored HTML is sanitized again before rendering.
+     */
+    createDescriptionElement(job, format) {
+        const { jobDescription } = DESCRIPTION_FORMATTER.applyFormat(job, format);
+        const hasHtml = format === 'html' && job.jobDescriptionHtml && job.jobDescriptionHtml !== 'N/A';
+
+        const element = document.createElement(format === 'markdown' ? 'pre' : 'div');
+        element.className = `job-description job-description-${format}`;
+
+        if (hasHtml) {
+            element.innerHTML = DESCRIPTION_FORMATTER.sanitizeHtml(job.jobDescriptionHtml);
+            element.querySelectorAll('a').forEach(link => {
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+            });
+        } else {
+            element.textContent = jobDescription || 'N/A';
+        }
+
+        return element;
+    }
+
+    /**
+     * Download the stored jobs, with descriptions in the selected format.
+     * filters: StorageManager session filters, e.g. { sessionId } for one session
+     */
+    async handleExportJobs(format, filters = {}) {
+        try {
+            const descriptionFormat = document.getElementById('descriptionFormat').value;
+            const { data, filename, mimeType } = await this.storage.exportData({
+                format,
+                filters,
+                includeDetails: false,
+                descriptionFormat
+            });
+
+            const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting jobs:', error);
+            this.showStatusMessage(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load selector profiles and the active profile from storage
+     */
+    async loadSelectorProfiles() {
+        this.profiles = await SELECTOR_REGISTRY.getProfiles();
+        this.activeProfileId = (await SELECTOR_REGISTRY.getActiveProfile()).id;
+
+        if (!this.getProfile(this.selectedProfileId)) {
+            this.selectedProfileId = this.activeProfileId;
+        }
+
+        this.displayProfileList();
+        this.displaySelectedProfile();
+    }
+
+    getProfile(profileId) {
+        if (profileId === SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID) {
+            return SELECTOR_REGISTRY.getBuiltInProfile();
+        }
+        return this.profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    displayProfileList() {
+        const select = document.getElementById('profileSelect');
+        select.innerHTML = '';
+
+        [SELECTOR_REGISTRY.getBuiltInProfile(), ...this.profiles].forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.id === this.activeProfileId
+                ? `${profile.name} (active)`
+                : profile.name;
+            select.appendChild(option);
+        });
+
+        select.value = this.selectedProfileId;
+    }
+
+    displaySelectedProfile() {
+        const profile = this.getProfile(this.selectedProfileId);
+        const isBuiltIn = Boolean(profile.builtIn);
+
+        document.getElementById('profileName').value = isBuiltIn ? '' : profile.name;
+        document.getElementById('profileSelectors').value = JSON.stringify(profile.selectors, null, 2);
+        document.getElementById('profileMeta').textContent = isBuiltIn
+            ? 'Ships with the extension and cannot be changed; use "Save as New" to start a profile from it'
+            : `Version ${profile.version}, updated ${HELPERS.formatDate(profile.updatedAt)}`;
+
+        document.getElementById('saveProfile').disabled = isBuiltIn;
+        document.getElementById('deleteProfile').disabled = isBuiltIn;
+        document.getElementById('activateProfile').disabled = profile.id === this.activeProfileId;
+    }
+
+    /**
+     * Read the profile being edited from the form
+     */
+    getEditedProfile() {
+        let selectors;
+        try {
+            selectors = JSON.parse(document.getElementById('profileSelectors').value);
+        } catch (error) {
+            throw new Error(`Selectors are not valid JSON: ${error.message}`);
+        }
+
+        return {
+            name: document.getElementById('profileName').value,
+            selectors
+        };
+    }
+
+    async handleSaveProfile(asNew) {
+        try {
+            const edited = this.getEditedProfile();
+            const profile = await SELECTOR_REGISTRY.saveProfile({
+                ...edited,
+                id: asNew ? null : this.selectedProfileId
+            });
+
+            this.selectedProfileId = profile.id;
+            await this.loadSelectorProfiles();
+            this.showStatusMessage(`Saved "${profile.name}" (version ${profile.version})`, 'success');
+
+        } catch (error) {
+            console.error('Error saving selector profile:', error);
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    async handleActivateProfile() {
+        try {
+            await SELECTOR_REGISTRY.setActiveProfile(this.selectedProfileId);
+            await this.loadSelectorProfiles();
+            this.showStatusMessage('Scrapes will use this profile from the next page load', 'success');
+        } catch (error) {
+            console.error('Error activating selector profile:', error);
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    async handleDeleteProfile() {
+        const profile = this.getProfile(this.selectedProfileId);
+        if (!profile || profile.builtIn || !confirm(`Delete selector profile "${profile.name}"?`)) {
+            return;
+        }
+
+        try {
+            await SELECTOR_REGISTRY.deleteProfile(profile.id);
+            this.selectedProfileId = SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID;
+            await this.loadSelectorProfiles();
+            this.showStatusMessage(`Deleted "${profile.name}"`, 'success');
+        } catch (error) {
+            console.error('Error deleting selector profile:', error);
+            this.showStatusMessage(error.message, 'error');
+        }
+    }
+
+    async handleExportProfiles() {
+        try {
+            if (this.profiles.length === 0) {
+                this.showStatusMessage('No custom selector profiles to export', 'warning');
+                return;
+            }
+
+            const data = await SELECTOR_REGISTRY.exportProfiles();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `linkedin_selector_profiles_${new Date().toISOString().split('T')[0]}.json`;
+            a.click();
+
+            URL.revokeObjectURL(url);
+            this.showStatusMessage(`Exported ${data.profiles.length} selector profiles`, 'success');
+
+        } catch (error) {
+            console.error('Error exporting selector profiles:', error);
+            this.showStatusMessage('Error exporting selector profiles', 'error');
+        }
+    }
+
+    async handleImportProfiles(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await file.text());
+            const { imported, skipped } = await SELECTOR_REGISTRY.importProfiles(data);
+            await this.loadSelectorProfiles();
+
+            const lines = [`Imported ${imported.length} selector profiles`];
+            skipped.forEach(entry => lines.push(`Skipped "${entry.name}": ${entry.reason}`));
+            this.showStatusMessage(lines.join('\n'), skipped.length > 0 ? 'warning' : 'success');
+
+        } catch (error) {
+            console.error('Error importing selector profiles:', error);
+            this.showStatusMessage('Error importing selector profiles: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Load the selector health report from the background
+     */
+    async loadSelectorHealth() {
+        try {
+            const { report } = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_SELECTOR_HEALTH);
+            this.displaySelectorHealth(report);
+        } catch (error) {
+            console.error('Error loading selector health:', error);
+        }
+    }
+
+    displaySelectorHealth(report) {
+        const table = document.getElementById('selectorHealthTable');
+        const rows = document.getElementById('selectorHealthRows');
+        const summary = document.getElementById('selectorHealthSummary');
+
+        if (report.fields.length === 0) {
+            table.classList.add('hidden');
+            summary.textContent = 'No scrapes recorded yet.';
+            return;
+        }
+
+        const problems = report.fields.filter(field => field.status === 'degraded' || field.status === 'failing').length;
+        summary.textContent = `${report.sessionCount} scrapes recorded` +
+            (report.lastProfile ? `, last one with profile "${report.lastProfile.name}"` : '') +
+            (problems > 0 ? `. ${problems} fields need attention.` : '. All fields healthy.');
+
+        const formatRate = (rate) => rate === null ? '-' : `${Math.round(rate * 100)}%`;
+
+        rows.innerHTML = '';
+        report.fields.forEach(field => {
+            const row = document.createElement('tr');
+            row.className = `health-${field.status}`;
+
+            const cells = [
+                field.field,
+                field.status,
+                `${formatRate(field.latest.rate)} (${field.latest.hits}/${field.latest.attempts})`,
+                formatRate(field.averageRate),
+                field.trend.map(entry => formatRate(entry.rate)).join(' → '),
+                field.selectors.map(entry => `${entry.selector} (${entry.hits})`).join(', ') || 'none'
+            ];
+
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            rows.appendChild(row);
+        });
+
+        table.classList.remove('hidden');
+    }
+
+    showStatusMessage(message, type = 'info') {
+        const statusElement = document.getElementById('statusMessage');
+        const textElement = document.getElementById('statusText');
+
+        statusElement.className = `status-message ${type}`;
+        textElement.textContent = message;
+        statusElement.classList.remove('hidden');
+
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            statusElement.classList.add('hidden');
+        }, 5000);
+    }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsController();
+});
@@ -9,6 +9,9 @@ class PopupController {
         this.isScrapingActive = false;
         this.scrapingStartTime = null;
         this.totalJobsFound = 0;
+        this.queuePaused = false;
+        this.editingSearchId = null; // Saved search the form is editing; "Save Search" updates it
+        this.storage = new StorageManager();
         
         this.initializePopup();
     }
@@ -32,8 +35,10 @@ class PopupController {
             // Set up event listeners
             this.setupEventListeners();
             
-            // Load recent searches
+            // Load recent and saved searches
             await this.loadRecentSearches();
+            await this.loadSavedSearches();
+            await this.loadQueue();
             
             // Load saved form data
             await this.loadSavedFormData();
@@ -57,7 +62,21 @@ class PopupController {
             this.handleSearchSubmit();
         });
 
+        // Scrape the search open in the tab
+        document.getElementById('scrapeCurrentPage').addEventListener('click', () => {
+            this.handleScrapeCurrentPage();
+        });
+
+        // Save search button
+        document.getElementById('saveSearch').addEventListener('click', () => {
+            this.handleSaveSearch();
+        });
+
         // Stop scraping button
+        document.getElementById('toggleQueue').addEventListener('click', () => {
+            this.handleToggleQueue();
+        });
+
         document.getElementById('stopScraping').addEventListener('click', () => {
             this.handleStopScraping();
         });
@@ -83,13 +102,15 @@ class PopupController {
             this.openHelpPage();
         });
 
-        // Listen for messages from content script
-        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            this.handleContentScriptMessage(message, sender, sendResponse);
-        });
+        // Listen for progress broadcasts from the background
+        chrome.runtime.onMessage.addListener(
+            PROTOCOL.createListener((message) => this.handleBackgroundMessage(message), {
+                accepts: [PROTOCOL.MESSAGES.SCRAPING_PROGRESS]
+            })
+        );
 
-        // Form input changes (for auto-save)
-        ['jobTitle', 'location', 'maxPages'].forEach(fieldId => {
+        // Form input changes (for auto-save); every search filter has an element with its name as id
+        ['jobTitle', 'location', 'maxPages', ...Object.keys(CONSTANTS.SEARCH_FILTERS)].forEach(fieldId => {
             document.getElementById(fieldId).addEventListener('input', () => {
                 this.saveFormData();
             });
@@ -124,10 +145,49 @@ class PopupController {
         }
     }
 
+    /**
+     * Scrape the search results open in the tab as they are, filters and sort order included
+     */
+    async handleScrapeCurrentPage() {
+        try {
+            const isReady = await this.checkContentScriptReady();
+            if (!isReady) {
+                this.showStatusMessage('Please refresh the LinkedIn page and try again', 'error');
+                return;
+            }
+
+            await this.requestScraping({
+                tabId: this.currentTabId,
+                mode: 'current-page',
+                numPages: this.getFormData().maxPages
+            });
+
+        } catch (error) {
+            console.error('Error scraping current page:', error);
+            this.showStatusMessage('Error starting search', 'error');
+        }
+    }
+
     /**
      * Start the scraping process
      */
     async startScraping(searchParams) {
+        // Save search to history
+        await this.saveSearchHistory(searchParams);
+
+        await this.requestScraping({
+            tabId: this.currentTabId,
+            jobTitle: searchParams.jobTitle,
+            location: searchParams.location,
+            numPages: searchParams.maxPages,
+            filters: searchParams.filters
+        });
+    }
+
+    /**
+     * Ask the background to start a scrape in the current tab and show its progress
+     */
+    async requestScraping(payload) {
         try {
             this.isScrapingActive = true;
             this.scrapingStartTime = Date.now();
@@ -139,21 +199,17 @@ class PopupController {
             this.hideSection('recentSearches');
             this.hideSection('resultsSection');
 
-            // Save search to history
-            await this.saveSearchHistory(searchParams);
+            const response = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.START_SCRAPING, payload);
 
-            // Send message to content script to start scraping
-            const response = await chrome.tabs.sendMessage(this.currentTabId, {
-                type: 'START_SCRAPING',
-                data: searchParams
-            });
-
-            if (!response || !response.success) {
-                throw new Error(response?.error || 'Failed to start scraping');
+            if (response.queued) {
+                this.updateProgress(0, response.queuePaused
+                    ? `Queued at position ${response.position} (queue paused)...`
+                    : `Queued at position ${response.position}...`);
+                await this.loadQueue();
+            } else {
+                this.updateProgress(0, 'Starting job search...');
             }
 
-            this.updateProgress(0, 'Starting job search...');
-
         } catch (error) {
             console.error('Error starting scraping:', error);
             this.showStatusMessage('Failed to start scraping: ' + error.message, 'error');
@@ -166,9 +222,9 @@ class PopupController {
      */
     async handleStopScraping() {
         try {
-            // Send stop message to content script
-            await chrome.tabs.sendMessage(this.currentTabId, {
-                type: 'STOP_SCRAPING'
+            // Ask the background to stop scraping in the current tab
+            await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.STOP_SCRAPING, {
+                tabId: this.currentTabId
             });
 
             this.isScrapingActive = false;
@@ -182,46 +238,49 @@ class PopupController {
     }
 
     /**
-     * Handle messages from content script
+     * Handle messages broadcast by the background
      */
-    handleContentScriptMessage(message, sender, sendResponse) {
+    handleBackgroundMessage(message) {
         switch (message.type) {
-            case 'PROGRESS_UPDATE':
+            case PROTOCOL.MESSAGES.SCRAPING_PROGRESS:
                 this.handleProgressUpdate(message.data);
                 break;
-            
-            case 'SCRAPING_COMPLETE':
-                this.handleScrapingComplete(message.data);
-                break;
-            
-            case 'SCRAPING_ERROR':
-                this.handleScrapingError(message.data);
-                break;
-            
-            case 'JOB_FOUND':
-                this.handleJobFound(message.data);
-                break;
-
-            default:
-                console.log('Unknown message type:', message.type);
         }
-        
-        sendResponse({ success: true });
+
+        return {};
     }
 
     /**
-     * Handle progress updates from content script
+     * Handle progress updates for scraping jobs
      */
     handleProgressUpdate(data) {
-        const { current, total, status, jobsFound } = data;
-        
-        if (jobsFound !== undefined) {
-            this.totalJobsFound = jobsFound;
-            document.getElementById('jobsFound').textContent = jobsFound;
+        const { tabId, progress, status, extractedCount, message } = data;
+
+        // Any job starting or finishing changes the queue
+        this.loadQueue();
+
+        // Ignore jobs running in other tabs
+        if (tabId !== this.currentTabId) {
+            return;
         }
 
-        const percentage = total > 0 ? Math.round((current / total) * 100) : 0;
-        this.updateProgress(percentage, status);
+        this.totalJobsFound = extractedCount;
+        document.getElementById('jobsFound').textContent = extractedCount;
+
+        switch (status) {
+            case 'completed':
+                this.handleScrapingComplete({ jobsFound: extractedCount });
+                break;
+
+            case 'cancelled':
+            case 'timeout':
+            case 'failed':
+                this.handleScrapingError({ message: message || `Scraping ${status}` });
+                break;
+
+            default:
+                this.updateProgress(progress, message || 'Scraping...');
+        }
     }
 
     /**
@@ -256,14 +315,6 @@ class PopupController {
         this.resetToSearchForm();
     }
 
-    /**
-     * Handle individual job found notification
-     */
-    handleJobFound(data) {
-        this.totalJobsFound++;
-        document.getElementById('jobsFound').textContent = this.totalJobsFound;
-    }
-
     /**
      * Update progress display
      */
@@ -273,28 +324,25 @@ class PopupController {
     }
 
     /**
-     * Export scraped data
+     * Export all scraped jobs as CSV, with the same columns as the options page export
      */
     async handleExportData() {
         try {
-            // Get stored job data
-            const jobData = await StorageManager.getJobData();
-            
-            if (!jobData || jobData.length === 0) {
+            const { totalJobs } = await this.storage.calculateStorageStats();
+            if (totalJobs === 0) {
                 this.showStatusMessage('No data to export', 'warning');
                 return;
             }
 
-            // Convert to CSV format
-            const csvData = this.convertToCSV(jobData);
-            
-            // Create download
-            const blob = new Blob([csvData], { type: 'text/csv' });
-            const url = URL.createObjectURL(blob);
-            
+            const { data, filename, mimeType } = await this.storage.exportData({
+                format: 'csv',
+                includeDetails: false
+            });
+
+            const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
             const a = document.createElement('a');
             a.href = url;
-            a.download = `linkedin_jobs_${new Date().toISOString().split('T')[0]}.csv`;
+            a.download = filename;
             a.click();
             
             URL.revokeObjectURL(url);
@@ -306,11 +354,53 @@ class PopupController {
         }
     }
 
+    /**
+     * Save the current form as a search the background re-runs on its interval,
+     * or update the saved search being edited
+     */
+    async handleSaveSearch() {
+        try {
+            const formData = this.getFormData();
+            if (!this.validateFormData(formData)) {
+                return;
+            }
+
+            const quietStart = document.getElementById('quietStart').value;
+            const quietEnd = document.getElementById('quietEnd').value;
+            if (Boolean(quietStart) !== Boolean(quietEnd)) {
+                this.showStatusMessage('Please enter both a start and an end for quiet hours', 'error');
+                return;
+            }
+
+            const { search } = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.SAVE_SEARCH, {
+                search: {
+                    ...(this.editingSearchId ? { id: this.editingSearchId } : {}),
+                    name: document.getElementById('searchName').value.trim(),
+                    jobTitle: formData.jobTitle,
+                    location: formData.location,
+                    numPages: formData.maxPages,
+                    filters: formData.filters,
+                    intervalMinutes: parseInt(document.getElementById('searchInterval').value, 10),
+                    notificationMode: document.getElementById('searchNotifications').value,
+                    quietHours: quietStart ? { start: quietStart, end: quietEnd } : null
+                }
+            });
+
+            this.showStatusMessage(`${this.editingSearchId ? 'Updated' : 'Saved'} "${search.name}"`, 'success');
+            this.setEditingSearch(null);
+            await this.loadSavedSearches();
+
+        } catch (error) {
+            console.error('Error saving search:', error);
+            this.showStatusMessage('Error saving search: ' + error.message, 'error');
+        }
+    }
+
     /**
      * View jobs in options page
      */
     handleViewJobs() {
-        chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html') });
+        chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#jobs') });
     }
 
     /**
@@ -329,10 +419,45 @@ class PopupController {
         return {
             jobTitle: document.getElementById('jobTitle').value.trim(),
             location: document.getElementById('location').value.trim(),
-            maxPages: parseInt(document.getElementById('maxPages').value)
+            maxPages: parseInt(document.getElementById('maxPages').value),
+            filters: this.getFilterFields()
         };
     }
 
+    /**
+     * Search filters set in the form, keyed like CONSTANTS.SEARCH_FILTERS: a list of the checked
+     * boxes for filters taking several values, the selected value otherwise. Unset filters are left out.
+     */
+    getFilterFields() {
+        const filters = {};
+        for (const [name, filter] of Object.entries(CONSTANTS.SEARCH_FILTERS)) {
+            const values = Array.from(document.querySelectorAll(`[name="${name}"]`))
+                .filter(field => field.tagName === 'SELECT' || field.checked)
+                .map(field => field.value)
+                .filter(Boolean);
+            if (values.length > 0) {
+                filters[name] = filter.multiple ? values : values[0];
+            }
+        }
+        return filters;
+    }
+
+    /**
+     * Set the filter fields of the form; filters left out are reset
+     */
+    setFilterFields(filters = {}) {
+        for (const name of Object.keys(CONSTANTS.SEARCH_FILTERS)) {
+            const values = [].concat(filters[name] ?? []).map(String);
+            document.querySelectorAll(`[name="${name}"]`).forEach(field => {
+                if (field.tagName === 'SELECT') {
+                    field.value = values[0] || '';
+                } else {
+                    field.checked = values.includes(field.value);
+                }
+            });
+        }
+    }
+
     validateFormData(data) {
         if (!data.jobTitle) {
             this.showStatusMessage('Please enter a job title', 'error');
@@ -347,10 +472,8 @@ class PopupController {
 
     async checkContentScriptReady() {
         try {
-            const response = await chrome.tabs.sendMessage(this.currentTabId, {
-                type: 'PING'
-            });
-            return response && response.success;
+            const response = await PROTOCOL.sendToTab(this.currentTabId, PROTOCOL.MESSAGES.PING);
+            return response.alive === true;
         } catch (error) {
             return false;
         }
@@ -365,10 +488,11 @@ class PopupController {
         try {
             const settings = await StorageManager.getUserSettings();
             if (settings && settings.lastSearch) {
-                const { jobTitle, location, maxPages } = settings.lastSearch;
+                const { jobTitle, location, maxPages, filters } = settings.lastSearch;
                 if (jobTitle) document.getElementById('jobTitle').value = jobTitle;
                 if (location) document.getElementById('location').value = location;
                 if (maxPages) document.getElementById('maxPages').value = maxPages;
+                this.setFilterFields(filters);
             }
         } catch (error) {
             console.error('Error loading saved form data:', error);
@@ -413,50 +537,293 @@ class PopupController {
         `).join('');
 
         // Add click handlers for recent searches
-        container.querySelectorAll('.recent-item').forEach(item => {
+        container.querySelectorAll('.recent-item').forEach((item, index) => {
             item.addEventListener('click', () => {
                 document.getElementById('jobTitle').value = item.dataset.jobTitle;
                 document.getElementById('location').value = item.dataset.location;
+                this.setFilterFields(searches[index].filters);
             });
         });
 
         section.classList.remove('hidden');
     }
 
-    convertToCSV(jobData) {
-        const headers = [
-            'Job ID', 'Job Title', 'Company Name', 'Location', 'Job URL',
-            'Listing Date', 'Job Description', 'Seniority Level', 'Employment Type',
-            'Job Function', 'Industries', 'Applicants', 'Date Posted', 'Scraped At'
-        ];
+    async loadSavedSearches() {
+        try {
+            const { searches } = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_SAVED_SEARCHES);
+            this.displaySavedSearches(searches);
+        } catch (error) {
+            console.error('Error loading saved searches:', error);
+        }
+    }
+
+    displaySavedSearches(searches) {
+        const container = document.getElementById('savedList');
+        const section = document.getElementById('savedSearches');
 
-        const csvRows = [headers.join(',')];
-        
-        jobData.forEach(job => {
-            const row = headers.map(header => {
-                const key = header.toLowerCase().replace(/ /g, '_');
-                const value = job[key] || '';
-                return `"${value.toString().replace(/"/g, '""')}"`;
-            });
-            csvRows.push(row.join(','));
+        if (searches.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = '';
+        searches.forEach(search => {
+            const item = document.createElement('div');
+            item.className = 'saved-item';
+
+            const text = document.createElement('span');
+            text.className = 'saved-text';
+            text.textContent = search.name;
+
+            const status = document.createElement('span');
+            status.className = 'saved-status';
+            status.textContent = search.lastRunStatus === 'running'
+                ? 'Running...'
+                : search.lastRunAt ? `${search.newJobIds.length} new` : 'Not run yet';
+            status.title = `Runs ${this.formatInterval(search.intervalMinutes)}, notifications: ${search.notificationMode}` +
+                (search.quietHours ? `, quiet ${search.quietHours.start}-${search.quietHours.end}` : '');
+
+            const runButton = document.createElement('button');
+            runButton.className = 'btn btn-outline';
+            runButton.textContent = 'Run';
+            runButton.addEventListener('click', () => this.handleRunSavedSearch(search.id));
+
+            const editButton = document.createElement('button');
+            editButton.className = 'btn btn-outline';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => this.handleEditSavedSearch(search));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'btn btn-outline';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => this.handleDeleteSavedSearch(search.id));
+
+            item.append(text, status, runButton, editButton, deleteButton);
+            container.appendChild(item);
+        });
+
+        section.classList.remove('hidden');
+    }
+
+    async handleRunSavedSearch(searchId) {
+        try {
+            const response = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.RUN_SAVED_SEARCH, { id: searchId });
+            this.showStatusMessage(
+                response.queued ? `Saved search queued at position ${response.position}` : 'Saved search started',
+                'success'
+            );
+            await this.loadSavedSearches();
+        } catch (error) {
+            console.error('Error running saved search:', error);
+            this.showStatusMessage('Error running saved search: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Describe a saved search interval, e.g. "every 6 hours"
+     */
+    formatInterval(minutes) {
+        if (minutes % (24 * 60) === 0) {
+            const days = minutes / (24 * 60);
+            return days === 1 ? 'daily' : days === 7 ? 'weekly' : `every ${days} days`;
+        }
+        if (minutes % 60 === 0) {
+            return minutes === 60 ? 'every hour' : `every ${minutes / 60} hours`;
+        }
+        return `every ${minutes} minutes`;
+    }
+
+    /**
+     * Fill the form with a saved search; "Save Search" then updates it instead of adding one
+     */
+    handleEditSavedSearch(search) {
+        document.getElementById('jobTitle').value = search.jobTitle;
+        document.getElementById('location').value = search.location;
+        document.getElementById('maxPages').value = String(search.numPages);
+        this.setFilterFields(search.filters);
+        document.getElementById('searchName').value = search.name;
+        document.getElementById('searchInterval').value = String(search.intervalMinutes);
+        document.getElementById('searchNotifications').value = search.notificationMode;
+        document.getElementById('quietStart').value = search.quietHours?.start || '';
+        document.getElementById('quietEnd').value = search.quietHours?.end || '';
+        document.getElementById('saveSearchOptions').open = true;
+        this.setEditingSearch(search.id);
+    }
+
+    /**
+     * Switch "Save Search" between adding a search (searchId null) and updating one
+     */
+    setEditingSearch(searchId) {
+        this.editingSearchId = searchId;
+        document.getElementById('saveSearch').textContent = searchId ? 'Update Saved Search' : 'Save Search';
+        if (!searchId) {
+            document.getElementById('searchName').value = '';
+            document.getElementById('searchInterval').value = '1440';
+            document.getElementById('searchNotifications').value = 'instant';
+            document.getElementById('quietStart').value = '';
+            document.getElementById('quietEnd').value = '';
+        }
+    }
+
+    async handleDeleteSavedSearch(searchId) {
+        try {
+            if (searchId === this.editingSearchId) {
+                this.setEditingSearch(null);
+            }
+            await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.DELETE_SAVED_SEARCH, { id: searchId });
+            await this.loadSavedSearches();
+        } catch (error) {
+            console.error('Error deleting saved search:', error);
+        }
+    }
+
+    async loadQueue() {
+        try {
+            const queue = await PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_QUEUE);
+            this.displayQueue(queue);
+        } catch (error) {
+            console.error('Error loading queue:', error);
+        }
+    }
+
+    displayQueue(queue) {
+        const container = document.getElementById('queueList');
+        const section = document.getElementById('scrapingQueue');
+
+        this.queuePaused = queue.paused;
+        document.getElementById('toggleQueue').textContent = queue.paused ? 'Resume Queue' : 'Pause Queue';
+
+        if (queue.running.length === 0 && queue.queued.length === 0 && !queue.paused) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = '';
+        queue.running.forEach(job => {
+            const item = document.createElement('div');
+            item.className = 'queue-item running';
+
+            const text = document.createElement('span');
+            text.className = 'queue-text';
+            text.textContent = `${job.params.jobTitle} in ${job.params.location}`;
+
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = `Running ${job.progress}%`;
+
+            item.append(text, status);
+            container.appendChild(item);
+        });
+
+        queue.queued.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = entry.paused ? 'queue-item paused' : 'queue-item';
+
+            const text = document.createElement('span');
+            text.className = 'queue-text';
+            text.textContent = `${entry.position}. ${entry.params.jobTitle} in ${entry.params.location}`;
+
+            const status = document.createElement('span');
+            status.className = 'queue-status';
+            status.textContent = entry.paused ? 'Paused' : `Priority ${entry.priority}`;
+
+            const upButton = this.createQueueButton('↑', index === 0, () =>
+                this.handleQueueAction(PROTOCOL.MESSAGES.MOVE_QUEUED_JOB, { id: entry.id, position: index - 1 }));
+            const downButton = this.createQueueButton('↓', index === queue.queued.length - 1, () =>
+                this.handleQueueAction(PROTOCOL.MESSAGES.MOVE_QUEUED_JOB, { id: entry.id, position: index + 1 }));
+            const pauseButton = this.createQueueButton(entry.paused ? 'Resume' : 'Pause', false, () =>
+                this.handleQueueAction(
+                    entry.paused ? PROTOCOL.MESSAGES.RESUME_QUEUED_JOB : PROTOCOL.MESSAGES.PAUSE_QUEUED_JOB,
+                    { id: entry.id }
+                ));
+            const cancelButton = this.createQueueButton('Cancel', false, () =>
+                this.handleQueueAction(PROTOCOL.MESSAGES.CANCEL_QUEUED_JOB, { id: entry.id }));
+
+            item.append(text, status, upButton, downButton, pauseButton, cancelButton);
+            container.appendChild(item);
         });
 
-        return csvRows.join('\n');
+        section.classList.remove('hidden');
     }
 
+    createQueueButton(label, disabled, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-outline';
+        button.textContent = label;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async handleQueueAction(type, data) {
+        try {
+            const queue = await PROTOCOL.sendToBackground(type, data);
+            this.displayQueue(queue);
+        } catch (error) {
+            console.error('Error updating queue:', error);
+            this.showStatusMessage('Error updating queue: ' + error.message, 'error');
+            await this.loadQueue();
+        }
+    }
+
+    async handleToggleQueue() {
+        await this.handleQueueAction(
+            this.queuePaused ? PROTOCOL.MESSAGES.RESUME_QUEUE : PROTOCOL.MESSAGES.PAUSE_QUEUE
+        );
+    }
+
+    /**
+     * Restore the progress view when the background is running or queueing a scrape for this tab.
+     * The background owns the scrape, so this survives page changes that replace the content script.
+     */
     async checkScrapingStatus() {
         try {
-            const response = await chrome.tabs.sendMessage(this.currentTabId, {
-                type: 'GET_STATUS'
-            });
-            
-            if (response && response.isActive) {
-                this.isScrapingActive = true;
-                this.showProgressSection();
-                this.hideSection('searchForm');
+            const [status, queue] = await Promise.all([
+                PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_SCRAPING_STATUS),
+                PROTOCOL.sendToBackground(PROTOCOL.MESSAGES.GET_QUEUE)
+            ]);
+
+            const job = status.jobs.find(entry => entry.tabId === this.currentTabId);
+            const queued = queue.queued.find(entry => entry.tabId === this.currentTabId);
+            if (!job && !queued) {
+                return;
+            }
+
+            this.isScrapingActive = true;
+            this.showProgressSection();
+            this.hideSection('searchForm');
+            this.hideSection('recentSearches');
+            this.hideSection('resultsSection');
+
+            if (job) {
+                this.scrapingStartTime = job.startTime;
+                this.totalJobsFound = job.extractedCount;
+                document.getElementById('jobsFound').textContent = job.extractedCount;
+                this.updateProgress(job.progress, this.describeJobProgress(job));
+            } else {
+                this.scrapingStartTime = queued.timestamp;
+                this.updateProgress(0, queue.paused
+                    ? `Queued at position ${queued.position} (queue paused)...`
+                    : `Queued at position ${queued.position}...`);
             }
         } catch (error) {
-            // Content script not ready or no active scraping
+            console.error('Error checking scraping status:', error);
+        }
+    }
+
+    /**
+     * Progress text for a running job, from its scrape phase and page
+     */
+    describeJobProgress(job) {
+        switch (job.phase) {
+            case 'navigating':
+                return `Loading page ${job.currentPage + 1} of ${job.totalPages}...`;
+            case 'collecting':
+                return `Collecting jobs from page ${job.currentPage + 1} of ${job.totalPages}...`;
+            case 'details':
+                return `Fetching details for ${job.detailsTotal - job.detailsPending} of ${job.detailsTotal} jobs...`;
+            default:
+                return job.message || 'Scraping...';
         }
     }
 
@@ -532,6 +899,8 @@ class PopupController {
         document.getElementById('jobTitle').value = '';
         document.getElementById('location').value = '';
         document.getElementById('maxPages').value = '2';
+        this.setFilterFields({});
+        this.setEditingSearch(null);
     }
 
     openHelpPage() {
@@ -0,0 +1,88 @@
+// test/description-formatter.test.js
+// Unit tests for the description sanitizer and Markdown converter. Runs offline: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadPage, toPlain } = require('./helpers/extractor-dom');
+
+const format = (html) => {
+    const { document, window } = loadPage(`<div id="description">${html}</div>`);
+    const sanitized = window.DESCRIPTION_FORMATTER.sanitize(document.getElementById('description'));
+    return {
+        html: sanitized.innerHTML,
+        markdown: window.DESCRIPTION_FORMATTER.toMarkdown(sanitized)
+    };
+};
+
+describe('sanitize', () => {
+    it('drops scripts, styles, buttons and every attribute', () => {
+        const { html } = format(
+            '<p class="x" onclick="alert(1)" style="color:red">Hi <span data-id="1">there</span></p>' +
+            '<script>alert(1)</script><style>p{}</style><button>Show more</button>'
+        );
+        assert.strictEqual(html, '<p>Hi there</p>');
+    });
+
+    it('keeps safe links as absolute URLs and removes unsafe ones', () => {
+        const { html } = format('<p><a href="/jobs/view/1" target="_blank">Job</a> <a href="javascript:alert(1)">Bad</a></p>');
+        assert.strictEqual(html, '<p><a href="https://www.linkedin.com/jobs/view/1">Job</a> <a>Bad</a></p>');
+    });
+
+    it('turns inline-only containers into paragraphs and drops empty ones', () => {
+        const { html } = format('<div>First line</div><div><p>Nested</p></div><p> </p><div><br></div>');
+        assert.strictEqual(html, '<p>First line</p><p>Nested</p>');
+    });
+
+    it('sanitizes stored HTML strings', () => {
+        const { window } = loadPage('<p></p>');
+        assert.strictEqual(
+            window.DESCRIPTION_FORMATTER.sanitizeHtml('<img src=x onerror="alert(1)"><p>Ok</p>'),
+            '<p>Ok</p>'
+        );
+    });
+});
+
+describe('toMarkdown', () => {
+    it('converts headings, paragraphs and emphasis', () => {
+        const { markdown } = format('<h2>About the job</h2><p>We use <strong>Go </strong>and <em>React</em>.</p><p>Line one<br>Line two</p>');
+        assert.strictEqual(markdown, '## About the job\n\nWe use **Go** and _React_.\n\nLine one\nLine two');
+    });
+
+    it('converts ordered and nested lists', () => {
+        const { markdown } = format(
+            '<ol><li>Design services<ul><li>APIs</li><li>Queues</li></ul></li><li>Mentor engineers</li></ol>'
+        );
+        assert.strictEqual(markdown, '1. Design services\n   - APIs\n   - Queues\n2. Mentor engineers');
+    });
+
+    it('writes links and escapes Markdown characters in text', () => {
+        const { markdown } = format('<p>See <a href="https://acme.example/careers">our careers page</a> for *perks*_</p>');
+        assert.strictEqual(markdown, 'See [our careers page](https://acme.example/careers) for \\*perks\\*\\_');
+    });
+});
+
+describe('applyFormat', () => {
+    const { window } = loadPage('<p></p>');
+    const job = {
+        jobId: '1',
+        jobDescription: 'Plain',
+        jobDescriptionHtml: '<p>Plain</p>',
+        jobDescriptionMarkdown: 'Plain'
+    };
+
+    it('puts the chosen representation in jobDescription', () => {
+        assert.deepStrictEqual(toPlain(window.DESCRIPTION_FORMATTER.applyFormat(job, 'html')), {
+            jobId: '1',
+            jobDescription: '<p>Plain</p>'
+        });
+    });
+
+    it('keeps every representation for "all"', () => {
+        assert.strictEqual(window.DESCRIPTION_FORMATTER.applyFormat(job, 'all'), job);
+    });
+
+    it('falls back to the text for jobs scraped before the structured copies existed', () => {
+        const legacy = { jobId: '2', jobDescription: 'Old text' };
+        assert.strictEqual(window.DESCRIPTION_FORMATTER.applyFormat(legacy, 'markdown').jobDescription, 'Old text');
+    });
+});
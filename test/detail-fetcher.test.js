@@ -0,0 +1,143 @@
+// test/detail-fetcher.test.js
+// Tests for DetailFetcher against a local stand-in for LinkedIn job pages. Runs offline: npm test
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadPage, toPlain } = require('./helpers/extractor-dom');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const PAGE_DELAY = 30; // Milliseconds every job page takes, so concurrent requests overlap
+
+// Serves the detail fixtures as job pages, plus pages that fail in the ways LinkedIn does
+function startServer() {
+    const stats = { inFlight: 0, maxInFlight: 0, requests: 0 };
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        stats.requests++;
+
+        if (url.pathname === '/slow') {
+            return; // Never answers; the connection is closed when the server stops
+        }
+        if (url.pathname === '/redirect-to-sign-in') {
+            response.writeHead(302, { Location: '/authwall?trk=guest' });
+            return response.end();
+        }
+        if (url.pathname === '/authwall') {
+            response.writeHead(200, { 'Content-Type': 'text/html' });
+            return response.end('<html><body>Sign in to view this job</body></html>');
+        }
+
+        const fixture = url.pathname.startsWith('/jobs/view/logged-in') ? 'detail-logged-in.html' : 'detail-guest.html';
+        if (!url.pathname.startsWith('/jobs/view/')) {
+            response.writeHead(404);
+            return response.end();
+        }
+
+        stats.inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+        setTimeout(() => {
+            stats.inFlight--;
+            response.writeHead(200, { 'Content-Type': 'text/html' });
+            response.end(fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8'));
+        }, PAGE_DELAY);
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, stats, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+// Node's fetch only accepts Node AbortSignals, so abort requests through one
+function nodeFetch(url, { signal, ...options }) {
+    const controller = new AbortController();
+    signal.addEventListener('abort', () => controller.abort());
+    return fetch(url, { ...options, signal: controller.signal });
+}
+
+function createFetcher(options = {}) {
+    const { window, extractor } = loadPage('<p></p>');
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'content', 'detail-fetcher.js'), 'utf8'));
+    const fetcher = new window.DetailFetcher({ minDelay: 0, maxDelay: 0, fetchImpl: nodeFetch, ...options });
+    return { fetcher, extractor };
+}
+
+describe('DetailFetcher', () => {
+    let stand;
+
+    before(async () => {
+        stand = await startServer();
+    });
+
+    after(() => {
+        stand.server.closeAllConnections();
+        stand.server.close();
+    });
+
+    it('extracts details from fetched job pages', async () => {
+        const { fetcher, extractor } = createFetcher();
+        const [result] = await fetcher.fetchAll([{ jobId: '1', jobUrl: `${stand.baseUrl}/jobs/view/1` }], extractor);
+
+        assert.strictEqual(result.error, null);
+        assert.strictEqual(result.details.seniorityLevel, 'Mid-Senior level');
+        assert.strictEqual(result.details.applyAts, 'Greenhouse');
+    });
+
+    it('never runs more requests at once than its concurrency', async () => {
+        const { fetcher, extractor } = createFetcher({ concurrency: 2 });
+        const jobs = ['1', '2', '3', '4', '5'].map(jobId => ({ jobId, jobUrl: `${stand.baseUrl}/jobs/view/logged-in/${jobId}` }));
+        stand.stats.maxInFlight = 0;
+
+        const reported = [];
+        const results = await fetcher.fetchAll(jobs, extractor, async (result) => {
+            reported.push(result.jobId);
+        });
+
+        assert.strictEqual(stand.stats.maxInFlight, 2);
+        assert.deepStrictEqual(reported.sort(), ['1', '2', '3', '4', '5']);
+        assert.ok(results.every(result => result.details && result.details.skills.includes('React')));
+    });
+
+    it('reports every failure with its reason instead of empty details', async () => {
+        const { fetcher, extractor } = createFetcher({ timeout: 200 });
+        const results = await fetcher.fetchAll([
+            { jobId: 'slow', jobUrl: `${stand.baseUrl}/slow` },
+            { jobId: 'missing', jobUrl: `${stand.baseUrl}/missing` },
+            { jobId: 'sign-in', jobUrl: `${stand.baseUrl}/redirect-to-sign-in` },
+            { jobId: 'ok', jobUrl: `${stand.baseUrl}/jobs/view/1` }
+        ], extractor);
+
+        const errors = Object.fromEntries(toPlain(results).map(result => [result.jobId, result.error]));
+        assert.match(errors.slow, /^Timed out after 200ms/);
+        assert.match(errors.missing, /^HTTP 404/);
+        assert.match(errors['sign-in'], /^Redirected to sign-in/);
+        assert.strictEqual(errors.ok, null);
+        assert.ok(results.filter(result => result.error).every(result => result.details === null));
+    });
+
+    it('reports a reason for errors without a message', async () => {
+        const failures = [new Error(''), new DOMException('', 'NetworkError'), ''];
+        const { fetcher, extractor } = createFetcher({ fetchImpl: () => Promise.reject(failures.shift()) });
+        const results = await fetcher.fetchAll(['1', '2', '3'].map(jobId => ({ jobId, jobUrl: `${stand.baseUrl}/jobs/view/${jobId}` })), extractor);
+
+        assert.strictEqual(results.length, 3);
+        assert.ok(results.every(result => typeof result.error === 'string' && result.error.length > 0 && result.details === null));
+    });
+
+    it('stops handing out jobs and aborts requests in flight', async () => {
+        const { fetcher, extractor } = createFetcher({ concurrency: 1 });
+        const jobs = [
+            { jobId: 'slow', jobUrl: `${stand.baseUrl}/slow` },
+            { jobId: 'next', jobUrl: `${stand.baseUrl}/jobs/view/1` }
+        ];
+        const requestsBefore = stand.stats.requests;
+
+        const pending = fetcher.fetchAll(jobs, extractor);
+        setTimeout(() => fetcher.stop(), 50);
+
+        assert.deepStrictEqual(toPlain(await pending), []);
+        assert.strictEqual(stand.stats.requests - requestsBefore, 1);
+    });
+});
@@ -0,0 +1,92 @@
+// test/helpers/extractor-dom.js
+// Loads saved LinkedIn HTML into jsdom and runs the extension's extraction scripts inside it,
+// the same way the content script runs them on the live page
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const FIXTURES_DIR = path.join(ROOT, 'test', 'fixtures');
+
+// Fixed scrape time, so relative dates in the fixtures ("2 weeks ago") resolve the same way every run
+const SCRAPED_AT = Date.UTC(2024, 4, 20, 12, 0, 0);
+
+// Scripts injected before JobExtractor in manifest.json, minus the ones it does not use
+const EXTRACTOR_SCRIPTS = [
+    'utils/selectors.js',
+    'utils/normalizers.js',
+    'utils/description-formatter.js',
+    'utils/skills.js',
+    'content/job-extractor.js'
+];
+
+/**
+ * Load a page into jsdom with the extraction scripts evaluated in its window.
+ * html: markup, or the name of a fixture file in test/fixtures
+ */
+function loadPage(html, url = 'https://www.linkedin.com/jobs/search/') {
+    const markup = html.endsWith('.html')
+        ? fs.readFileSync(path.join(FIXTURES_DIR, html), 'utf8')
+        : html;
+
+    const dom = new JSDOM(markup, { url, runScripts: 'outside-only' });
+    for (const script of EXTRACTOR_SCRIPTS) {
+        dom.window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+    }
+
+    const { window } = dom;
+    return {
+        window,
+        document: window.document,
+        extractor: new window.JobExtractor(),
+        SELECTOR_REGISTRY: window.SELECTOR_REGISTRY
+    };
+}
+
+/**
+ * Extract every job card of a results page, as content.js does
+ */
+function extractListings(page) {
+    const { document, extractor } = page;
+    return extractor
+        .findAllBySelectors(document, extractor.selectors.jobCards)
+        .map(element => extractor.extractJobListingData(element, SCRAPED_AT));
+}
+
+/**
+ * Copy data created inside the jsdom window into plain Node objects, so deepStrictEqual
+ * does not trip over the window's own Object and Array prototypes
+ */
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare a value with its golden JSON file in test/fixtures.
+ * Run with UPDATE_GOLDEN=1 to rewrite the golden files after an intended change.
+ */
+function assertMatchesGolden(name, actual) {
+    const goldenPath = path.join(FIXTURES_DIR, `${name}.golden.json`);
+    const data = toPlain(actual);
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(goldenPath, JSON.stringify(data, null, 2) + '\n');
+        return;
+    }
+
+    if (!fs.existsSync(goldenPath)) {
+        assert.fail(`Missing golden file ${path.relative(ROOT, goldenPath)}; run npm run test:update-golden`);
+    }
+
+    assert.deepStrictEqual(data, JSON.parse(fs.readFileSync(goldenPath, 'utf8')));
+}
+
+module.exports = {
+    SCRAPED_AT,
+    loadPage,
+    extractListings,
+    assertMatchesGolden,
+    toPlain
+};
@@ -0,0 +1,273 @@
+// test/job-extractor.test.js
+// Regression tests for JobExtractor against saved LinkedIn pages. Runs offline: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { SCRAPED_AT, loadPage, extractListings, assertMatchesGolden, toPlain } = require('./helpers/extractor-dom');
+
+describe('extractJobListingData', () => {
+    it('extracts job cards from the guest search layout', () => {
+        const jobs = extractListings(loadPage('search-guest.html'));
+
+        assert.strictEqual(jobs.length, 3);
+        assertMatchesGolden('search-guest', jobs);
+    });
+
+    it('extracts job cards from the logged-in search layout', () => {
+        const jobs = extractListings(loadPage('search-logged-in.html'));
+
+        assert.strictEqual(jobs.length, 2);
+        assertMatchesGolden('search-logged-in', jobs);
+    });
+
+    it('uses N/A for fields no selector matches', () => {
+        const [job] = extractListings(loadPage('<ul class="jobs-search__results-list"><li><span>Promoted</span></li></ul>'));
+
+        assert.strictEqual(job.jobTitle, 'N/A');
+        assert.strictEqual(job.companyName, 'N/A');
+        assert.strictEqual(job.jobUrl, 'N/A');
+    });
+});
+
+describe('extractJobId', () => {
+    const extractId = (html, selector = '.card') => {
+        const { document, extractor } = loadPage(html);
+        return extractor.extractJobId(document.querySelector(selector));
+    };
+
+    it('reads data-job-id on the card', () => {
+        assert.strictEqual(extractId('<div class="card" data-job-id="111"></div>'), '111');
+    });
+
+    it('reads data-job-id on an ancestor', () => {
+        assert.strictEqual(extractId('<div data-job-id="222"><div class="card"></div></div>'), '222');
+    });
+
+    it('parses currentJobId from the link', () => {
+        const html = '<div class="card"><a href="/jobs/view/?currentJobId=333&keywords=dev">Dev</a></div>';
+        assert.strictEqual(extractId(html), '333');
+    });
+
+    it('parses the numeric id from a /jobs/view/ link', () => {
+        assert.strictEqual(extractId('<div class="card"><a href="/jobs/view/444/?refId=1">Dev</a></div>'), '444');
+    });
+
+    it('parses the trailing id from a slug link', () => {
+        const html = '<div class="card"><a class="base-card__full-link" href="https://www.linkedin.com/jobs/view/dev-at-acme-555?trk=x">Dev</a></div>';
+        assert.strictEqual(extractId(html), '555');
+    });
+
+    it('falls back to data-entity-urn', () => {
+        assert.strictEqual(extractId('<div class="card" data-entity-urn="urn:li:jobPosting:666"></div>'), '666');
+    });
+
+    it('returns N/A when nothing identifies the job', () => {
+        assert.strictEqual(extractId('<div class="card"><span>Dev</span></div>'), 'N/A');
+    });
+});
+
+describe('extractJobCriteria', () => {
+    it('maps the criteria list of a guest detail page', () => {
+        const { document, extractor } = loadPage('detail-guest.html');
+
+        assert.deepStrictEqual(toPlain(extractor.extractJobCriteria(document)), {
+            seniorityLevel: 'Mid-Senior level',
+            employmentType: 'Full-time',
+            jobFunction: 'Engineering and Information Technology',
+            industries: 'Software Development'
+        });
+    });
+
+    it('leaves criteria as N/A when the page has no criteria list', () => {
+        const { document, extractor } = loadPage('detail-logged-in.html');
+
+        assert.deepStrictEqual(Object.values(extractor.extractJobCriteria(document)), ['N/A', 'N/A', 'N/A', 'N/A']);
+    });
+});
+
+describe('extractApplicantsInfo', () => {
+    it('reads the applicants caption', () => {
+        const { document, extractor } = loadPage('detail-guest.html');
+        assert.strictEqual(extractor.extractApplicantsInfo(document), 'Over 200 applicants');
+    });
+
+    it('falls back to text mentioning applicants', () => {
+        const { document, extractor } = loadPage('detail-logged-in.html');
+        assert.strictEqual(extractor.extractApplicantsInfo(document), '47 applicants');
+    });
+
+    it('recognises the "Be among the first" wording', () => {
+        const { document, extractor } = loadPage('<div><span>Be among the first 25 applicants</span></div>');
+        assert.strictEqual(extractor.extractApplicantsInfo(document), 'Be among the first 25 applicants');
+    });
+
+    it('returns N/A without applicant information', () => {
+        const { document, extractor } = loadPage('<div><span>Posted yesterday</span></div>');
+        assert.strictEqual(extractor.extractApplicantsInfo(document), 'N/A');
+    });
+});
+
+describe('extractJobDetails', () => {
+    it('extracts a guest detail page', () => {
+        const { document, extractor } = loadPage('detail-guest.html');
+        assertMatchesGolden('detail-guest', extractor.extractJobDetails(document, SCRAPED_AT));
+    });
+
+    it('extracts a logged-in detail page', () => {
+        const { document, extractor } = loadPage('detail-logged-in.html');
+        assertMatchesGolden('detail-logged-in', extractor.extractJobDetails(document, SCRAPED_AT));
+    });
+});
+
+describe('extractJobPage', () => {
+    it('adds the top card fields of a guest job page to its details', () => {
+        const { document, extractor } = loadPage('detail-guest.html', 'https://www.linkedin.com/jobs/view/senior-software-engineer-at-acme-corp-3812345601');
+        const job = extractor.extractJobPage(document, document.location.href, SCRAPED_AT);
+
+        assert.deepStrictEqual(toPlain({
+            jobId: job.jobId,
+            jobTitle: job.jobTitle,
+            companyName: job.companyName,
+            location: job.location,
+            jobUrl: job.jobUrl,
+            listingDate: job.listingDate
+        }), {
+            jobId: '3812345601',
+            jobTitle: 'Senior Software Engineer',
+            companyName: 'Acme Corp',
+            location: 'New York, NY',
+            jobUrl: 'https://www.linkedin.com/jobs/view/3812345601',
+            listingDate: '2024-05-06'
+        });
+        assert.strictEqual(job.applyAts, 'Greenhouse');
+    });
+
+    it('reads a logged-in job page, taking the company from the company module', () => {
+        const { document, extractor } = loadPage('detail-logged-in.html', 'https://www.linkedin.com/jobs/view/3901122334/');
+        const job = extractor.extractJobPage(document, document.location.href, SCRAPED_AT);
+
+        assert.strictEqual(job.jobId, '3901122334');
+        assert.strictEqual(job.jobTitle, 'Frontend Developer');
+        assert.strictEqual(job.companyName, 'Globex');
+        assert.strictEqual(job.location, 'Remote');
+        assert.strictEqual(job.applyMethod, 'easy-apply');
+    });
+});
+
+describe('selector profiles', () => {
+    it('uses the selectors it is given instead of the built-in ones', () => {
+        const page = loadPage('search-logged-in.html');
+        const { window, SELECTOR_REGISTRY } = page;
+        page.extractor = new window.JobExtractor(SELECTOR_REGISTRY.resolve({
+            jobCard: { title: ['.job-card-list__title strong'] }
+        }));
+
+        const jobs = extractListings(page);
+        assert.deepStrictEqual(toPlain(jobs.map(job => job.jobTitle)), ['Frontend Developer', 'React Engineer (Contract)']);
+    });
+
+    it('counts selector hits per field', () => {
+        const page = loadPage('search-guest.html');
+        extractListings(page);
+        const stats = page.extractor.takeSelectorStats();
+
+        assert.deepStrictEqual(toPlain(stats['jobCard.company']), {
+            attempts: 3,
+            hits: 2,
+            selectors: { 'h4.base-search-card__subtitle': 2 }
+        });
+        assert.deepStrictEqual(toPlain(page.extractor.takeSelectorStats()), {});
+    });
+});
+
+describe('result list and pagination', () => {
+    it('finds occluded placeholders that are not extracted as cards', () => {
+        const page = loadPage('search-logged-in.html');
+        const { document, extractor } = page;
+        const items = extractor.findAllBySelectors(document, extractor.selectors.resultItems);
+
+        assert.strictEqual(items.length, 3);
+        assert.deepStrictEqual(toPlain(items.filter(item => !item.textContent.trim()).map(item => item.dataset.occludableJobId)), ['3907788990']);
+        assert.strictEqual(extractListings(page).length, 2);
+    });
+
+    it('finds the page buttons and the next button', () => {
+        const { document, extractor } = loadPage('search-logged-in.html');
+        const { pagination } = extractor.selectors;
+
+        const pageButtons = extractor.findAllBySelectors(document, pagination.pageButtons);
+        assert.deepStrictEqual(toPlain(pageButtons.map(button => button.textContent)), ['1', '2', '3']);
+        assert.strictEqual(extractor.findElementBySelectors(document, pagination.nextButton).textContent, 'Next');
+    });
+
+    it('finds no pagination on guest results', () => {
+        const { document, extractor } = loadPage('search-guest.html');
+        assert.strictEqual(extractor.findElementBySelectors(document, extractor.selectors.pagination.nextButton), null);
+    });
+});
+
+describe('company data', () => {
+    it('reads the "About the company" module of a detail page', () => {
+        const { document, extractor } = loadPage('detail-logged-in.html');
+        const details = extractor.extractJobDetails(document, SCRAPED_AT);
+
+        assert.strictEqual(details.companyId, 'globex');
+        assert.deepStrictEqual(toPlain(details.company), {
+            id: 'globex',
+            url: 'https://www.linkedin.com/company/globex/',
+            name: 'Globex',
+            industry: 'Software Development',
+            sizeBand: '1001-5000',
+            sizeMin: 1001,
+            sizeMax: 5000,
+            followers: 48210,
+            headquarters: 'N/A',
+            website: 'N/A'
+        });
+    });
+
+    it('reads a company page', () => {
+        const { document, extractor } = loadPage('company-guest.html', 'https://www.linkedin.com/company/acme-corp');
+        assertMatchesGolden('company-guest', extractor.extractCompanyPage(document, document.location.href));
+    });
+
+    it('returns null for pages that are not company pages', () => {
+        const { document, extractor } = loadPage('company-guest.html');
+        assert.strictEqual(extractor.extractCompanyPage(document, document.location.href), null);
+    });
+});
+
+describe('hiring team', () => {
+    it('reads the job poster and hiring team as contacts linked by id', () => {
+        const { document, extractor } = loadPage('detail-logged-in.html');
+        const details = extractor.extractJobDetails(document, SCRAPED_AT);
+
+        assert.strictEqual(details.posterContactId, 'jane-doe-4b1a2c');
+        assert.deepStrictEqual(toPlain(details.hiringTeamContactIds), ['jane-doe-4b1a2c', 'sam-lee']);
+        assert.deepStrictEqual(toPlain(details.contacts[0]), {
+            id: 'jane-doe-4b1a2c',
+            name: 'Jane Doe',
+            title: 'Engineering Manager, Dashboards at Globex',
+            profileUrl: 'https://www.linkedin.com/in/jane-doe-4b1a2c/',
+            companyId: 'globex'
+        });
+    });
+
+    it('captures nothing when contact capture is turned off', () => {
+        const { document, window } = loadPage('detail-logged-in.html');
+        const extractor = new window.JobExtractor(undefined, undefined, { captureContacts: false });
+        const details = extractor.extractJobDetails(document, SCRAPED_AT);
+
+        assert.ok(!('contacts' in details));
+        assert.ok(!('posterContactId' in details));
+        assert.strictEqual(extractor.takeSelectorStats()['jobDetails.hiringTeamMembers'], undefined);
+    });
+
+    it('finds no contacts on guest pages', () => {
+        const { document, extractor } = loadPage('detail-guest.html');
+        const details = extractor.extractJobDetails(document, SCRAPED_AT);
+
+        assert.strictEqual(details.posterContactId, 'N/A');
+        assert.deepStrictEqual(toPlain(details.contacts), []);
+    });
+});
@@ -0,0 +1,341 @@
+// test/normalizers.test.js
+// Unit tests for the text normalizers in utils/normalizers.js. Runs offline: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadPage, toPlain } = require('./helpers/extractor-dom');
+
+const { NORMALIZERS } = loadPage('<p></p>').window;
+
+describe('parseSalary', () => {
+    const parse = (text) => toPlain(NORMALIZERS.parseSalary(text));
+
+    it('parses a yearly range with K suffixes', () => {
+        assert.deepStrictEqual(parse('$120K/yr - $150K/yr'), {
+            text: '$120K/yr - $150K/yr',
+            min: 120000,
+            max: 150000,
+            currency: 'USD',
+            period: 'year',
+            estimated: false,
+            annualMin: 120000,
+            annualMax: 150000
+        });
+    });
+
+    it('parses an hourly range and annualizes it', () => {
+        const salary = parse('$45/hr - $60/hr');
+        assert.strictEqual(salary.period, 'hour');
+        assert.deepStrictEqual([salary.min, salary.max], [45, 60]);
+        assert.deepStrictEqual([salary.annualMin, salary.annualMax], [93600, 124800]);
+    });
+
+    it('guesses the period of unlabelled amounts', () => {
+        assert.strictEqual(parse('$150,000.00 - $190,000.00').period, 'year');
+        assert.strictEqual(parse('$32.50 - $40.00').period, 'hour');
+    });
+
+    it('reads one-sided ranges', () => {
+        assert.deepStrictEqual(
+            [parse('Up to £50k a year').min, parse('Up to £50k a year').max],
+            [null, 50000]
+        );
+        assert.deepStrictEqual([parse('From $90K/yr').min, parse('From $90K/yr').max], [90000, null]);
+    });
+
+    it('handles other currencies and European separators', () => {
+        const salary = parse('€55.000 – €65.000 per year');
+        assert.deepStrictEqual([salary.min, salary.max, salary.currency], [55000, 65000, 'EUR']);
+        assert.strictEqual(parse('CA$80,000 - CA$95,000').currency, 'CAD');
+        assert.strictEqual(parse('90000 - 110000 CHF').currency, 'CHF');
+    });
+
+    it('flags estimated salaries', () => {
+        assert.strictEqual(parse('$98K - $125K (Employer est.)').estimated, true);
+        assert.strictEqual(parse('Estimated $98K - $125K a year').estimated, true);
+    });
+
+    it('returns null when the text holds no amount', () => {
+        assert.strictEqual(NORMALIZERS.parseSalary('Competitive'), null);
+        assert.strictEqual(NORMALIZERS.parseSalary(''), null);
+        assert.strictEqual(NORMALIZERS.parseSalary('N/A'), null);
+    });
+});
+
+describe('flattenJob', () => {
+    it('joins the benefit keys into one column', () => {
+        const flat = NORMALIZERS.flattenJob({ jobId: '3', benefits: ['health', 'equity'], benefitsText: 'Medical; RSUs' });
+        assert.strictEqual(flat.benefits, 'health; equity');
+        assert.strictEqual(flat.benefitsText, 'Medical; RSUs');
+    });
+
+    it('spreads the salary into CSV columns', () => {
+        const job = {
+            jobId: '1',
+            salary: NORMALIZERS.parseSalary('$45/hr - $60/hr'),
+            workplaceType: 'remote',
+            remoteRegions: ['United States', 'Canada']
+        };
+        assert.deepStrictEqual(toPlain(NORMALIZERS.flattenJob(job)), {
+            jobId: '1',
+            salaryText: '$45/hr - $60/hr',
+            salaryMin: 45,
+            salaryMax: 60,
+            salaryCurrency: 'USD',
+            salaryPeriod: 'hour',
+            salaryEstimated: false,
+            workplaceType: 'remote',
+            remoteRegions: 'United States; Canada',
+            companyIndustry: '',
+            companySizeBand: '',
+            companyHeadquarters: '',
+            companyFollowers: '',
+            posterName: '',
+            posterTitle: '',
+            posterProfileUrl: '',
+            hiringTeam: '',
+            benefits: '',
+            skills: '',
+            batchSearches: ''
+        });
+    });
+
+    it('leaves empty columns for jobs without a salary', () => {
+        const flat = NORMALIZERS.flattenJob({ jobId: '2', salary: 'N/A' });
+        assert.strictEqual(flat.salaryText, 'N/A');
+        assert.strictEqual(flat.salaryMin, '');
+    });
+});
+
+describe('normalizeBenefits', () => {
+    it('maps benefit texts to normalized keys in a stable order', () => {
+        const benefits = NORMALIZERS.normalizeBenefits([
+            'Stock options (RSUs)',
+            'Medical, dental and vision insurance',
+            '401(k) with company match',
+            'Unlimited PTO',
+            '$500 remote work stipend'
+        ]);
+        assert.deepStrictEqual(toPlain(benefits), ['health', 'dental', 'vision', 'retirement', 'equity', 'paidTimeOff', 'remoteStipend']);
+    });
+
+    it('ignores text that only resembles a benefit', () => {
+        assert.deepStrictEqual(toPlain(NORMALIZERS.normalizeBenefits('Share our vision for the future of work')), []);
+    });
+});
+
+describe('parseWorkplace', () => {
+    const parse = (sources) => toPlain(NORMALIZERS.parseWorkplace(sources));
+
+    it('prefers the badge over the location and the description', () => {
+        assert.strictEqual(parse({ badge: 'Hybrid', location: 'Remote', description: 'This is a fully remote role.' }).workplaceType, 'hybrid');
+        assert.strictEqual(parse({ location: 'Austin, TX (On-site)', description: 'Fully remote.' }).workplaceType, 'on-site');
+    });
+
+    it('reads the remote region from the location', () => {
+        assert.deepStrictEqual(parse({ location: 'United States (Remote)' }), {
+            workplaceType: 'remote',
+            remoteRegions: ['United States']
+        });
+        assert.deepStrictEqual(parse({ location: 'Germany (Remote)' }).remoteRegions, ['Germany']);
+        assert.deepStrictEqual(parse({ location: 'Remote' }).remoteRegions, []);
+    });
+
+    it('picks up description cues and the regions named near them', () => {
+        assert.deepStrictEqual(parse({ description: 'We are remote-first. Candidates must be based in the US or Canada.' }), {
+            workplaceType: 'remote',
+            remoteRegions: ['United States', 'Canada']
+        });
+        assert.strictEqual(parse({ description: 'This is a hybrid role with 3 days a week in the office.' }).workplaceType, 'hybrid');
+        assert.strictEqual(parse({ description: 'Please note this is not a remote role.' }).workplaceType, 'on-site');
+    });
+
+    it('does not guess from passing mentions', () => {
+        assert.deepStrictEqual(parse({ description: 'You will work with remote teams across the US.' }), {
+            workplaceType: 'N/A',
+            remoteRegions: []
+        });
+        assert.deepStrictEqual(parse({ location: 'Austin, TX (Hybrid)', description: 'Remote within the US' }).remoteRegions, []);
+    });
+});
+
+describe('parseApplicants', () => {
+    const parse = (text) => toPlain(NORMALIZERS.parseApplicants(text));
+
+    it('reads exact, open-ended and "first N" counts', () => {
+        assert.deepStrictEqual(parse('47 applicants'), { min: 47, max: 47 });
+        assert.deepStrictEqual(parse('Over 200 applicants'), { min: 201, max: null });
+        assert.deepStrictEqual(parse('Be among the first 25 applicants'), { min: 0, max: 24 });
+        assert.deepStrictEqual(parse('1,234 applicants'), { min: 1234, max: 1234 });
+        assert.deepStrictEqual(parse('100+ applicants'), { min: 100, max: null });
+    });
+
+    it('returns null without a count', () => {
+        assert.strictEqual(NORMALIZERS.parseApplicants('N/A'), null);
+        assert.strictEqual(NORMALIZERS.parseApplicants('Actively recruiting'), null);
+    });
+});
+
+describe('parseRelativeDate', () => {
+    const anchor = Date.UTC(2024, 4, 20, 12, 0, 0);
+    const parse = (text) => NORMALIZERS.parseRelativeDate(text, anchor);
+
+    it('counts relative dates back from the anchor', () => {
+        assert.strictEqual(parse('2 weeks ago'), '2024-05-06');
+        assert.strictEqual(parse('Reposted 3 days ago'), '2024-05-17');
+        assert.strictEqual(parse('1 month ago'), '2024-04-20');
+        assert.strictEqual(parse('30+ days ago'), '2024-04-20');
+        assert.strictEqual(parse('an hour ago'), '2024-05-20');
+        assert.strictEqual(parse('13 hours ago'), '2024-05-19');
+        assert.strictEqual(parse('yesterday'), '2024-05-19');
+        assert.strictEqual(parse('Just now'), '2024-05-20');
+    });
+
+    it('keeps absolute dates', () => {
+        assert.strictEqual(parse('2024-05-01'), '2024-05-01');
+    });
+
+    it('returns null for text that is not a date', () => {
+        assert.strictEqual(parse('N/A'), null);
+        assert.strictEqual(parse('Promoted'), null);
+    });
+});
+
+describe('parseRequirements', () => {
+    const parse = (text) => toPlain(NORMALIZERS.parseRequirements(text));
+
+    it('reads years, degree and sponsorship with their sentences', () => {
+        const markdown = [
+            '## Requirements',
+            '',
+            '- 3-5 years of professional experience',
+            '- BS/MS in Computer Science or related field',
+            '',
+            'We are unable to sponsor visas at this time.'
+        ].join('\n');
+
+        assert.deepStrictEqual(parse(markdown), {
+            experienceYearsMin: 3,
+            experienceYearsMax: 5,
+            experienceEvidence: '3-5 years of professional experience',
+            degreeLevel: 'bachelor',
+            degreeEvidence: 'BS/MS in Computer Science or related field',
+            sponsorship: 'not offered',
+            sponsorshipEvidence: 'We are unable to sponsor visas at this time.'
+        });
+    });
+
+    it('keeps the highest experience minimum and spelled-out numbers', () => {
+        const requirements = parse('- 2+ years with React\n- Five years of experience building APIs');
+        assert.deepStrictEqual([requirements.experienceYearsMin, requirements.experienceYearsMax], [5, null]);
+        assert.strictEqual(parse('At least 7 years in software development').experienceYearsMin, 7);
+    });
+
+    it('ignores years that are not about experience', () => {
+        assert.strictEqual(parse('Founded 20 years ago, we have grown to 500 people.').experienceYearsMin, null);
+    });
+
+    it('ignores preferred degrees and abbreviations outside education', () => {
+        assert.strictEqual(parse("Bachelor's degree required, PhD preferred.").degreeLevel, 'bachelor');
+        assert.strictEqual(parse("Master's degree is a plus.").degreeLevel, 'N/A');
+        assert.strictEqual(parse('Proficiency in MS Office.').degreeLevel, 'N/A');
+        assert.strictEqual(parse('No degree required.').degreeLevel, 'none');
+    });
+
+    it('tells offered sponsorship from refusals', () => {
+        assert.strictEqual(parse('Visa sponsorship is available for this role.').sponsorship, 'offered');
+        assert.strictEqual(parse('We will sponsor H-1B visas.').sponsorship, 'offered');
+        assert.strictEqual(
+            parse('You must be authorized to work in the US without the need for current or future visa sponsorship.').sponsorship,
+            'not offered'
+        );
+        assert.strictEqual(parse('N/A').sponsorship, 'unknown');
+    });
+});
+
+describe('company normalizers', () => {
+    it('reads the company id from company URLs', () => {
+        assert.strictEqual(NORMALIZERS.parseCompanyId('https://www.linkedin.com/company/acme-corp?trk=public_jobs'), 'acme-corp');
+        assert.strictEqual(NORMALIZERS.parseCompanyId('/company/Globex/life/'), 'globex');
+        assert.strictEqual(NORMALIZERS.parseCompanyId('https://www.linkedin.com/school/mit/'), null);
+    });
+
+    it('parses employee count bands', () => {
+        assert.deepStrictEqual(toPlain(NORMALIZERS.parseCompanySize('1,001-5,000 employees')), { band: '1001-5000', min: 1001, max: 5000 });
+        assert.deepStrictEqual(toPlain(NORMALIZERS.parseCompanySize('10,001+ employees')), { band: '10001+', min: 10001, max: null });
+        assert.strictEqual(NORMALIZERS.parseCompanySize('Software Development'), null);
+    });
+
+    it('parses follower counts', () => {
+        assert.strictEqual(NORMALIZERS.parseFollowers('48,210 followers'), 48210);
+        assert.strictEqual(NORMALIZERS.parseFollowers('1.2M followers'), 1200000);
+        assert.strictEqual(NORMALIZERS.parseFollowers('2,891 on LinkedIn'), null);
+    });
+});
+
+describe('parseJobId', () => {
+    it('reads job ids from job page and search URLs', () => {
+        assert.strictEqual(NORMALIZERS.parseJobId('https://www.linkedin.com/jobs/view/3812345601/?refId=abc'), '3812345601');
+        assert.strictEqual(NORMALIZERS.parseJobId('https://www.linkedin.com/jobs/view/senior-engineer-at-acme-3812345601'), '3812345601');
+        assert.strictEqual(NORMALIZERS.parseJobId('https://www.linkedin.com/jobs/search/?currentJobId=3901122334&keywords=dev'), '3901122334');
+    });
+
+    it('returns null for URLs without a job', () => {
+        assert.strictEqual(NORMALIZERS.parseJobId('https://www.linkedin.com/jobs/search/?keywords=dev'), null);
+        assert.strictEqual(NORMALIZERS.parseJobId(null), null);
+    });
+});
+
+describe('contact normalizers', () => {
+    it('reads member ids from profile URLs', () => {
+        assert.strictEqual(NORMALIZERS.parseProfileId('https://www.linkedin.com/in/Jane-Doe-4b1a2c/?miniProfileUrn=x'), 'jane-doe-4b1a2c');
+        assert.strictEqual(NORMALIZERS.parseProfileId('/company/globex/'), null);
+    });
+
+    it('flattens the linked poster and hiring team for CSV exports', () => {
+        const poster = { id: 'jane-doe', name: 'Jane Doe', title: 'Engineering Manager', profileUrl: 'https://www.linkedin.com/in/jane-doe/' };
+        const flat = NORMALIZERS.flattenJob({ jobId: '1', poster, hiringTeam: [poster, { id: 'sam-lee', name: 'Sam Lee' }] });
+
+        assert.strictEqual(flat.posterName, 'Jane Doe');
+        assert.strictEqual(flat.posterProfileUrl, 'https://www.linkedin.com/in/jane-doe/');
+        assert.strictEqual(flat.hiringTeam, 'Jane Doe; Sam Lee');
+        assert.ok(!('poster' in flat));
+    });
+});
+
+describe('parseApplyInfo', () => {
+    it('recognizes Easy Apply from the button label', () => {
+        assert.deepStrictEqual(toPlain(NORMALIZERS.parseApplyInfo({ label: 'Easy Apply to Frontend Developer at Globex' })), {
+            applyMethod: 'easy-apply',
+            applyUrl: 'N/A',
+            applyDomain: 'N/A',
+            applyAts: 'N/A'
+        });
+    });
+
+    it('unwraps LinkedIn apply redirects and names the ATS', () => {
+        const info = NORMALIZERS.parseApplyInfo({
+            label: 'Apply',
+            url: '<!--"https://www.linkedin.com/jobs/view/externalApply/1?url=https%3A%2F%2Facme%2Ewd5%2Emyworkdayjobs%2Ecom%2Fcareers%2Fjob%2F42&urlHash=x"-->'
+        });
+        assert.deepStrictEqual(toPlain(info), {
+            applyMethod: 'external',
+            applyUrl: 'https://acme.wd5.myworkdayjobs.com/careers/job/42',
+            applyDomain: 'acme.wd5.myworkdayjobs.com',
+            applyAts: 'Workday'
+        });
+        assert.strictEqual(NORMALIZERS.parseApplyInfo({ url: 'https://www.acme.example/careers/42' }).applyDomain, 'acme.example');
+        assert.strictEqual(NORMALIZERS.parseApplyInfo({ url: 'https://www.acme.example/careers/42' }).applyAts, 'N/A');
+    });
+
+    it('marks external applications without a URL from the button label', () => {
+        const info = NORMALIZERS.parseApplyInfo({ label: 'Apply to Data Engineer on company website' });
+        assert.strictEqual(info.applyMethod, 'external');
+        assert.strictEqual(info.applyUrl, 'N/A');
+    });
+
+    it('leaves the method unknown for LinkedIn sign-up links and plain "Apply" labels', () => {
+        const info = NORMALIZERS.parseApplyInfo({ label: 'Apply', url: 'https://www.linkedin.com/signup/cold-join?session_redirect=%2Fjobs' });
+        assert.strictEqual(info.applyMethod, 'N/A');
+    });
+});
@@ -0,0 +1,108 @@
+// test/scrape-batches.test.js
+// Tests for expanding, tracking and merging batch searches in background/scrape-batches.js. Runs offline: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, toPlain } = require('./helpers/extractor-dom');
+
+// scrape-batches.js is a background script without a window export; hand BatchStore out from the same evaluation
+function loadBatchStore() {
+    const { window } = loadPage('<p></p>');
+    window.eval(`${fs.readFileSync(path.join(__dirname, '..', 'background', 'scrape-batches.js'), 'utf8')}
+        window.BatchStore = BatchStore;`);
+    return new window.BatchStore();
+}
+
+const store = loadBatchStore();
+
+const batch = (...combinations) => ({
+    combinations: combinations.map(([jobTitle, location, status, sessionId = null], index) => ({
+        index, jobTitle, location, status, sessionId
+    }))
+});
+
+describe('expandCombinations', () => {
+    it('crosses every title with every location, skipping blanks and repeats', () => {
+        const combinations = store.expandCombinations(
+            ['Frontend Developer', ' Backend Developer ', '', 'Frontend Developer'],
+            ['Berlin', 'London', '  ']
+        );
+
+        assert.deepStrictEqual(toPlain(combinations), [
+            { jobTitle: 'Frontend Developer', location: 'Berlin' },
+            { jobTitle: 'Frontend Developer', location: 'London' },
+            { jobTitle: 'Backend Developer', location: 'Berlin' },
+            { jobTitle: 'Backend Developer', location: 'London' }
+        ]);
+    });
+
+    it('yields nothing without titles or locations', () => {
+        assert.strictEqual(store.expandCombinations(['Developer'], []).length, 0);
+    });
+});
+
+describe('batch progress', () => {
+    it('counts ended searches as done and running ones by their live progress', () => {
+        const running = batch(
+            ['Dev', 'Berlin', 'completed', 'job_1'],
+            ['Dev', 'London', 'failed', 'job_2'],
+            ['Dev', 'Paris', 'running', 'job_3'],
+            ['Dev', 'Rome', 'queued']
+        );
+
+        assert.strictEqual(store.calculateProgress(running, { job_3: 50 }), 63);
+        assert.strictEqual(store.isFinished(running), false);
+    });
+
+    it('is finished once no search is queued or running', () => {
+        assert.strictEqual(store.isFinished(batch(['Dev', 'Berlin', 'completed'], ['Dev', 'London', 'cancelled'])), true);
+    });
+});
+
+describe('mergeJobs', () => {
+    const sessions = {
+        job_1: {
+            jobs: [
+                { jobId: '1', jobTitle: 'Frontend Developer', detailsError: 'Timed out' },
+                { jobId: '2', jobTitle: 'React Developer' }
+            ]
+        },
+        job_2: {
+            jobs: [
+                { jobId: '1', jobTitle: 'Frontend Developer', jobDescription: 'Build dashboards' },
+                { jobId: '2', jobTitle: 'React Developer (copy)' },
+                { jobId: 'N/A', jobUrl: 'N/A', jobTitle: 'Unidentified' }
+            ]
+        }
+    };
+
+    it('keeps one copy per job and records every search that found it', () => {
+        const jobs = store.mergeJobs(batch(
+            ['Frontend Developer', 'Berlin', 'completed', 'job_1'],
+            ['Web Developer', 'Berlin', 'completed', 'job_2'],
+            ['Frontend Developer', 'London', 'cancelled']
+        ), sessions);
+
+        assert.deepStrictEqual(toPlain(jobs), [
+            {
+                jobId: '1',
+                jobTitle: 'Frontend Developer',
+                jobDescription: 'Build dashboards',
+                batchSearches: ['Frontend Developer in Berlin', 'Web Developer in Berlin']
+            },
+            {
+                jobId: '2',
+                jobTitle: 'React Developer',
+                batchSearches: ['Frontend Developer in Berlin', 'Web Developer in Berlin']
+            },
+            {
+                jobId: 'N/A',
+                jobUrl: 'N/A',
+                jobTitle: 'Unidentified',
+                batchSearches: ['Web Developer in Berlin']
+            }
+        ]);
+    });
+});
@@ -0,0 +1,103 @@
+// test/scrape-state.test.js
+// Tests for the search URLs and filters of background/scrape-state.js. Runs offline: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, toPlain } = require('./helpers/extractor-dom');
+
+// scrape-state.js is a background script without a window export; evaluate it after the
+// scripts it uses there and hand SCRAPE_STATE out from the same evaluation
+function loadScrapeState() {
+    const { window } = loadPage('<p></p>');
+    for (const script of ['utils/constants.js', 'utils/protocol.js']) {
+        window.eval(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'));
+    }
+    window.eval(`${fs.readFileSync(path.join(__dirname, '..', 'background', 'scrape-state.js'), 'utf8')}
+        window.SCRAPE_STATE = SCRAPE_STATE;`);
+    return window.SCRAPE_STATE;
+}
+
+const SCRAPE_STATE = loadScrapeState();
+
+describe('buildSearchUrl', () => {
+    it('maps every search filter to its LinkedIn URL parameter', () => {
+        const url = new URL(SCRAPE_STATE.buildSearchUrl({
+            jobTitle: 'Frontend Developer',
+            location: 'United States',
+            filters: {
+                datePosted: 'past-24h',
+                experienceLevel: ['mid-senior', 'director'],
+                jobType: ['full-time'],
+                workplaceType: ['remote'],
+                easyApply: true,
+                salary: '120k+',
+                distance: '25',
+                sortBy: 'recent'
+            }
+        }, 2));
+
+        assert.deepStrictEqual(Object.fromEntries(url.searchParams), {
+            keywords: 'Frontend Developer',
+            location: 'United States',
+            f_TPR: 'r86400',
+            f_E: '4,5',
+            f_JT: 'F',
+            f_WT: '2',
+            f_AL: 'true',
+            f_SB2: '5',
+            distance: '25',
+            sortBy: 'DD',
+            start: '50'
+        });
+    });
+
+    it('leaves out filters that are not set', () => {
+        const url = SCRAPE_STATE.buildSearchUrl({ jobTitle: 'Developer', location: 'Berlin', filters: { datePosted: [] } });
+        assert.strictEqual(url, 'https://www.linkedin.com/jobs/search/?keywords=Developer&location=Berlin');
+    });
+});
+
+describe('search filters', () => {
+    it('reads the filters back from a search URL', () => {
+        const url = 'https://www.linkedin.com/jobs/search/?keywords=dev&f_TPR=r604800&f_E=2%2C3&f_WT=1&f_AL=true&sortBy=R&f_TPR2=x';
+        assert.deepStrictEqual(toPlain(SCRAPE_STATE.parseSearchFilters(url)), {
+            datePosted: 'past-week',
+            experienceLevel: ['entry', 'associate'],
+            workplaceType: ['on-site'],
+            easyApply: 'true',
+            sortBy: 'relevance'
+        });
+    });
+
+    it('normalizes filters to the form sessions record', () => {
+        assert.deepStrictEqual(toPlain(SCRAPE_STATE.normalizeFilters({
+            datePosted: ['past-month'],
+            workplaceType: 'remote',
+            easyApply: true,
+            distance: 10,
+            salary: '',
+            jobType: []
+        })), {
+            datePosted: 'past-month',
+            workplaceType: ['remote'],
+            easyApply: 'true',
+            distance: '10'
+        });
+    });
+
+    it('reports unknown filters and values and extra values of single-value filters', () => {
+        const unsupported = SCRAPE_STATE.findUnsupportedFilters(SCRAPE_STATE.normalizeFilters({
+            jobType: ['full-time', 'seasonal'],
+            datePosted: ['past-week', 'past-month'],
+            industry: 'software'
+        }));
+
+        assert.deepStrictEqual(toPlain(unsupported), [
+            'jobType=seasonal',
+            'datePosted=past-week,past-month (takes one value)',
+            'industry=software'
+        ]);
+    });
+});
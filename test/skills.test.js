@@ -0,0 +1,56 @@
+// test/skills.test.js
+// Unit tests for skill detection in utils/skills.js. Runs offline: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadPage, toPlain } = require('./helpers/extractor-dom');
+
+const { SKILLS } = loadPage('<p></p>').window;
+
+describe('extractSkills', () => {
+    const extract = (text, dictionary) => toPlain(SKILLS.extractSkills(text, dictionary));
+
+    it('maps synonyms to the skill name', () => {
+        assert.deepStrictEqual(
+            extract('Strong JS and TS skills; you will run services on k8s and Postgres.'),
+            ['JavaScript', 'TypeScript', 'PostgreSQL', 'Kubernetes']
+        );
+    });
+
+    it('matches whole words only', () => {
+        assert.deepStrictEqual(extract('Senior JavaScript engineer'), ['JavaScript']);
+        assert.deepStrictEqual(extract('Experience with C++ and C# is a plus.'), ['C#', 'C++']);
+        assert.deepStrictEqual(extract('We build with Node.js.'), ['Node.js']);
+        assert.deepStrictEqual(extract('Java/Kotlin on AWS'), ['Java', 'Kotlin', 'AWS']);
+    });
+
+    it('matches short terms with their exact case', () => {
+        assert.deepStrictEqual(extract('Our services are written in Go.'), ['Go']);
+        assert.deepStrictEqual(extract('Ready to go the extra mile?'), []);
+    });
+
+    it('returns an empty list without a description', () => {
+        assert.deepStrictEqual(extract('N/A'), []);
+        assert.deepStrictEqual(extract(''), []);
+    });
+});
+
+describe('custom skills', () => {
+    it('adds new skills and synonyms of bundled ones', () => {
+        const dictionary = SKILLS.merge({ 'dbt': ['data build tool'], 'JavaScript': ['JScript'] });
+
+        assert.deepStrictEqual(toPlain(dictionary.JavaScript), ['JS', 'ECMAScript', 'ES6', 'JScript']);
+        assert.deepStrictEqual(
+            toPlain(SKILLS.extractSkills('Models in the data build tool, legacy JScript', dictionary)),
+            ['JavaScript', 'dbt']
+        );
+    });
+
+    it('rejects malformed entries', () => {
+        assert.strictEqual(SKILLS.validateCustomSkills({ Snowflake: ['Snowpark'] }).length, 0);
+        assert.strictEqual(SKILLS.validateCustomSkills(['Snowflake']).length, 1);
+        assert.deepStrictEqual(toPlain(SKILLS.validateCustomSkills({ Snowflake: 'Snowpark' })), [
+            'Snowflake: synonyms must be a list of non-empty strings'
+        ]);
+    });
+});
@@ -0,0 +1,134 @@
+// test/stores.test.js
+// Tests for the company cache and contact store in utils/ and the saved search and notification
+// stores in background/. Runs offline: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, toPlain } = require('./helpers/extractor-dom');
+
+/**
+ * chrome.storage.local stand-in that, like the real one, answers asynchronously,
+ * so reads and writes of overlapping saves interleave
+ */
+function createStorage() {
+    const data = {};
+    const later = (value) => new Promise(resolve => setTimeout(() => resolve(value), 1));
+
+    return {
+        data,
+        get: (keys) => later(Object.fromEntries([].concat(keys)
+            .filter(key => key in data)
+            .map(key => [key, JSON.parse(JSON.stringify(data[key]))]))),
+        set: (items) => later(Object.assign(data, JSON.parse(JSON.stringify(items)))),
+        remove: (keys) => later([].concat(keys).forEach(key => delete data[key]))
+    };
+}
+
+// The stores have no window export; hand them out from the same evaluation
+function loadStores() {
+    const { window } = loadPage('<p></p>');
+    const storage = createStorage();
+    window.chrome = { storage: { local: storage } };
+    window.eval(`${['company-store.js', 'contact-store.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', 'utils', file), 'utf8'))
+        .join('\n')}
+        window.CompanyStore = CompanyStore;
+        window.ContactStore = ContactStore;`);
+
+    return {
+        storage,
+        companyStore: new window.CompanyStore(),
+        contactStore: new window.ContactStore()
+    };
+}
+
+function loadBackgroundStores() {
+    const { window } = loadPage('<p></p>');
+    const storage = createStorage();
+    window.chrome = { storage: { local: storage }, runtime: { getURL: (file) => file } };
+    window.eval(`${['saved-searches.js', 'notification-manager.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', 'background', file), 'utf8'))
+        .join('\n')}
+        window.SavedSearchStore = SavedSearchStore;
+        window.NotificationManager = NotificationManager;`);
+
+    return {
+        window,
+        storage,
+        savedSearchStore: new window.SavedSearchStore(),
+        notificationManager: new window.NotificationManager()
+    };
+}
+
+describe('CompanyStore', () => {
+    it('keeps every company when saves overlap', async () => {
+        const { storage, companyStore } = loadStores();
+
+        await Promise.all(['acme', 'globex', 'initech'].map(id => companyStore.save({ id, name: id })));
+
+        assert.deepStrictEqual(Object.keys(storage.data.companies).sort(), ['acme', 'globex', 'initech']);
+    });
+
+    it('fills gaps from job pages without replacing known values', async () => {
+        const { companyStore } = loadStores();
+
+        await companyStore.save({ id: 'acme', name: 'Acme', industry: 'N/A' }, 'company-page');
+        const record = await companyStore.save({ id: 'acme', name: 'ACME Inc', industry: 'Software' });
+
+        assert.deepStrictEqual(toPlain({ name: record.name, industry: record.industry }), { name: 'Acme', industry: 'Software' });
+    });
+});
+
+describe('ContactStore', () => {
+    it('keeps every contact and job link when saves overlap', async () => {
+        const { storage, contactStore } = loadStores();
+
+        await Promise.all([
+            contactStore.save([{ id: 'jane', name: 'Jane' }], '1'),
+            contactStore.save([{ id: 'sam', name: 'Sam' }], '2'),
+            contactStore.save([{ id: 'jane', name: 'N/A' }, { id: 'lee', name: 'Lee' }], '3')
+        ]);
+
+        const contacts = storage.data.contacts;
+        assert.deepStrictEqual(Object.keys(contacts).sort(), ['jane', 'lee', 'sam']);
+        assert.deepStrictEqual(contacts.jane.jobIds, ['1', '3']);
+        assert.strictEqual(contacts.jane.name, 'Jane');
+    });
+});
+
+describe('SavedSearchStore', () => {
+    it('keeps every run result when updates overlap', async () => {
+        const { storage, savedSearchStore } = loadBackgroundStores();
+        const first = await savedSearchStore.save({ jobTitle: 'Dev', location: 'Berlin' });
+        const second = await savedSearchStore.save({ jobTitle: 'QA', location: 'London' });
+
+        await Promise.all([
+            savedSearchStore.update(first.id, { lastRunStatus: 'completed', totalJobCount: 4 }),
+            savedSearchStore.update(second.id, { lastRunStatus: 'failed' }),
+            savedSearchStore.save({ jobTitle: 'Ops', location: 'Paris' })
+        ]);
+
+        assert.deepStrictEqual(
+            storage.data.savedSearches.map(search => [search.name, search.lastRunStatus, search.totalJobCount]),
+            [['Dev in Berlin', 'completed', 4], ['QA in London', 'failed', 0], ['Ops in Paris', null, 0]]
+        );
+    });
+});
+
+describe('NotificationManager', () => {
+    it('keeps digest entries queued while a digest is being sent', async () => {
+        const { window, storage, notificationManager } = loadBackgroundStores();
+        window.chrome.notifications = { create: () => new Promise(resolve => setTimeout(() => resolve('digest'), 5)) };
+        const entry = (searchId) => ({ searchId, searchName: searchId, newJobCount: 1, topJobs: [], listUrl: 'list' });
+
+        await notificationManager.addToDigest(entry('first'));
+        await Promise.all([
+            notificationManager.sendDigest(),
+            notificationManager.addToDigest(entry('second'))
+        ]);
+
+        assert.deepStrictEqual(storage.data.notificationDigest.map(queued => queued.searchId), ['second']);
+    });
+});
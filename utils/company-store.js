@@ -0,0 +1,115 @@
+// utils/company-store.js
+// Purpose: Local cache of company records keyed by LinkedIn company id ('acme-corp').
+// Jobs only store their companyId; searches and exports look the record up here.
+// Job pages fill in what they show, company pages refresh a record once it is older than the refresh period.
+
+class CompanyStore {
+    constructor() {
+        this.storageKey = 'companies';
+        this.defaultRefreshDays = 30;
+        this.writes = Promise.resolve(); // Serializes read-modify-write updates of the cache
+    }
+
+    /**
+     * All cached companies as { companyId: record }
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return result[this.storageKey] || {};
+    }
+
+    /**
+     * Get a company record by id
+     */
+    async get(companyId) {
+        const companies = await this.getAll();
+        return companies[companyId] || null;
+    }
+
+    /**
+     * Merge captured company data into the cache.
+     * source: 'company-page' data always replaces cached values; 'job-page' data only fills gaps
+     * unless the record is stale. Unknown values ('N/A', null) never replace known ones.
+     */
+    async save(data, source = 'job-page', refreshDays = this.defaultRefreshDays) {
+        if (!data || !data.id || data.id === 'N/A') {
+            return null;
+        }
+
+        return this.write(companies => {
+            const now = Date.now();
+            const existing = companies[data.id] || null;
+            const overwrite = source === 'company-page' || !existing || this.isStale(existing, refreshDays, now);
+
+            const record = { ...existing };
+            let refreshed = !existing;
+            for (const [key, value] of Object.entries(data)) {
+                if (!this.isKnown(value)) {
+                    if (!(key in record)) {
+                        record[key] = value;
+                    }
+                } else if (overwrite || !this.isKnown(record[key])) {
+                    record[key] = value;
+                    refreshed = refreshed || overwrite;
+                }
+            }
+
+            record.createdAt = existing?.createdAt || now;
+            record.updatedAt = refreshed ? now : existing.updatedAt;
+            record.pageFetchedAt = source === 'company-page' ? now : (existing?.pageFetchedAt || null);
+
+            companies[data.id] = record;
+            return record;
+        });
+    }
+
+    /**
+     * Delete cached companies; returns how many were removed
+     */
+    async delete(companyIds) {
+        return this.write(companies => {
+            let removed = 0;
+            for (const companyId of [].concat(companyIds)) {
+                if (companies[companyId]) {
+                    delete companies[companyId];
+                    removed++;
+                }
+            }
+            return removed;
+        });
+    }
+
+    /**
+     * Check whether a record's values are older than the refresh period
+     */
+    isStale(record, refreshDays = this.defaultRefreshDays, now = Date.now()) {
+        return !record.updatedAt || now - record.updatedAt >= refreshDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Check whether the company page should be fetched: never fetched, or fetched before the refresh period.
+     * Failed fetches count as fetched, so a company without a readable page is not retried on every job.
+     */
+    needsPageFetch(record, refreshDays = this.defaultRefreshDays, now = Date.now()) {
+        return !record || !record.pageFetchedAt || now - record.pageFetchedAt >= refreshDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Apply a change to the stored cache once the writes before it are done; resolves with what change returns.
+     * Detail pages are fetched in parallel, so saves from several jobs overlap.
+     */
+    write(change) {
+        const run = this.writes.then(async () => {
+            const companies = await this.getAll();
+            const result = change(companies);
+            await chrome.storage.local.set({ [this.storageKey]: companies });
+            return result;
+        });
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    isKnown(value) {
+        return value !== 'N/A' && value !== null && value !== undefined && value !== '';
+    }
+}
@@ -15,41 +15,78 @@ const CONSTANTS = {
         enableLogging: true,
         rateLimitDelay: 5000,
         maxConcurrentScrapes: 2,
-        dataRetentionDays: 30
+        dataRetentionDays: 30,
+        cleanupIntervalMinutes: 60,
+        staleJobCheckIntervalMinutes: 5,
+        storageQuotaCheckIntervalMinutes: 360,
+        savedSearchCheckIntervalMinutes: 15,
+        notificationsEnabled: true,
+        notificationDigestIntervalMinutes: 60,
+        selectorHealthThreshold: 0.8, // Alert when a field's selectors match less often than this
+        selectorHealthMinAttempts: 5,
+        fetchCompanyPages: true, // Enrich the company cache from company pages during detail scrapes
+        companyRefreshDays: 30,  // Age at which cached company data is refreshed
+        captureHiringTeam: true, // Store the job poster and hiring team shown on detail pages
+        detailFetchConcurrency: 3, // Job detail pages fetched at the same time
+        detailFetchTimeout: 15000  // Milliseconds a detail or company page request may take
     },
     
-    // Selectors for different LinkedIn layouts
-    SELECTORS: {
-        JOB_CARDS: [
-            'ul.jobs-search__results-list > li',
-            'div.jobs-search-results-list > div',
-            '.scaffold-layout__list > div',
-            '[data-job-id]'
-        ],
-        
-        JOB_TITLE: [
-            'h3.base-search-card__title',
-            'a[aria-label]',
-            '.job-card-list__title',
-            '.job-card-container__link'
-        ],
-        
-        COMPANY_NAME: [
-            'h4.base-search-card__subtitle',
-            '.artdeco-entity-lockup__subtitle',
-            'span[class*="qHYMDgztNEREKlSMgIjhyyyqAxxeVviD"]'
-        ],
-        
-        LOCATION: [
-            'span.job-search-card__location',
-            'li[class*="bKQmZihARnOXesSdpcmicRgZiMVAUmlKncY"] span',
-            'span[dir="ltr"]'
-        ],
-        
-        JOB_LINK: [
-            'a.base-card__full-link',
-            'a[href*="/jobs/view/"]'
-        ]
+    // DOM selectors live in utils/selectors.js (SELECTOR_REGISTRY)
+
+    // LinkedIn search URL parameters for the filters a scrape can start with.
+    // A scrape's params.filters maps a filter name to one value, or a list of values for
+    // filters marked multiple (sent comma separated, as LinkedIn does).
+    SEARCH_FILTERS: {
+        datePosted: {
+            param: 'f_TPR',
+            values: { 'past-24h': 'r86400', 'past-week': 'r604800', 'past-month': 'r2592000' }
+        },
+        experienceLevel: {
+            param: 'f_E',
+            multiple: true,
+            values: { internship: '1', entry: '2', associate: '3', 'mid-senior': '4', director: '5', executive: '6' }
+        },
+        jobType: {
+            param: 'f_JT',
+            multiple: true,
+            values: {
+                'full-time': 'F', 'part-time': 'P', contract: 'C', temporary: 'T',
+                volunteer: 'V', internship: 'I', other: 'O'
+            }
+        },
+        workplaceType: {
+            param: 'f_WT',
+            multiple: true,
+            values: { 'on-site': '1', remote: '2', hybrid: '3' }
+        },
+        easyApply: {
+            param: 'f_AL',
+            values: { true: 'true' }
+        },
+        // Minimum yearly base salary; LinkedIn only offers these bands on US searches
+        salary: {
+            param: 'f_SB2',
+            values: {
+                '40k+': '1', '60k+': '2', '80k+': '3', '100k+': '4', '120k+': '5',
+                '140k+': '6', '160k+': '7', '180k+': '8', '200k+': '9'
+            }
+        },
+        // Miles from the searched location
+        distance: {
+            param: 'distance',
+            values: { 0: '0', 5: '5', 10: '10', 25: '25', 50: '50', 100: '100' }
+        },
+        sortBy: {
+            param: 'sortBy',
+            values: { relevance: 'R', recent: 'DD' }
+        }
+    },
+    
+    // Collection that jobs saved with the "Save job" button on job pages are stored in.
+    // It is kept like a scraping session (scraping_result_<ID>) but never expires.
+    MANUAL_CAPTURES: {
+        ID: 'manual_captures',
+        NAME: 'Manual captures'
     },
     
     // Messages
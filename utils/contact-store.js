@@ -0,0 +1,110 @@
+// utils/contact-store.js
+// Purpose: Local store of the people shown with a job (job poster and hiring team), keyed by
+// LinkedIn member id ('jane-doe-12ab'). Jobs only store contact ids; searches and exports look the
+// records up here. Capture is controlled by the captureHiringTeam setting.
+
+class ContactStore {
+    constructor() {
+        this.storageKey = 'contacts';
+        this.writes = Promise.resolve(); // Serializes read-modify-write updates of the store
+    }
+
+    /**
+     * All stored contacts as { contactId: record }
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        return result[this.storageKey] || {};
+    }
+
+    /**
+     * Get a contact record by id
+     */
+    async get(contactId) {
+        const contacts = await this.getAll();
+        return contacts[contactId] || null;
+    }
+
+    /**
+     * Store the contacts captured with a job and link each of them to the job.
+     * The latest capture wins, but unknown values ('N/A', null) never replace known ones.
+     */
+    async save(captured, jobId) {
+        const valid = [].concat(captured || []).filter(contact => contact && contact.id && contact.id !== 'N/A');
+        if (valid.length === 0) {
+            return [];
+        }
+
+        return this.write(contacts => {
+            const now = Date.now();
+            const saved = [];
+
+            for (const contact of valid) {
+                const record = { ...contacts[contact.id] };
+                for (const [key, value] of Object.entries(contact)) {
+                    if (this.isKnown(value) || !(key in record)) {
+                        record[key] = value;
+                    }
+                }
+
+                const jobIds = record.jobIds || [];
+                record.jobIds = jobId && !jobIds.includes(jobId) ? [...jobIds, jobId] : jobIds;
+                record.createdAt = record.createdAt || now;
+                record.updatedAt = now;
+
+                contacts[contact.id] = record;
+                saved.push(record);
+            }
+
+            return saved;
+        });
+    }
+
+    /**
+     * Delete stored contacts; returns how many were removed
+     */
+    async delete(contactIds) {
+        return this.write(contacts => {
+            let removed = 0;
+            for (const contactId of [].concat(contactIds)) {
+                if (contacts[contactId]) {
+                    delete contacts[contactId];
+                    removed++;
+                }
+            }
+            return removed;
+        });
+    }
+
+    /**
+     * Delete every stored contact; returns how many were removed
+     */
+    async clear() {
+        return this.write(contacts => {
+            const removed = Object.keys(contacts).length;
+            for (const contactId of Object.keys(contacts)) {
+                delete contacts[contactId];
+            }
+            return removed;
+        });
+    }
+
+    /**
+     * Run a change against the stored contacts after the pending writes and resolve with its result.
+     * Jobs whose detail pages are fetched at the same time store their hiring teams concurrently.
+     */
+    write(change) {
+        const run = this.writes.then(async () => {
+            const contacts = await this.getAll();
+            const result = change(contacts);
+            await chrome.storage.local.set({ [this.storageKey]: contacts });
+            return result;
+        });
+        this.writes = run.catch(() => {});
+        return run;
+    }
+
+    isKnown(value) {
+        return value !== 'N/A' && value !== null && value !== undefined && value !== '';
+    }
+}
@@ -0,0 +1,250 @@
+// utils/description-formatter.js
+// Purpose: Keep the structure of job descriptions (paragraphs, lists, headings) by capturing them
+// as sanitized HTML and Markdown next to the plain text, and pick the representation to show or export
+
+const DESCRIPTION_FORMATTER = {
+    // Representations a viewer or export can ask for; 'all' keeps every field
+    FORMATS: ['text', 'markdown', 'html', 'all'],
+
+    // Job fields holding each representation
+    FIELDS: {
+        text: 'jobDescription',
+        markdown: 'jobDescriptionMarkdown',
+        html: 'jobDescriptionHtml'
+    },
+
+    // Elements kept in sanitized HTML, with the attributes each may keep
+    ALLOWED_TAGS: {
+        p: [], br: [], ul: [], ol: [], li: [],
+        strong: [], b: [], em: [], i: [], u: [], code: [], pre: [], blockquote: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        a: ['href']
+    },
+
+    // Elements dropped together with their content
+    DROPPED_TAGS: ['script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg',
+        'button', 'form', 'input', 'select', 'textarea'],
+
+    // Layout containers: turned into paragraphs when they only hold inline content, unwrapped otherwise
+    CONTAINER_TAGS: ['div', 'section', 'article', 'header', 'footer', 'main', 'aside'],
+
+    BLOCK_TAGS: ['p', 'ul', 'ol', 'li', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'table'],
+
+    LINK_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+
+    /**
+     * Copy an element's content into a detached <div> holding only allowed tags and attributes
+     */
+    sanitize(source) {
+        const doc = source.ownerDocument;
+        const container = doc.createElement('div');
+        DESCRIPTION_FORMATTER.copyClean(source, container, doc);
+        DESCRIPTION_FORMATTER.removeEmpty(container);
+        return container;
+    },
+
+    /**
+     * Parse an HTML string and sanitize it, e.g. stored HTML before a viewer renders it
+     */
+    sanitizeHtml(html, doc = document) {
+        const template = doc.createElement('template');
+        template.innerHTML = html || '';
+        const wrapper = doc.createElement('div');
+        wrapper.appendChild(template.content);
+        return DESCRIPTION_FORMATTER.sanitize(wrapper).innerHTML;
+    },
+
+    /**
+     * Recursively copy the allowed parts of source's children into target.
+     * Whitespace is collapsed outside <pre>.
+     */
+    copyClean(source, target, doc, preformatted = false) {
+        for (const node of Array.from(source.childNodes)) {
+            if (node.nodeType === 3) { // Text
+                const text = preformatted ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+                target.appendChild(doc.createTextNode(text));
+                continue;
+            }
+            if (node.nodeType !== 1) { // Comments and the like
+                continue;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (DESCRIPTION_FORMATTER.DROPPED_TAGS.includes(tag)) {
+                continue;
+            }
+
+            if (tag in DESCRIPTION_FORMATTER.ALLOWED_TAGS) {
+                const element = doc.createElement(tag);
+                if (tag === 'a') {
+                    const href = DESCRIPTION_FORMATTER.safeHref(node);
+                    if (href) {
+                        element.setAttribute('href', href);
+                    }
+                }
+                DESCRIPTION_FORMATTER.copyClean(node, element, doc, preformatted || tag === 'pre');
+                target.appendChild(element);
+            } else if (DESCRIPTION_FORMATTER.CONTAINER_TAGS.includes(tag) && !DESCRIPTION_FORMATTER.hasBlockChildren(node)) {
+                const paragraph = doc.createElement('p');
+                DESCRIPTION_FORMATTER.copyClean(node, paragraph, doc);
+                target.appendChild(paragraph);
+            } else {
+                // Unknown inline elements (span, font...) and containers of blocks are unwrapped
+                DESCRIPTION_FORMATTER.copyClean(node, target, doc);
+            }
+        }
+    },
+
+    /**
+     * Absolute link target when it uses a safe protocol, else null
+     */
+    safeHref(anchor) {
+        try {
+            const url = new URL(anchor.getAttribute('href') || '', anchor.baseURI);
+            return DESCRIPTION_FORMATTER.LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Check whether an element contains block-level elements
+     */
+    hasBlockChildren(element) {
+        return Array.from(element.children).some(child =>
+            DESCRIPTION_FORMATTER.BLOCK_TAGS.includes(child.tagName.toLowerCase())
+        );
+    },
+
+    /**
+     * Remove elements left without text (empty paragraphs, spacer list items), innermost first
+     */
+    removeEmpty(container) {
+        const elements = Array.from(container.querySelectorAll('*')).reverse();
+        for (const element of elements) {
+            if (element.tagName.toLowerCase() !== 'br' && !element.textContent.trim()) {
+                element.remove();
+            }
+        }
+    },
+
+    /**
+     * Convert sanitized HTML (the container returned by sanitize) to Markdown
+     */
+    toMarkdown(container) {
+        return DESCRIPTION_FORMATTER.renderNodes(container.childNodes)
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    },
+
+    /**
+     * Markdown for a list of nodes
+     */
+    renderNodes(nodes) {
+        return Array.from(nodes).map(node => DESCRIPTION_FORMATTER.renderNode(node)).join('');
+    },
+
+    /**
+     * Markdown for one node of sanitized HTML
+     */
+    renderNode(node) {
+        if (node.nodeType === 3) {
+            return DESCRIPTION_FORMATTER.escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+        }
+        if (node.nodeType !== 1) {
+            return '';
+        }
+
+        const tag = node.tagName.toLowerCase();
+        const inner = () => DESCRIPTION_FORMATTER.renderNodes(node.childNodes);
+
+        switch (tag) {
+            case 'p':
+                return `\n\n${inner().trim()}\n\n`;
+            case 'br':
+                return '\n';
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                return `\n\n${'#'.repeat(Number(tag[1]))} ${inner().replace(/\s+/g, ' ').trim()}\n\n`;
+            case 'strong': case 'b':
+                return DESCRIPTION_FORMATTER.wrapInline(inner(), '**');
+            case 'em': case 'i':
+                return DESCRIPTION_FORMATTER.wrapInline(inner(), '_');
+            case 'code':
+                return node.textContent.trim() ? `\`${node.textContent.trim()}\`` : '';
+            case 'pre':
+                return `\n\n\`\`\`\n${node.textContent.replace(/^\n+|\s+$/g, '')}\n\`\`\`\n\n`;
+            case 'a': {
+                const text = inner().trim();
+                const href = node.getAttribute('href');
+                return href ? `[${text || href}](${href})` : text;
+            }
+            case 'blockquote':
+                return '\n\n' + inner().trim().split('\n').map(line => `> ${line}`).join('\n') + '\n\n';
+            case 'ul':
+            case 'ol':
+                return DESCRIPTION_FORMATTER.renderList(node, tag === 'ol');
+            default:
+                return inner();
+        }
+    },
+
+    /**
+     * Markdown list; continuation lines and nested lists are indented under their item
+     */
+    renderList(list, ordered) {
+        const items = Array.from(list.children).filter(child => child.tagName.toLowerCase() === 'li');
+        const lines = items.map((item, index) => {
+            const marker = ordered ? `${index + 1}. ` : '- ';
+            const padding = ' '.repeat(marker.length);
+            const content = DESCRIPTION_FORMATTER.renderNodes(item.childNodes)
+                .replace(/\n{2,}/g, '\n')
+                .trim();
+
+            return marker + content
+                .split('\n')
+                .map((line, lineIndex) => (lineIndex === 0 ? line.trim() : padding + line))
+                .join('\n');
+        });
+
+        return `\n\n${lines.join('\n')}\n\n`;
+    },
+
+    /**
+     * Wrap inline Markdown emphasis around text, keeping surrounding spaces outside the markers
+     */
+    wrapInline(text, marker) {
+        const [, before, content, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return content ? `${before}${marker}${content}${marker}${after}` : text;
+    },
+
+    /**
+     * Escape characters Markdown would read as formatting
+     */
+    escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]])/g, '\\$1');
+    },
+
+    /**
+     * A job with jobDescription set to the requested representation and the other ones removed.
+     * Falls back to the plain text for jobs scraped before HTML and Markdown were captured.
+     */
+    applyFormat(job, format = 'all') {
+        if (format === 'all' || !DESCRIPTION_FORMATTER.FIELDS[format]) {
+            return job;
+        }
+
+        const { jobDescriptionHtml, jobDescriptionMarkdown, ...rest } = job;
+        const value = job[DESCRIPTION_FORMATTER.FIELDS[format]];
+        return {
+            ...rest,
+            jobDescription: value && value !== 'N/A' ? value : job.jobDescription
+        };
+    }
+};
+
+// Make the description formatter available globally
+if (typeof window !== 'undefined') {
+    window.DESCRIPTION_FORMATTER = DESCRIPTION_FORMATTER;
+}
@@ -0,0 +1,762 @@
+// utils/normalizers.js
+// Purpose: Turn the free text LinkedIn shows into structured, comparable job fields
+
+const NORMALIZERS = {
+    // Currency symbols and prefixes, longest first so "CA$" wins over "$"
+    CURRENCY_SYMBOLS: [
+        ['CA$', 'CAD'],
+        ['C$', 'CAD'],
+        ['A$', 'AUD'],
+        ['AU$', 'AUD'],
+        ['US$', 'USD'],
+        ['NZ$', 'NZD'],
+        ['HK$', 'HKD'],
+        ['S$', 'SGD'],
+        ['R$', 'BRL'],
+        ['$', 'USD'],
+        ['€', 'EUR'],
+        ['£', 'GBP'],
+        ['₹', 'INR'],
+        ['¥', 'JPY'],
+        ['₩', 'KRW'],
+        ['zł', 'PLN']
+    ],
+
+    CURRENCY_CODES: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'INR', 'JPY', 'CHF', 'SEK', 'NOK', 'DKK',
+        'PLN', 'SGD', 'HKD', 'BRL', 'MXN', 'ZAR', 'KRW', 'ILS', 'AED'],
+
+    // Pay period cues, checked in order
+    PAY_PERIODS: [
+        ['hour', /\/\s*hr\b|\bhourly\b|\bper hour\b|\/\s*hour\b|\ban hour\b|\bhr\b/i],
+        ['day', /\/\s*day\b|\bdaily\b|\bper day\b|\ba day\b/i],
+        ['week', /\/\s*wk\b|\bweekly\b|\bper week\b|\/\s*week\b|\ba week\b/i],
+        ['month', /\/\s*mo\b|\bmonthly\b|\bper month\b|\/\s*month\b|\ba month\b/i],
+        ['year', /\/\s*yr\b|\byearly\b|\bannual(ly)?\b|\bper (year|annum)\b|\/\s*year\b|\ba year\b|\bp\.?a\.?\b/i]
+    ],
+
+    // Normalized benefit keys and the wording that signals them, in display order
+    BENEFITS: [
+        ['health', /\bmedical\b|\bhealth (insurance|care|coverage|plan|benefits)\b|\bhealthcare\b/i],
+        ['dental', /\bdental\b/i],
+        ['vision', /\bvision (insurance|care|coverage|plans?|benefits)\b|\b(dental|medical)\s*(,|and|&|\/)\s*vision\b/i],
+        ['retirement', /\b401\s?\(?k\)?|\bpension\b|\bretirement\b|\brrsp\b|\bsuperannuation\b/i],
+        ['equity', /\bequity (package|grant|compensation)\b|\bstock\b|\brsus?\b|\bespp\b|\bshare options?\b/i],
+        ['bonus', /\bbonus(es)?\b|\bprofit[- ]sharing\b/i],
+        ['paidTimeOff', /\bpto\b|\bpaid (time off|vacation|holidays)\b|\bvacation\b|\bunlimited time off\b/i],
+        ['parentalLeave', /\b(parental|maternity|paternity|family) leave\b/i],
+        ['remoteStipend', /\b(remote|remote work|home[- ]office|work[- ]from[- ]home|wfh) (stipend|allowance|budget)\b|\binternet (stipend|allowance)\b/i],
+        ['learning', /\b(learning|education|training|tuition|professional development) (stipend|budget|allowance|reimbursement|assistance)\b|\btuition\b/i],
+        ['wellness', /\bwellness\b|\bgym\b|\bfitness\b|\bmental health\b/i],
+        ['lifeInsurance', /\blife insurance\b|\bdisability (insurance|coverage)\b/i],
+        ['commuter', /\bcommuter\b|\btransit\b|\bparking\b/i],
+        ['childcare', /\bchild ?care\b/i]
+    ],
+
+    // Workplace type named by a badge or location, checked in order: hybrid text often mentions the others
+    WORKPLACE_TYPES: [
+        ['hybrid', /\bhybrid\b/i],
+        ['remote', /\bremote\b|\bwork from home\b|\btelecommut/i],
+        ['on-site', /\bon[- ]?site\b|\bin[- ]office\b|\bin[- ]person\b/i]
+    ],
+
+    // Stricter cues for descriptions, which mention "remote" or "office" in passing.
+    // On-site comes before remote so "not a remote role" is not read as remote.
+    WORKPLACE_DESCRIPTION_CUES: [
+        ['hybrid', /\bhybrid (role|position|job|work|schedule|model|environment|setup|arrangement)\b|\b(role|position|job) is hybrid\b|\b\d days? (a|per) week (in|at) (the |our )?office\b/i],
+        ['on-site', /\b(fully |100% )?on[- ]?site (role|position|job|only)\b|\b(role|position|job) is (fully )?(on[- ]?site|in[- ]office)\b|\bnot (a |open to )?remote\b|\bno remote\b/i],
+        ['remote', /\b(fully|100%|completely) remote\b|\bremote[- ](first|only|role|position|job|opportunity)\b|\b(role|position|job) is (fully )?remote\b|\bwork (fully )?remotely\b|^remote (within|in|from|across)\b|[.!?]\s+remote (within|in|from|across)\b/i]
+    ],
+
+    // Regions a remote job may be limited to. Country abbreviations are case-sensitive so "us" is not a match.
+    REMOTE_REGIONS: [
+        ['Worldwide', /\banywhere in the world\b|\bworldwide\b|\bglobally\b|\bany country\b/i],
+        ['North America', /\bNorth America\b/i],
+        ['United States', /\bUSA?\b|\bU\.S\.|\bUnited States\b/],
+        ['Canada', /\bCanada\b/],
+        ['Latin America', /\bLATAM\b|\bLatin America\b/i],
+        ['United Kingdom', /\bUK\b|\bU\.K\.|\bUnited Kingdom\b/],
+        ['Europe', /\bEurope(an Union)?\b|\bEU\b/],
+        ['EMEA', /\bEMEA\b/],
+        ['APAC', /\bAPAC\b|\bAsia[- ]Pacific\b/i],
+        ['India', /\bIndia\b/],
+        ['Australia', /\bAustralia\b/]
+    ],
+
+    // Multipliers to compare pay across periods (full-time: 40h weeks, 52 weeks, 260 working days)
+    ANNUAL_MULTIPLIERS: {
+        hour: 2080,
+        day: 260,
+        week: 52,
+        month: 12,
+        year: 1
+    },
+
+    // Degree levels from lowest to highest: [level, wording, case-sensitive abbreviations]
+    DEGREE_LEVELS: [
+        ['none', /\bno (college |university |formal )?degree (is )?required\b|\bdegree (is )?not required\b/i, null],
+        ['high-school', /\bhigh[- ]school\b|\bsecondary school\b|\bGED\b/i, null],
+        ['associate', /\bassociate['’]?s? degree\b/i, null],
+        ['bachelor', /\bbachelor['’]?s?\b|\bundergraduate degree\b|\b(4|four)[- ]year (college |university )?degree\b/i,
+            /\bB\.?S\.?c?(?!\w)|\bB\.?A\.?(?!\w)|\bB\.?Eng\b|\bB\.?Tech\b/],
+        ['master', /\bmaster['’]?s\b|\bmaster of (science|arts|engineering|business)\b|\bgraduate degree\b|\badvanced degree\b/i,
+            /\bM\.?S\.?c?(?!\w)|\bMBA\b|\bM\.?Eng\b/],
+        ['doctorate', /\bph\.?\s?d\b|\bdoctora(l|te)\b/i, null]
+    ],
+
+    // A sentence must look like it talks about education before its abbreviations ("BS", "MS") count
+    DEGREE_CONTEXT: /\bdegrees?\b|\bdiploma\b|\bgraduate\b|\bbachelor|\bmaster['’]?s\b|\bph\.?\s?d\b|\bdoctora|\bMBA\b|\bcomputer science\b|\brelated (field|discipline)\b/i,
+
+    // Requirements that are only wished for ("Master's preferred") are not requirements
+    PREFERENCE_CUES: /\b(preferred|nice[- ]to[- ]have|a plus|is a bonus|desired|desirable|ideally|an advantage)\b/i,
+
+    // Sentences counting years that are not about the candidate's experience
+    YEARS_EXCLUDED: /\b(ago|old|founded|since|established|history|in business|anniversary|vest(s|ing|ed)?|in a row)\b/i,
+
+    // Number words used instead of digits in experience requirements
+    NUMBER_WORDS: {
+        one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+        eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+    },
+
+    // Visa sponsorship statements, checked in order: refusals often contain the offer wording
+    SPONSORSHIP_CUES: [
+        ['not offered', /\b(not|unable to|cannot|can['’]?t|won['’]?t|do not|does not|don['’]?t|doesn['’]?t)\b[^.]{0,40}\bsponsor|\bno (visa |immigration )?sponsorship\b|\bsponsorship (is )?(not |un)available\b|\bwithout (the need for |requiring |needing )?(current or future |now or in the future )?(visa |employment |immigration )?sponsorship\b/i],
+        ['offered', /\b(visa|h-?1b|immigration|work permit) sponsorship (is )?(available|provided|offered|possible|supported)\b|\bsponsorship (is )?(available|provided|offered|possible)\b|\b(will|can|do|does|happy to|willing to|able to) (provide |offer )?(visa |h-?1b |work permit )?sponsor(ship)?\b|\b(offer|offers|provide|provides|including|with) (visa|h-?1b|immigration|work permit) sponsorship\b/i]
+    ],
+
+    // Applicant tracking systems recognized by the host of an external apply URL
+    ATS_DOMAINS: [
+        ['Greenhouse', /(^|\.)greenhouse\.io$/i],
+        ['Lever', /(^|\.)lever\.co$/i],
+        ['Workday', /(^|\.)myworkdayjobs\.com$|(^|\.)myworkdaysite\.com$|(^|\.)workday\.com$/i],
+        ['iCIMS', /(^|\.)icims\.com$/i],
+        ['SmartRecruiters', /(^|\.)smartrecruiters\.com$/i],
+        ['Ashby', /(^|\.)ashbyhq\.com$/i],
+        ['Taleo', /(^|\.)taleo\.net$/i],
+        ['SuccessFactors', /(^|\.)successfactors\.(com|eu)$/i],
+        ['Oracle Recruiting', /(^|\.)oraclecloud\.com$/i],
+        ['Workable', /(^|\.)workable\.com$/i],
+        ['BambooHR', /(^|\.)bamboohr\.com$/i],
+        ['Jobvite', /(^|\.)jobvite\.com$/i],
+        ['JazzHR', /(^|\.)applytojob\.com$/i],
+        ['Recruitee', /(^|\.)recruitee\.com$/i],
+        ['Teamtailor', /(^|\.)teamtailor\.com$/i],
+        ['Personio', /(^|\.)personio\.(de|com)$/i]
+    ],
+
+    /**
+     * Parse salary text such as "$120K/yr - $150K/yr", "$45/hr" or "£40,000 - £50,000 a year".
+     * Returns { text, min, max, currency, period, estimated, annualMin, annualMax } with null for
+     * anything the text does not state, or null when the text holds no amount at all.
+     */
+    parseSalary(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const cleaned = text.replace(/\s+/g, ' ').trim();
+        const amounts = NORMALIZERS.parseAmounts(cleaned);
+        if (amounts.length === 0) {
+            return null;
+        }
+
+        let min = amounts[0];
+        let max = amounts.length > 1 ? amounts[1] : amounts[0];
+        if (amounts.length === 1) {
+            if (/\bup to\b|\bmax(imum)?\b/i.test(cleaned)) {
+                min = null;
+            } else if (/\bfrom\b|\bstarting\b|\bmin(imum)?\b|\+/i.test(cleaned)) {
+                max = null;
+            }
+        }
+        if (min !== null && max !== null && min > max) {
+            [min, max] = [max, min];
+        }
+
+        const period = NORMALIZERS.parsePayPeriod(cleaned) || NORMALIZERS.guessPayPeriod(max ?? min);
+        const multiplier = NORMALIZERS.ANNUAL_MULTIPLIERS[period];
+
+        return {
+            text: cleaned,
+            min,
+            max,
+            currency: NORMALIZERS.parseCurrency(cleaned),
+            period,
+            estimated: /estimat|\best\.|glassdoor/i.test(cleaned),
+            annualMin: min !== null && multiplier ? Math.round(min * multiplier) : null,
+            annualMax: max !== null && multiplier ? Math.round(max * multiplier) : null
+        };
+    },
+
+    /**
+     * Extract the numeric amounts of salary text, expanding K and M suffixes
+     */
+    parseAmounts(text) {
+        const amounts = [];
+        const pattern = /(\d[\d,.\s]*\d|\d)\s*([kKmM])?(?![a-zA-Z])/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            let digits = match[1].replace(/\s/g, '');
+
+            if (/^\d{1,3}(\.\d{3})+$/.test(digits)) {
+                // European thousands separators: 55.000
+                digits = digits.replace(/\./g, '');
+            } else {
+                digits = digits.replace(/,/g, '');
+            }
+
+            let value = parseFloat(digits);
+            if (isNaN(value)) {
+                continue;
+            }
+
+            const suffix = (match[2] || '').toLowerCase();
+            if (suffix === 'k') value *= 1000;
+            if (suffix === 'm') value *= 1000000;
+
+            amounts.push(Math.round(value * 100) / 100);
+        }
+
+        return amounts;
+    },
+
+    /**
+     * ISO currency code named or symbolised in the text, or null
+     */
+    parseCurrency(text) {
+        const code = NORMALIZERS.CURRENCY_CODES.find(entry => new RegExp(`\\b${entry}\\b`).test(text));
+        if (code) {
+            return code;
+        }
+
+        const symbol = NORMALIZERS.CURRENCY_SYMBOLS.find(([prefix]) => text.includes(prefix));
+        return symbol ? symbol[1] : null;
+    },
+
+    /**
+     * Pay period stated in the text ('hour', 'day', 'week', 'month' or 'year'), or null
+     */
+    parsePayPeriod(text) {
+        const period = NORMALIZERS.PAY_PERIODS.find(([, pattern]) => pattern.test(text));
+        return period ? period[0] : null;
+    },
+
+    /**
+     * Guess the pay period of an unlabelled amount from its size
+     */
+    guessPayPeriod(amount) {
+        if (amount === null || amount === undefined) {
+            return null;
+        }
+        if (amount < 500) {
+            return 'hour';
+        }
+        if (amount >= 10000) {
+            return 'year';
+        }
+        return null;
+    },
+
+    /**
+     * Normalized benefit keys mentioned in the given benefit texts, without duplicates
+     */
+    normalizeBenefits(items) {
+        const texts = (Array.isArray(items) ? items : [items]).filter(text => typeof text === 'string');
+        return NORMALIZERS.BENEFITS
+            .filter(([, pattern]) => texts.some(text => pattern.test(text)))
+            .map(([key]) => key);
+    },
+
+    /**
+     * Workplace type ('remote', 'hybrid' or 'on-site') named in badge or location text, or null
+     */
+    parseWorkplaceType(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+        const type = NORMALIZERS.WORKPLACE_TYPES.find(([, pattern]) => pattern.test(text));
+        return type ? type[0] : null;
+    },
+
+    /**
+     * Workplace type and remote regions from, in order of trust, a workplace badge,
+     * the location text and cues in the description.
+     * Returns { workplaceType, remoteRegions } with workplaceType 'N/A' when nothing says.
+     */
+    parseWorkplace({ badge = null, location = null, description = null } = {}) {
+        const clean = (text) => (typeof text === 'string' && text !== 'N/A' ? text : '');
+        const locationText = clean(location);
+        const descriptionText = clean(description);
+
+        let workplaceType = NORMALIZERS.parseWorkplaceType(clean(badge)) ||
+            NORMALIZERS.parseWorkplaceType(locationText);
+        if (!workplaceType) {
+            const cue = NORMALIZERS.WORKPLACE_DESCRIPTION_CUES.find(([, pattern]) => pattern.test(descriptionText));
+            workplaceType = cue ? cue[0] : 'N/A';
+        }
+
+        const regions = [];
+
+        // "United States (Remote)": the rest of the location is where remote work is allowed
+        if (/\bremote\b/i.test(locationText)) {
+            const rest = locationText.replace(/\(?\bremote\b\)?/ig, '').replace(/^[\s,·-]+|[\s,·-]+$/g, '');
+            if (rest) {
+                const known = NORMALIZERS.matchRegions(rest);
+                regions.push(...(known.length > 0 ? known : [rest]));
+            }
+        }
+
+        // Regions named close to "remote" in the description
+        const pattern = /remote/ig;
+        let match;
+        while ((match = pattern.exec(descriptionText)) !== null) {
+            const nearby = descriptionText.slice(Math.max(0, match.index - 80), match.index + 100);
+            regions.push(...NORMALIZERS.matchRegions(nearby));
+        }
+
+        return {
+            workplaceType,
+            remoteRegions: workplaceType === 'remote' ? [...new Set(regions)] : []
+        };
+    },
+
+    /**
+     * Known regions named in the text (NORMALIZERS.REMOTE_REGIONS), in dictionary order
+     */
+    matchRegions(text) {
+        return NORMALIZERS.REMOTE_REGIONS
+            .filter(([, pattern]) => pattern.test(text))
+            .map(([region]) => region);
+    },
+
+    /**
+     * Applicant count bounds from texts such as "47 applicants", "Over 200 applicants" or
+     * "Be among the first 25 applicants". Returns { min, max } (max null when open-ended) or null.
+     */
+    parseApplicants(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        if (/\bno applicants\b/i.test(text)) {
+            return { min: 0, max: 0 };
+        }
+
+        const match = text.replace(/,/g, '').match(/(\d+)\+?\s*(applicants?|people|candidates)/i) ||
+            text.replace(/,/g, '').match(/(\d+)/);
+        if (!match) {
+            return null;
+        }
+
+        const count = parseInt(match[1], 10);
+        if (/\bbe among the first\b/i.test(text)) {
+            return { min: 0, max: Math.max(count - 1, 0) };
+        }
+        if (/\b(over|more than)\b/i.test(text) || /\d\+/.test(text)) {
+            return { min: /\d\+/.test(text) ? count : count + 1, max: null };
+        }
+        return { min: count, max: count };
+    },
+
+    /**
+     * Absolute date ('YYYY-MM-DD') for posting dates such as "2 weeks ago", "Reposted 3 days ago",
+     * "yesterday" or "2024-05-01", counted back from anchor (the scrape time). Null when unreadable.
+     */
+    parseRelativeDate(text, anchor = Date.now()) {
+        if (!text || typeof text !== 'string' || text === 'N/A') {
+            return null;
+        }
+
+        const date = new Date(anchor);
+        const cleaned = text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+        if (/\b(just now|today|moments? ago)\b/.test(cleaned)) {
+            return NORMALIZERS.toIsoDate(date);
+        }
+        if (/\byesterday\b/.test(cleaned)) {
+            date.setUTCDate(date.getUTCDate() - 1);
+            return NORMALIZERS.toIsoDate(date);
+        }
+
+        const relative = cleaned.match(/\b(\d+|an?)\+?\s*(minute|min|hour|hr|day|week|wk|month|mo|year|yr)s?\b.*\bago\b/);
+        if (relative) {
+            const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+            const unit = relative[2];
+
+            if (unit.startsWith('min') || unit.startsWith('h')) {
+                date.setTime(date.getTime() - amount * (unit.startsWith('h') ? 3600000 : 60000));
+            } else if (unit === 'day') {
+                date.setUTCDate(date.getUTCDate() - amount);
+            } else if (unit.startsWith('w')) {
+                date.setUTCDate(date.getUTCDate() - amount * 7);
+            } else if (unit.startsWith('mo')) {
+                date.setUTCMonth(date.getUTCMonth() - amount);
+            } else {
+                date.setUTCFullYear(date.getUTCFullYear() - amount);
+            }
+            return NORMALIZERS.toIsoDate(date);
+        }
+
+        // Absolute dates ("2024-05-01", "May 1, 2024")
+        if (/\d{4}/.test(cleaned)) {
+            const absolute = new Date(text);
+            if (!isNaN(absolute.getTime())) {
+                return NORMALIZERS.toIsoDate(absolute);
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * 'YYYY-MM-DD' in UTC
+     */
+    toIsoDate(date) {
+        return date.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Requirements stated in a description (plain text or Markdown) as job fields:
+     * experienceYearsMin/Max, degreeLevel ('none', 'high-school', 'associate', 'bachelor', 'master',
+     * 'doctorate' or 'N/A') and sponsorship ('offered', 'not offered' or 'unknown'),
+     * each with the sentence it was read from as evidence.
+     */
+    parseRequirements(text) {
+        const sentences = NORMALIZERS.splitSentences(text);
+        const experience = NORMALIZERS.parseExperience(sentences);
+        const degree = NORMALIZERS.parseDegree(sentences);
+        const sponsorship = NORMALIZERS.parseSponsorship(sentences);
+
+        return {
+            experienceYearsMin: experience ? experience.min : null,
+            experienceYearsMax: experience ? experience.max : null,
+            experienceEvidence: experience ? experience.evidence : 'N/A',
+            degreeLevel: degree ? degree.level : 'N/A',
+            degreeEvidence: degree ? degree.evidence : 'N/A',
+            sponsorship: sponsorship ? sponsorship.status : 'unknown',
+            sponsorshipEvidence: sponsorship ? sponsorship.evidence : 'N/A'
+        };
+    },
+
+    /**
+     * Sentences and list items of a description, with Markdown markers removed
+     */
+    splitSentences(text) {
+        if (!text || typeof text !== 'string' || text === 'N/A') {
+            return [];
+        }
+
+        return text
+            .split(/\n+/)
+            .map(line => line
+                .replace(/^\s*(#+|[-*]|\d+\.|>)\s+/, '')
+                .replace(/\*\*|\\(?=[\\`*_[\]])/g, ''))
+            .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z("'])/))
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+    },
+
+    /**
+     * Years of experience asked for, as { min, max, evidence }. The highest minimum wins:
+     * "3+ years of React" next to "7+ years of software engineering" asks for 7.
+     */
+    parseExperience(sentences) {
+        let best = null;
+
+        for (const sentence of sentences) {
+            if (NORMALIZERS.YEARS_EXCLUDED.test(sentence)) {
+                continue;
+            }
+
+            const text = sentence.replace(/\b[a-z]+\b/gi, word =>
+                Object.prototype.hasOwnProperty.call(NORMALIZERS.NUMBER_WORDS, word.toLowerCase())
+                    ? NORMALIZERS.NUMBER_WORDS[word.toLowerCase()]
+                    : word
+            );
+            const aboutExperience = /\b(experience|professional|industry|hands-on|working|track record|background)\b/i.test(text);
+            const pattern = /(\bat least\s+|\bminimum( of)?\s+)?(\d{1,2})\s*(?:(?:-|–|to)\s*(\d{1,2}))?\s*(\+|plus|or more)?\s*(?:years?|yrs?)\b(\s+of\b)?/gi;
+
+            for (const match of text.matchAll(pattern)) {
+                // Without an experience word, only "5+ years", "at least 5 years" or "5 years of" count
+                if (!aboutExperience && !match[1] && !match[5] && !match[6]) {
+                    continue;
+                }
+
+                const min = parseInt(match[3], 10);
+                const max = match[4] ? parseInt(match[4], 10) : null;
+                if (min > 30 || (max !== null && max < min)) {
+                    continue;
+                }
+                if (!best || min > best.min) {
+                    best = { min, max, evidence: sentence };
+                }
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Lowest degree level a description requires, as { level, evidence }. Preferred degrees do not count.
+     */
+    parseDegree(sentences) {
+        let best = null;
+
+        for (const sentence of sentences) {
+            if (!NORMALIZERS.DEGREE_CONTEXT.test(sentence)) {
+                continue;
+            }
+
+            // "Bachelor's degree required, Master's preferred": only the required clauses count
+            const required = sentence.split(/[;,]/)
+                .filter(clause => !NORMALIZERS.PREFERENCE_CUES.test(clause))
+                .join(',');
+            const index = NORMALIZERS.DEGREE_LEVELS.findIndex(([, words, abbreviations]) =>
+                words.test(required) || (abbreviations && abbreviations.test(required))
+            );
+            if (index !== -1 && (!best || index < best.index)) {
+                best = { index, level: NORMALIZERS.DEGREE_LEVELS[index][0], evidence: sentence };
+            }
+        }
+
+        return best ? { level: best.level, evidence: best.evidence } : null;
+    },
+
+    /**
+     * Visa sponsorship statement of a description, as { status, evidence }, or null when it says nothing
+     */
+    parseSponsorship(sentences) {
+        for (const [status, pattern] of NORMALIZERS.SPONSORSHIP_CUES) {
+            const evidence = sentences.find(sentence => pattern.test(sentence));
+            if (evidence) {
+                return { status, evidence };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Job id from a LinkedIn job URL ("/jobs/view/3812345601/", "/jobs/view/dev-at-acme-3812345601",
+     * "?currentJobId=3812345601"), or null
+     */
+    parseJobId(url) {
+        if (!url || typeof url !== 'string') {
+            return null;
+        }
+
+        const match = url.match(/[?&]currentJobId=(\d+)/) || url.match(/\/jobs\/view\/(?:[^/?#]*?-)?(\d+)\/?(?:[?#]|$)/);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Company id from a LinkedIn company URL ("/company/acme-corp/life" -> 'acme-corp'), or null
+     */
+    parseCompanyId(url) {
+        if (!url || typeof url !== 'string') {
+            return null;
+        }
+
+        const match = url.match(/\/company\/([^/?#]+)/i);
+        return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+    },
+
+    /**
+     * Canonical company page URL for a company id
+     */
+    companyUrl(companyId) {
+        return `https://www.linkedin.com/company/${encodeURIComponent(companyId)}/`;
+    },
+
+    /**
+     * Employee count band such as "1,001-5,000 employees" or "10,001+ employees" as
+     * { band: '1001-5000', min, max } (max is null for open bands), or null
+     */
+    parseCompanySize(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const match = text.replace(/,/g, '').match(/(\d+)\s*(?:(?:-|–|to)\s*(\d+)|(\+))?\s*employees?/i);
+        if (!match) {
+            return null;
+        }
+
+        const min = parseInt(match[1], 10);
+        const max = match[2] ? parseInt(match[2], 10) : (match[3] ? null : min);
+        return {
+            band: max === null ? `${min}+` : (max === min ? `${min}` : `${min}-${max}`),
+            min,
+            max
+        };
+    },
+
+    /**
+     * Follower count from "12,345 followers" or "1.2M followers", or null
+     */
+    parseFollowers(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KM])?\s*followers?/i);
+        if (!match) {
+            return null;
+        }
+
+        const multiplier = { K: 1000, M: 1000000 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    },
+
+    /**
+     * Member id from a LinkedIn profile URL ("/in/jane-doe-12ab/" -> 'jane-doe-12ab'), or null
+     */
+    parseProfileId(url) {
+        if (!url || typeof url !== 'string') {
+            return null;
+        }
+
+        const match = url.match(/\/in\/([^/?#]+)/i);
+        return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+    },
+
+    /**
+     * Canonical profile URL for a member id
+     */
+    profileUrl(profileId) {
+        return `https://www.linkedin.com/in/${encodeURIComponent(profileId)}/`;
+    },
+
+    /**
+     * Flat job poster and hiring team columns for CSV exports, from the contact records linked to a job
+     */
+    flattenContacts(poster, hiringTeam) {
+        const record = poster && typeof poster === 'object' ? poster : {};
+        return {
+            posterName: record.name ?? '',
+            posterTitle: record.title ?? '',
+            posterProfileUrl: record.profileUrl ?? '',
+            hiringTeam: Array.isArray(hiringTeam) ? hiringTeam.map(contact => contact.name).join('; ') : ''
+        };
+    },
+
+    /**
+     * Apply method from the apply button label and the apply link of a card or detail page.
+     * Returns { applyMethod, applyUrl, applyDomain, applyAts }: applyMethod is 'easy-apply', 'external'
+     * or 'N/A' when the page does not say; the other fields are 'N/A' unless the external URL is known.
+     */
+    parseApplyInfo({ label = null, url = null } = {}) {
+        const info = { applyMethod: 'N/A', applyUrl: 'N/A', applyDomain: 'N/A', applyAts: 'N/A' };
+        const labelText = typeof label === 'string' ? label : '';
+
+        if (/\beasy apply\b/i.test(labelText)) {
+            info.applyMethod = 'easy-apply';
+            return info;
+        }
+
+        const externalUrl = NORMALIZERS.parseApplyUrl(url);
+        if (externalUrl) {
+            const host = new URL(externalUrl).hostname.toLowerCase();
+            const ats = NORMALIZERS.ATS_DOMAINS.find(([, pattern]) => pattern.test(host));
+            return {
+                applyMethod: 'external',
+                applyUrl: externalUrl,
+                applyDomain: host.replace(/^www\./, ''),
+                applyAts: ats ? ats[0] : 'N/A'
+            };
+        }
+
+        // Logged-in pages label external applications "Apply on company website" without exposing the URL
+        if (/\bcompany website\b|\bexternal(ly)?\b/i.test(labelText)) {
+            info.applyMethod = 'external';
+        }
+        return info;
+    },
+
+    /**
+     * Absolute external apply URL from an apply link, unwrapping LinkedIn's redirect
+     * ("/jobs/view/externalApply/123?url=https%3A%2F%2F..."). Guest pages keep the link in an
+     * HTML comment, so comment markers and quotes are stripped. Returns null for LinkedIn links.
+     */
+    parseApplyUrl(raw) {
+        if (!raw || typeof raw !== 'string') {
+            return null;
+        }
+
+        const cleaned = raw.replace(/<!--|-->/g, '').trim().replace(/^["']|["']$/g, '').replace(/&amp;/g, '&');
+        let url;
+        try {
+            url = new URL(cleaned, 'https://www.linkedin.com');
+        } catch (error) {
+            return null;
+        }
+
+        if (/(^|\.)linkedin\.com$/i.test(url.hostname)) {
+            const target = url.searchParams.get('url');
+            return target && target !== cleaned ? NORMALIZERS.parseApplyUrl(target) : null;
+        }
+        return /^https?:$/.test(url.protocol) ? url.href : null;
+    },
+
+    /**
+     * Flat company columns for CSV exports, from the company record linked to a job
+     */
+    flattenCompany(company) {
+        const record = company && typeof company === 'object' ? company : {};
+        return {
+            companyIndustry: record.industry ?? '',
+            companySizeBand: record.sizeBand ?? '',
+            companyHeadquarters: record.headquarters ?? '',
+            companyFollowers: record.followers ?? ''
+        };
+    },
+
+    /**
+     * Flat salary columns for CSV exports
+     */
+    flattenSalary(salary) {
+        const parsed = salary && typeof salary === 'object' ? salary : null;
+        return {
+            salaryText: parsed ? parsed.text : 'N/A',
+            salaryMin: parsed?.min ?? '',
+            salaryMax: parsed?.max ?? '',
+            salaryCurrency: parsed?.currency || '',
+            salaryPeriod: parsed?.period || '',
+            salaryEstimated: parsed ? parsed.estimated : ''
+        };
+    },
+
+    /**
+     * Comparable annual pay of a job, preferring the top of the range; null when unknown
+     */
+    annualSalary(salary, bound = 'max') {
+        if (!salary || typeof salary !== 'object') {
+            return null;
+        }
+        return bound === 'min'
+            ? salary.annualMin ?? salary.annualMax ?? null
+            : salary.annualMax ?? salary.annualMin ?? null;
+    },
+
+    /**
+     * A job with its structured fields spread into flat columns for CSV exports
+     */
+    flattenJob(job) {
+        const { salary, company, poster, hiringTeam, ...rest } = job;
+        return {
+            ...rest,
+            ...NORMALIZERS.flattenSalary(salary),
+            ...NORMALIZERS.flattenCompany(company),
+            ...NORMALIZERS.flattenContacts(poster, hiringTeam),
+            benefits: Array.isArray(job.benefits) ? job.benefits.join('; ') : '',
+            remoteRegions: Array.isArray(job.remoteRegions) ? job.remoteRegions.join('; ') : '',
+            skills: Array.isArray(job.skills) ? job.skills.join('; ') : '',
+            batchSearches: Array.isArray(job.batchSearches) ? job.batchSearches.join('; ') : ''
+        };
+    }
+};
+
+// Make normalizers available globally
+if (typeof window !== 'undefined') {
+    window.NORMALIZERS = NORMALIZERS;
+}
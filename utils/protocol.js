@@ -0,0 +1,409 @@
+// utils/protocol.js
+// Shared message protocol used by the popup, content script and background
+
+/**
+ * Error carrying a protocol error code, thrown by handlers and senders
+ */
+class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+    }
+}
+
+const PROTOCOL = {
+    VERSION: 1,
+
+    // Message names understood by at least one extension context
+    MESSAGES: {
+        PING: 'PING',
+        GET_STATUS: 'GET_STATUS',
+        GET_CURRENT_URL: 'GET_CURRENT_URL',
+        START_SCRAPING: 'START_SCRAPING',
+        STOP_SCRAPING: 'STOP_SCRAPING',
+        PROGRESS_UPDATE: 'PROGRESS_UPDATE',
+        SCRAPE_ATTACH: 'SCRAPE_ATTACH',
+        RESUME_SCRAPE: 'RESUME_SCRAPE',
+        PAGE_COLLECTED: 'PAGE_COLLECTED',
+        JOB_DETAILS_COLLECTED: 'JOB_DETAILS_COLLECTED',
+        COMPANY_CAPTURED: 'COMPANY_CAPTURED',
+        SAVE_JOB: 'SAVE_JOB',
+        GET_JOB_STATUS: 'GET_JOB_STATUS',
+        SCRAPING_PROGRESS: 'SCRAPING_PROGRESS',
+        GET_SCRAPING_STATUS: 'GET_SCRAPING_STATUS',
+        GET_SCRAPED_DATA: 'GET_SCRAPED_DATA',
+        DELETE_SCRAPED_DATA: 'DELETE_SCRAPED_DATA',
+        GET_SETTINGS: 'GET_SETTINGS',
+        UPDATE_SETTINGS: 'UPDATE_SETTINGS',
+        RUN_TASK: 'RUN_TASK',
+        GET_TASK_STATUS: 'GET_TASK_STATUS',
+        GET_SAVED_SEARCHES: 'GET_SAVED_SEARCHES',
+        SAVE_SEARCH: 'SAVE_SEARCH',
+        DELETE_SAVED_SEARCH: 'DELETE_SAVED_SEARCH',
+        RUN_SAVED_SEARCH: 'RUN_SAVED_SEARCH',
+        GET_QUEUE: 'GET_QUEUE',
+        PAUSE_QUEUE: 'PAUSE_QUEUE',
+        RESUME_QUEUE: 'RESUME_QUEUE',
+        PAUSE_QUEUED_JOB: 'PAUSE_QUEUED_JOB',
+        RESUME_QUEUED_JOB: 'RESUME_QUEUED_JOB',
+        CANCEL_QUEUED_JOB: 'CANCEL_QUEUED_JOB',
+        SET_QUEUED_JOB_PRIORITY: 'SET_QUEUED_JOB_PRIORITY',
+        MOVE_QUEUED_JOB: 'MOVE_QUEUED_JOB',
+        START_BATCH: 'START_BATCH',
+        GET_BATCHES: 'GET_BATCHES',
+        CANCEL_BATCH: 'CANCEL_BATCH',
+        GET_SELECTOR_HEALTH: 'GET_SELECTOR_HEALTH'
+    },
+
+    // Error codes returned in error replies
+    ERRORS: {
+        MALFORMED_MESSAGE: 'MALFORMED_MESSAGE',
+        UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+        UNKNOWN_MESSAGE: 'UNKNOWN_MESSAGE',
+        INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+        ALREADY_RUNNING: 'ALREADY_RUNNING',
+        NOT_FOUND: 'NOT_FOUND',
+        NO_RESPONSE: 'NO_RESPONSE',
+        INTERNAL_ERROR: 'INTERNAL_ERROR'
+    },
+
+    // Steps the background hands to a content script in reply to SCRAPE_ATTACH and PAGE_COLLECTED
+    SCRAPE_COMMANDS: {
+        COLLECT_PAGE: 'COLLECT_PAGE',
+        FETCH_DETAILS: 'FETCH_DETAILS',
+        NEXT_PAGE: 'NEXT_PAGE', // Open the next page with the search's own pagination controls
+        WAIT: 'WAIT',
+        IDLE: 'IDLE'
+    },
+
+    // Payload shapes per message: field -> type, a trailing '?' marks optional fields
+    PAYLOADS: {
+        PING: {},
+        GET_STATUS: {},
+        GET_CURRENT_URL: {},
+        START_SCRAPING: {
+            tabId: 'number?',
+            mode: 'string?',     // 'search' (default) or 'current-page' for the search open in the tab
+            jobTitle: 'string?', // Required in 'search' mode
+            location: 'string?', // Required in 'search' mode
+            numPages: 'number?',
+            filters: 'object?',
+            priority: 'number?'
+        },
+        STOP_SCRAPING: {
+            tabId: 'number?'
+        },
+        PROGRESS_UPDATE: {
+            type: 'string',
+            message: 'string?',
+            progress: 'number?',
+            data: 'array?'
+        },
+        SCRAPE_ATTACH: {
+            url: 'string'
+        },
+        RESUME_SCRAPE: {},
+        PAGE_COLLECTED: {
+            page: 'number',
+            jobs: 'array',
+            hasNextPage: 'boolean?',
+            selectorStats: 'object?'
+        },
+        JOB_DETAILS_COLLECTED: {
+            jobId: 'string',
+            details: 'object?', // Either the extracted details or the reason fetching them failed
+            error: 'string?',
+            selectorStats: 'object?'
+        },
+        COMPANY_CAPTURED: {
+            company: 'object'
+        },
+        SAVE_JOB: {
+            job: 'object' // Header fields and details of a job page, from JobExtractor.extractJobPage
+        },
+        GET_JOB_STATUS: {
+            jobId: 'string'
+        },
+        SCRAPING_PROGRESS: {
+            jobId: 'string',
+            tabId: 'number',
+            progress: 'number',
+            status: 'string',
+            extractedCount: 'number',
+            message: 'string?',
+            batchId: 'string?',      // Set for jobs started by a batch search
+            batchProgress: 'number?' // Overall progress of that batch in percent
+        },
+        GET_SCRAPING_STATUS: {},
+        GET_SCRAPED_DATA: {
+            filters: 'object?'
+        },
+        DELETE_SCRAPED_DATA: {
+            filters: 'object?'
+        },
+        GET_SETTINGS: {},
+        UPDATE_SETTINGS: {
+            settings: 'object'
+        },
+        RUN_TASK: {
+            name: 'string'
+        },
+        GET_TASK_STATUS: {},
+        GET_SAVED_SEARCHES: {},
+        SAVE_SEARCH: {
+            search: 'object'
+        },
+        DELETE_SAVED_SEARCH: {
+            id: 'string'
+        },
+        RUN_SAVED_SEARCH: {
+            id: 'string'
+        },
+        GET_QUEUE: {},
+        PAUSE_QUEUE: {},
+        RESUME_QUEUE: {},
+        PAUSE_QUEUED_JOB: {
+            id: 'string'
+        },
+        RESUME_QUEUED_JOB: {
+            id: 'string'
+        },
+        CANCEL_QUEUED_JOB: {
+            id: 'string'
+        },
+        SET_QUEUED_JOB_PRIORITY: {
+            id: 'string',
+            priority: 'number'
+        },
+        MOVE_QUEUED_JOB: {
+            id: 'string',
+            position: 'number'
+        },
+        START_BATCH: {
+            titles: 'array',    // Job titles, each searched in every location
+            locations: 'array',
+            numPages: 'number?',
+            filters: 'object?',
+            priority: 'number?',
+            name: 'string?'
+        },
+        GET_BATCHES: {},
+        CANCEL_BATCH: {
+            id: 'string'
+        },
+        GET_SELECTOR_HEALTH: {}
+    },
+
+    /**
+     * Build a request message with a fresh correlation id
+     */
+    createMessage(type, data = {}) {
+        return {
+            version: PROTOCOL.VERSION,
+            id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            data
+        };
+    },
+
+    /**
+     * Build a success reply correlated to a request
+     */
+    createResponse(request, data = {}) {
+        return {
+            version: PROTOCOL.VERSION,
+            replyTo: request && request.id ? request.id : null,
+            success: true,
+            data
+        };
+    },
+
+    /**
+     * Build a typed error reply correlated to a request
+     */
+    createErrorResponse(request, code, message) {
+        return {
+            version: PROTOCOL.VERSION,
+            replyTo: request && request.id ? request.id : null,
+            success: false,
+            error: { code, message }
+        };
+    },
+
+    /**
+     * Check a message against the envelope and payload shape.
+     * Returns null when valid, otherwise a ProtocolError describing the problem.
+     */
+    validateMessage(message) {
+        if (!message || typeof message !== 'object' || typeof message.type !== 'string' || !message.id) {
+            return new ProtocolError(PROTOCOL.ERRORS.MALFORMED_MESSAGE, 'Message is missing type or id');
+        }
+
+        if (message.version !== PROTOCOL.VERSION) {
+            return new ProtocolError(
+                PROTOCOL.ERRORS.UNSUPPORTED_VERSION,
+                `Unsupported protocol version: ${message.version}`
+            );
+        }
+
+        const shape = PROTOCOL.PAYLOADS[message.type];
+        if (!shape) {
+            return new ProtocolError(PROTOCOL.ERRORS.UNKNOWN_MESSAGE, `Unknown message type: ${message.type}`);
+        }
+
+        const data = message.data === undefined ? {} : message.data;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return new ProtocolError(PROTOCOL.ERRORS.INVALID_PAYLOAD, `${message.type} payload must be an object`);
+        }
+
+        for (const [field, spec] of Object.entries(shape)) {
+            const optional = spec.endsWith('?');
+            const expectedType = optional ? spec.slice(0, -1) : spec;
+            const value = data[field];
+
+            if (value === undefined || value === null) {
+                if (!optional) {
+                    return new ProtocolError(
+                        PROTOCOL.ERRORS.INVALID_PAYLOAD,
+                        `${message.type} payload is missing required field: ${field}`
+                    );
+                }
+                continue;
+            }
+
+            if (!PROTOCOL.matchesType(value, expectedType)) {
+                return new ProtocolError(
+                    PROTOCOL.ERRORS.INVALID_PAYLOAD,
+                    `${message.type} field ${field} must be of type ${expectedType}`
+                );
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Check a single value against a payload type name
+     */
+    matchesType(value, expectedType) {
+        switch (expectedType) {
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            case 'number':
+                return typeof value === 'number' && !isNaN(value);
+            default:
+                return typeof value === expectedType;
+        }
+    },
+
+    /**
+     * Create a chrome.runtime.onMessage listener that validates incoming messages,
+     * dispatches them to the handler and replies with a correlated response.
+     *
+     * The handler receives (message, sender) and returns the reply data (or a promise of it);
+     * throwing a ProtocolError produces a typed error reply.
+     *
+     * Options:
+     * - accepts: list of message types this context handles. Anything else is left
+     *   for other listeners instead of being rejected (used by pages that only listen
+     *   for broadcasts).
+     */
+    createListener(handler, options = {}) {
+        const { accepts = null } = options;
+
+        return (message, sender, sendResponse) => {
+            if (accepts && !(message && accepts.includes(message.type))) {
+                return false;
+            }
+
+            const validationError = PROTOCOL.validateMessage(message);
+            if (validationError) {
+                sendResponse(PROTOCOL.createErrorResponse(message, validationError.code, validationError.message));
+                return false;
+            }
+
+            Promise.resolve()
+                .then(() => handler(message, sender))
+                .then(data => {
+                    sendResponse(PROTOCOL.createResponse(message, data));
+                })
+                .catch(error => {
+                    if (!(error instanceof ProtocolError)) {
+                        console.error(`Error handling ${message.type}:`, error);
+                    }
+                    sendResponse(PROTOCOL.createErrorResponse(
+                        message,
+                        error.code || PROTOCOL.ERRORS.INTERNAL_ERROR,
+                        error.message
+                    ));
+                });
+
+            return true; // Keep message channel open for async responses
+        };
+    },
+
+    /**
+     * Unwrap a reply: returns its data or throws a ProtocolError
+     */
+    unwrapResponse(request, response) {
+        if (!response) {
+            throw new ProtocolError(PROTOCOL.ERRORS.NO_RESPONSE, `No response to ${request.type}`);
+        }
+
+        if (response.version !== PROTOCOL.VERSION) {
+            throw new ProtocolError(
+                PROTOCOL.ERRORS.UNSUPPORTED_VERSION,
+                `Unsupported protocol version in reply: ${response.version}`
+            );
+        }
+
+        if (response.replyTo !== request.id) {
+            throw new ProtocolError(PROTOCOL.ERRORS.MALFORMED_MESSAGE, `Reply does not match ${request.type} request`);
+        }
+
+        if (!response.success) {
+            const error = response.error || {};
+            throw new ProtocolError(error.code || PROTOCOL.ERRORS.INTERNAL_ERROR, error.message || 'Unknown error');
+        }
+
+        return response.data;
+    },
+
+    /**
+     * Send a request to the background and resolve with the reply data
+     */
+    async sendToBackground(type, data = {}) {
+        const message = PROTOCOL.createMessage(type, data);
+        const response = await chrome.runtime.sendMessage(message);
+        return PROTOCOL.unwrapResponse(message, response);
+    },
+
+    /**
+     * Send a request to the content script of a tab and resolve with the reply data
+     */
+    async sendToTab(tabId, type, data = {}) {
+        const message = PROTOCOL.createMessage(type, data);
+        const response = await chrome.tabs.sendMessage(tabId, message);
+        return PROTOCOL.unwrapResponse(message, response);
+    },
+
+    /**
+     * Fire-and-forget notification to extension pages (popup, options).
+     * No reply is expected and a missing receiver is not an error.
+     */
+    broadcast(type, data = {}) {
+        const message = PROTOCOL.createMessage(type, data);
+        return chrome.runtime.sendMessage(message).catch(() => {
+            // No extension page open, ignore
+        });
+    }
+};
+
+// Make protocol available globally
+if (typeof window !== 'undefined') {
+    window.PROTOCOL = PROTOCOL;
+    window.ProtocolError = ProtocolError;
+}
@@ -0,0 +1,523 @@
+// utils/selectors.js
+// Purpose: Single registry of the DOM selectors used to scrape LinkedIn.
+// The built-in profile ships with the extension; user profiles stored in chrome.storage.local
+// override it field by field, so a broken selector can be hot-fixed from the options page.
+
+const SELECTOR_REGISTRY = {
+    SCHEMA_VERSION: 1,
+    EXPORT_FORMAT: 'linkedin-job-scraper-selectors',
+    BUILT_IN_PROFILE_ID: 'built-in',
+
+    STORAGE_KEYS: {
+        PROFILES: 'selectorProfiles',
+        ACTIVE_PROFILE: 'activeSelectorProfileId'
+    },
+
+    // Fields many postings legitimately lack, so a low hit rate says nothing about the selectors
+    OPTIONAL_FIELDS: [
+        'jobCard.salary',
+        'jobDetails.salary',
+        'jobDetails.benefits',
+        'jobCard.workplaceType',
+        'jobDetails.workplaceType',
+        'jobCard.companyLink',
+        'jobDetails.companyLink',
+        'jobDetails.companyInfo',
+        'jobDetails.companyFollowers',
+        'resultItems',
+        'pagination.pageButtons',
+        'pagination.nextButton',
+        'jobCard.applyMethod',
+        'jobDetails.applyButton',
+        'jobDetails.applyUrl',
+        'jobDetails.hiringTeamMembers',
+        'jobDetails.hiringTeamName',
+        'jobDetails.hiringTeamTitle',
+        'jobDetails.hiringTeamProfileLink',
+        'jobDetails.hiringTeamPosterBadge',
+        'companyPage.name',
+        'companyPage.aboutItems',
+        'companyPage.followers'
+    ],
+
+    // Selectors shipped with the extension. Every field is a list tried in order.
+    DEFAULT_SELECTORS: {
+        // Containers holding the search result cards
+        jobList: [
+            'ul.jobs-search__results-list',
+            'div.jobs-search-results-list',
+            '.scaffold-layout__list'
+        ],
+        // Individual result cards
+        jobCards: [
+            'ul.jobs-search__results-list > li',
+            'div.jobs-search-results-list > div',
+            '.scaffold-layout__list > div',
+            '[data-job-id]'
+        ],
+        // Result list entries, including the empty placeholders the logged-in list keeps for
+        // cards scrolled out of view until they are scrolled into view
+        resultItems: [
+            'li[data-occludable-job-id]',
+            '.scaffold-layout__list-item'
+        ],
+        // Pagination controls under the logged-in results list
+        pagination: {
+            // Numbered page buttons, labelled "Page 2", "Page 3"...
+            pageButtons: [
+                '.jobs-search-pagination__indicator-button',
+                '.artdeco-pagination__indicator--number button',
+                'button[aria-label^="Page "]'
+            ],
+            nextButton: [
+                'button.jobs-search-pagination__button--next',
+                'button[aria-label="View next page"]',
+                '.artdeco-pagination__button--next'
+            ]
+        },
+        jobCard: {
+            title: [
+                'h3.base-search-card__title',
+                'a[aria-label]',
+                '.job-card-list__title',
+                '.job-card-container__link'
+            ],
+            company: [
+                'h4.base-search-card__subtitle',
+                '.artdeco-entity-lockup__subtitle',
+                '.job-card-container__primary-description'
+            ],
+            location: [
+                'span.job-search-card__location',
+                '.artdeco-entity-lockup__caption li span',
+                'span[dir="ltr"]'
+            ],
+            link: [
+                'a.base-card__full-link',
+                'a[href*="/jobs/view/"]'
+            ],
+            companyLink: [
+                'h4.base-search-card__subtitle a',
+                'a.job-card-container__company-name',
+                'a[href*="/company/"]'
+            ],
+            // Footer items; the one reading "Easy Apply" marks Easy Apply jobs
+            applyMethod: [
+                '.job-card-container__apply-method',
+                '.job-card-container__footer-item'
+            ],
+            date: [
+                'time',
+                '.job-search-card__listdate'
+            ],
+            salary: [
+                '.job-search-card__salary-info',
+                '.job-card-container__salary-info',
+                '[data-test-id="salary-info"]'
+            ],
+            workplaceType: [
+                '.job-card-container__metadata-item--workplace-type',
+                '.job-search-card__workplace-type'
+            ]
+        },
+        jobDetails: {
+            // Top card of a job page, read when a single job is saved from its own page
+            title: [
+                'h1.top-card-layout__title',
+                'h1.topcard__title',
+                '.job-details-jobs-unified-top-card__job-title h1',
+                '.job-details-jobs-unified-top-card__container--two-pane h1'
+            ],
+            company: [
+                'a.topcard__org-name-link',
+                '.job-details-jobs-unified-top-card__company-name',
+                '.jobs-company__box .artdeco-entity-lockup__title'
+            ],
+            location: [
+                'span.topcard__flavor--bullet',
+                '.job-details-jobs-unified-top-card__primary-description-container .tvm__text',
+                '.job-details-jobs-unified-top-card__tertiary-description-container .tvm__text'
+            ],
+            description: [
+                'div.show-more-less-html__markup',
+                '.description__text',
+                '.jobs-description__content'
+            ],
+            criteria: [
+                'li.description__job-criteria-item',
+                '.job-criteria'
+            ],
+            criteriaHeader: [
+                'h3.description__job-criteria-subheader'
+            ],
+            criteriaValue: [
+                'span.description__job-criteria-text'
+            ],
+            applicants: [
+                'figcaption.num-applicants__caption',
+                'span.num-applicants__caption',
+                '.applicant-count'
+            ],
+            datePosted: [
+                'span.posted-time-ago__text',
+                '.job-posted-date'
+            ],
+            salary: [
+                '.compensation__salary',
+                '.salary-main-rail__salary-info',
+                '[data-test-id="salary-info"]'
+            ],
+            benefits: [
+                '.job-details-benefits-module',
+                '.featured-benefits',
+                '.benefits-section',
+                '[data-test-id="benefits"]'
+            ],
+            // Items inside the benefits container
+            benefitItems: [
+                '.benefit-item',
+                'li'
+            ],
+            workplaceType: [
+                '.job-details-preferences-and-skills__pill--workplace-type',
+                '.jobs-unified-top-card__workplace-type',
+                '.workplace-type'
+            ],
+            companyLink: [
+                'a.topcard__org-name-link',
+                '.job-details-jobs-unified-top-card__company-name a',
+                '.jobs-company__box a[href*="/company/"]'
+            ],
+            // "About the company" module: industry, size band and followers
+            companyInfo: [
+                '.jobs-company__box .t-14.mt5',
+                '.jobs-company__inline-information'
+            ],
+            companyFollowers: [
+                '.jobs-company__box .artdeco-entity-lockup__subtitle',
+                '.jobs-company__followers'
+            ],
+            // Apply button; its label says "Easy Apply" or "Apply ... on company website"
+            applyButton: [
+                '.jobs-apply-button--top-card .jobs-apply-button',
+                '.jobs-apply-button',
+                '.top-card-layout__cta-container .apply-button',
+                '[data-tracking-control-name^="public_jobs_apply-link"]'
+            ],
+            // External apply link; guest pages keep it in an HTML comment inside code#applyUrl
+            applyUrl: [
+                'code#applyUrl',
+                'a.apply-button[href]',
+                'a.jobs-apply-button[href]'
+            ],
+            // "Meet the hiring team" cards on logged-in detail pages, one per person
+            hiringTeamMembers: [
+                '.hirer-card__container',
+                '.job-details-people-who-can-help__section--two-pane .hirer-card__hirer-information'
+            ],
+            // Inside a hiring team card
+            hiringTeamName: [
+                '.jobs-poster__name',
+                '.hirer-card__hirer-information strong'
+            ],
+            hiringTeamTitle: [
+                '.hirer-card__hirer-job-title',
+                '.hirer-card__hirer-information .text-body-small'
+            ],
+            hiringTeamProfileLink: [
+                'a[href*="/in/"]'
+            ],
+            // "Job poster" label on the card of the person who posted the job
+            hiringTeamPosterBadge: [
+                '.hirer-card__job-poster'
+            ]
+        },
+        // Company pages, fetched to enrich the company cache
+        companyPage: {
+            name: [
+                'h1.top-card-layout__title',
+                'h1.org-top-card-summary__title',
+                'h1'
+            ],
+            // Term/definition pairs of the "About" section (Industry, Company size, Headquarters...)
+            aboutItems: [
+                '[data-test-id^="about-us__"]',
+                'dl > div',
+                'dl > dt'
+            ],
+            followers: [
+                'h3.top-card-layout__first-subline',
+                '.org-top-card-summary-info-list'
+            ]
+        }
+    },
+
+    /**
+     * The built-in profile, which cannot be edited or deleted
+     */
+    getBuiltInProfile() {
+        return {
+            id: SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID,
+            name: 'Built-in',
+            version: SELECTOR_REGISTRY.SCHEMA_VERSION,
+            builtIn: true,
+            selectors: SELECTOR_REGISTRY.DEFAULT_SELECTORS
+        };
+    },
+
+    /**
+     * User profiles stored in chrome.storage.local
+     */
+    async getProfiles() {
+        const result = await chrome.storage.local.get([SELECTOR_REGISTRY.STORAGE_KEYS.PROFILES]);
+        return result[SELECTOR_REGISTRY.STORAGE_KEYS.PROFILES] || [];
+    },
+
+    /**
+     * The profile scrapes currently use (the built-in one unless another is selected)
+     */
+    async getActiveProfile() {
+        const { PROFILES, ACTIVE_PROFILE } = SELECTOR_REGISTRY.STORAGE_KEYS;
+        const result = await chrome.storage.local.get([PROFILES, ACTIVE_PROFILE]);
+        const profile = (result[PROFILES] || []).find(entry => entry.id === result[ACTIVE_PROFILE]);
+        return profile || SELECTOR_REGISTRY.getBuiltInProfile();
+    },
+
+    /**
+     * Selectors of the active profile merged over the built-in ones.
+     * Falls back to the built-in selectors when storage is unavailable.
+     */
+    async getActiveSelectors() {
+        try {
+            const profile = await SELECTOR_REGISTRY.getActiveProfile();
+            return SELECTOR_REGISTRY.resolve(profile.selectors);
+        } catch (error) {
+            console.error('Error loading selector profile:', error);
+            return SELECTOR_REGISTRY.resolve({});
+        }
+    },
+
+    /**
+     * Merge partial selectors over the built-in ones, field by field
+     */
+    resolve(selectors = {}) {
+        const merge = (defaults, overrides = {}) => {
+            const merged = {};
+            for (const [key, value] of Object.entries(defaults)) {
+                if (Array.isArray(value)) {
+                    merged[key] = Array.isArray(overrides[key]) && overrides[key].length > 0
+                        ? overrides[key]
+                        : value;
+                } else {
+                    merged[key] = merge(value, overrides[key]);
+                }
+            }
+            return merged;
+        };
+
+        return merge(SELECTOR_REGISTRY.DEFAULT_SELECTORS, selectors);
+    },
+
+    /**
+     * Check a selectors object against the registry schema.
+     * Returns a list of problems; empty when the selectors are usable.
+     */
+    validateSelectors(selectors) {
+        const errors = [];
+
+        const check = (defaults, value, path) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path || 'selectors'} must be an object`);
+                return;
+            }
+
+            for (const [key, entry] of Object.entries(value)) {
+                const fieldPath = path ? `${path}.${key}` : key;
+                if (!(key in defaults)) {
+                    errors.push(`Unknown selector field: ${fieldPath}`);
+                } else if (Array.isArray(defaults[key])) {
+                    if (!Array.isArray(entry) || entry.some(selector => typeof selector !== 'string' || !selector.trim())) {
+                        errors.push(`${fieldPath} must be a list of selector strings`);
+                    } else {
+                        for (const selector of entry) {
+                            if (!SELECTOR_REGISTRY.isValidSelector(selector)) {
+                                errors.push(`Invalid selector in ${fieldPath}: ${selector}`);
+                            }
+                        }
+                    }
+                } else {
+                    check(defaults[key], entry, fieldPath);
+                }
+            }
+        };
+
+        check(SELECTOR_REGISTRY.DEFAULT_SELECTORS, selectors, '');
+        return errors;
+    },
+
+    /**
+     * Check CSS syntax where a document is available to parse it
+     */
+    isValidSelector(selector) {
+        if (typeof document === 'undefined') {
+            return true;
+        }
+
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Create or update a user profile. Every save bumps its version.
+     */
+    async saveProfile(profileData) {
+        if (profileData.id === SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID) {
+            throw new Error('The built-in selector profile cannot be changed');
+        }
+
+        const errors = SELECTOR_REGISTRY.validateSelectors(profileData.selectors);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        const profiles = await SELECTOR_REGISTRY.getProfiles();
+        const existingIndex = profiles.findIndex(profile => profile.id === profileData.id);
+        const existing = existingIndex !== -1 ? profiles[existingIndex] : null;
+
+        const profile = {
+            id: profileData.id || `selectors_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: (profileData.name || 'Untitled profile').trim(),
+            version: (existing?.version || 0) + 1,
+            createdAt: existing?.createdAt || Date.now(),
+            updatedAt: Date.now(),
+            selectors: profileData.selectors
+        };
+
+        if (existing) {
+            profiles[existingIndex] = profile;
+        } else {
+            profiles.push(profile);
+        }
+
+        await chrome.storage.local.set({ [SELECTOR_REGISTRY.STORAGE_KEYS.PROFILES]: profiles });
+        return profile;
+    },
+
+    /**
+     * Delete a user profile; the built-in profile takes over if it was active
+     */
+    async deleteProfile(profileId) {
+        const { PROFILES, ACTIVE_PROFILE } = SELECTOR_REGISTRY.STORAGE_KEYS;
+        const profiles = await SELECTOR_REGISTRY.getProfiles();
+        const remaining = profiles.filter(profile => profile.id !== profileId);
+
+        await chrome.storage.local.set({ [PROFILES]: remaining });
+
+        const result = await chrome.storage.local.get([ACTIVE_PROFILE]);
+        if (result[ACTIVE_PROFILE] === profileId) {
+            await chrome.storage.local.remove(ACTIVE_PROFILE);
+        }
+
+        return remaining.length !== profiles.length;
+    },
+
+    /**
+     * Select the profile scrapes use from now on
+     */
+    async setActiveProfile(profileId) {
+        const { ACTIVE_PROFILE } = SELECTOR_REGISTRY.STORAGE_KEYS;
+
+        if (profileId === SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID) {
+            await chrome.storage.local.remove(ACTIVE_PROFILE);
+            return;
+        }
+
+        const profiles = await SELECTOR_REGISTRY.getProfiles();
+        if (!profiles.some(profile => profile.id === profileId)) {
+            throw new Error(`Selector profile not found: ${profileId}`);
+        }
+
+        await chrome.storage.local.set({ [ACTIVE_PROFILE]: profileId });
+    },
+
+    /**
+     * Serialize user profiles for sharing
+     */
+    async exportProfiles(profileIds = null) {
+        const profiles = await SELECTOR_REGISTRY.getProfiles();
+        return {
+            format: SELECTOR_REGISTRY.EXPORT_FORMAT,
+            schemaVersion: SELECTOR_REGISTRY.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            profiles: profileIds ? profiles.filter(profile => profileIds.includes(profile.id)) : profiles
+        };
+    },
+
+    /**
+     * Import profiles from an export. A profile replaces a stored one with the same ID
+     * only when its version is newer; invalid profiles are skipped with the reason.
+     */
+    async importProfiles(data) {
+        if (!data || data.format !== SELECTOR_REGISTRY.EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+            throw new Error('Not a selector profile export');
+        }
+
+        if (data.schemaVersion > SELECTOR_REGISTRY.SCHEMA_VERSION) {
+            throw new Error(`Selector profiles were exported by a newer version (schema ${data.schemaVersion})`);
+        }
+
+        const profiles = await SELECTOR_REGISTRY.getProfiles();
+        const imported = [];
+        const skipped = [];
+
+        for (const profile of data.profiles) {
+            const label = profile?.name || profile?.id || 'Unnamed profile';
+
+            if (!profile?.id || profile.id === SELECTOR_REGISTRY.BUILT_IN_PROFILE_ID) {
+                skipped.push({ name: label, reason: 'Missing or reserved profile ID' });
+                continue;
+            }
+
+            const errors = SELECTOR_REGISTRY.validateSelectors(profile.selectors);
+            if (errors.length > 0) {
+                skipped.push({ name: label, reason: errors.join('; ') });
+                continue;
+            }
+
+            const existingIndex = profiles.findIndex(entry => entry.id === profile.id);
+            const existing = existingIndex !== -1 ? profiles[existingIndex] : null;
+            if (existing && existing.version >= (profile.version || 1)) {
+                skipped.push({ name: label, reason: `Version ${existing.version} is already installed` });
+                continue;
+            }
+
+            const entry = {
+                id: profile.id,
+                name: String(profile.name || profile.id),
+                version: profile.version || 1,
+                createdAt: existing?.createdAt || Date.now(),
+                updatedAt: Date.now(),
+                selectors: profile.selectors
+            };
+
+            if (existing) {
+                profiles[existingIndex] = entry;
+            } else {
+                profiles.push(entry);
+            }
+            imported.push(entry.name);
+        }
+
+        await chrome.storage.local.set({ [SELECTOR_REGISTRY.STORAGE_KEYS.PROFILES]: profiles });
+        return { imported, skipped };
+    }
+};
+
+// Make the selector registry available globally
+if (typeof window !== 'undefined') {
+    window.SELECTOR_REGISTRY = SELECTOR_REGISTRY;
+}
@@ -0,0 +1,187 @@
+// utils/skills.js
+// Purpose: Detect skills and technologies named in job descriptions.
+// A bundled dictionary maps each skill to its synonyms ("JS" -> JavaScript, "k8s" -> Kubernetes);
+// users extend it from the options page with entries stored in chrome.storage.local.
+
+const SKILLS = {
+    STORAGE_KEY: 'customSkills',
+
+    // Terms this short are matched with their exact case, so "Go" does not match "go"
+    CASE_SENSITIVE_LENGTH: 2,
+
+    // Bundled dictionary: skill name -> synonyms. The name itself always matches.
+    DICTIONARY: {
+        // Languages
+        'JavaScript': ['JS', 'ECMAScript', 'ES6'],
+        'TypeScript': ['TS'],
+        'Python': [],
+        'Java': [],
+        'Kotlin': [],
+        'Swift': [],
+        'Go': ['Golang'],
+        'Rust': [],
+        'Ruby': [],
+        'PHP': [],
+        'C#': ['C Sharp'],
+        'C++': ['CPP'],
+        'Scala': [],
+        'SQL': [],
+        'Bash': ['Shell scripting'],
+
+        // Frontend
+        'React': ['React.js', 'ReactJS'],
+        'Angular': ['AngularJS'],
+        'Vue.js': ['Vue', 'VueJS'],
+        'Svelte': [],
+        'Next.js': ['NextJS'],
+        'Redux': [],
+        'HTML': ['HTML5'],
+        'CSS': ['CSS3', 'Sass', 'SCSS'],
+        'Tailwind CSS': ['Tailwind'],
+        'GraphQL': [],
+
+        // Backend
+        'Node.js': ['NodeJS'],
+        'Express.js': ['ExpressJS'],
+        'Django': [],
+        'Flask': [],
+        'FastAPI': [],
+        'Spring': ['Spring Boot'],
+        'Ruby on Rails': [],
+        '.NET': ['ASP.NET', 'dotnet'],
+        'REST APIs': ['REST API', 'RESTful'],
+        'gRPC': [],
+        'Microservices': ['microservice'],
+
+        // Data
+        'PostgreSQL': ['Postgres'],
+        'MySQL': [],
+        'MongoDB': ['Mongo'],
+        'Redis': [],
+        'Elasticsearch': ['Elastic Search', 'OpenSearch'],
+        'Kafka': ['Apache Kafka'],
+        'Spark': ['Apache Spark', 'PySpark'],
+        'Snowflake': [],
+        'Airflow': ['Apache Airflow'],
+        'Pandas': [],
+        'Machine Learning': ['ML'],
+        'TensorFlow': [],
+        'PyTorch': [],
+
+        // Cloud and infrastructure
+        'AWS': ['Amazon Web Services'],
+        'Azure': ['Microsoft Azure'],
+        'Google Cloud': ['GCP', 'Google Cloud Platform'],
+        'Docker': [],
+        'Kubernetes': ['k8s'],
+        'Terraform': [],
+        'Ansible': [],
+        'CI/CD': ['continuous integration', 'continuous delivery', 'continuous deployment'],
+        'Jenkins': [],
+        'GitHub Actions': [],
+        'Linux': [],
+        'Git': [],
+
+        // Testing and practices
+        'Jest': [],
+        'Cypress': [],
+        'Playwright': [],
+        'Selenium': [],
+        'Agile': ['Scrum', 'Kanban'],
+        'Figma': []
+    },
+
+    /**
+     * Dictionary entries the user added, as { skill: [synonyms] }
+     */
+    async getCustomSkills() {
+        const result = await chrome.storage.local.get([SKILLS.STORAGE_KEY]);
+        return result[SKILLS.STORAGE_KEY] || {};
+    },
+
+    /**
+     * Replace the user's dictionary entries after validating them
+     */
+    async saveCustomSkills(customSkills) {
+        const errors = SKILLS.validateCustomSkills(customSkills);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        await chrome.storage.local.set({ [SKILLS.STORAGE_KEY]: customSkills });
+        return customSkills;
+    },
+
+    /**
+     * Problems with user dictionary entries; an empty list means they are valid
+     */
+    validateCustomSkills(customSkills) {
+        if (!customSkills || typeof customSkills !== 'object' || Array.isArray(customSkills)) {
+            return ['Custom skills must be an object mapping each skill to a list of synonyms'];
+        }
+
+        const errors = [];
+        for (const [skill, synonyms] of Object.entries(customSkills)) {
+            if (!skill.trim()) {
+                errors.push('Skill names cannot be empty');
+            }
+            if (!Array.isArray(synonyms) || synonyms.some(synonym => typeof synonym !== 'string' || !synonym.trim())) {
+                errors.push(`${skill}: synonyms must be a list of non-empty strings`);
+            }
+        }
+        return errors;
+    },
+
+    /**
+     * The bundled dictionary with the user's entries merged in.
+     * Falls back to the bundled dictionary when storage is unavailable.
+     */
+    async getDictionary() {
+        try {
+            return SKILLS.merge(await SKILLS.getCustomSkills());
+        } catch (error) {
+            console.error('Error loading custom skills:', error);
+            return SKILLS.DICTIONARY;
+        }
+    },
+
+    /**
+     * Merge user entries over the bundled dictionary. Entries for a bundled skill add synonyms to it.
+     */
+    merge(customSkills = {}) {
+        const dictionary = { ...SKILLS.DICTIONARY };
+        for (const [skill, synonyms] of Object.entries(customSkills)) {
+            const name = skill.trim();
+            dictionary[name] = [...new Set([...(dictionary[name] || []), ...synonyms.map(synonym => synonym.trim())])];
+        }
+        return dictionary;
+    },
+
+    /**
+     * Skills named in a text, in dictionary order
+     */
+    extractSkills(text, dictionary = SKILLS.DICTIONARY) {
+        if (!text || text === 'N/A') {
+            return [];
+        }
+
+        return Object.entries(dictionary)
+            .filter(([skill, synonyms]) => [skill, ...synonyms].some(term => SKILLS.termPattern(term).test(text)))
+            .map(([skill]) => skill);
+    },
+
+    /**
+     * Regex matching a term as a whole word. "+", "#" and inner dots count as part of a word,
+     * so "Java" does not match "JavaScript" and "Vue" does not match inside "Vue.js".
+     */
+    termPattern(term) {
+        const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const flags = term.trim().length <= SKILLS.CASE_SENSITIVE_LENGTH ? '' : 'i';
+        return new RegExp(`(?<![\\w+#.])${escaped}(?![\\w+#]|\\.\\w)`, flags);
+    }
+};
+
+// Make the skills dictionary available globally
+if (typeof window !== 'undefined') {
+    window.SKILLS = SKILLS;
+}
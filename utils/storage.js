@@ -18,6 +18,8 @@ class StorageManager {
         this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
         this.maxCacheSize = 50 * 1024 * 1024; // 50MB
         this.compressionThreshold = 1024; // 1KB
+        this.companyStore = new CompanyStore();
+        this.contactStore = new ContactStore();
         
         this.initializeStorage();
     }
@@ -33,9 +35,8 @@ class StorageManager {
         
         // Initialize storage structure
         await this.ensureStorageStructure();
-        
-        // Schedule cleanup
-        this.scheduleCleanup();
+
+        // Quota checks run as the checkStorageQuota task of the background scheduler
     }
 
     /**
@@ -370,6 +371,17 @@ class StorageManager {
     applyFilters(index, filters) {
         let filtered = [...index];
 
+        if (filters.sessionId) {
+            filtered = filtered.filter(entry => entry.id === filters.sessionId);
+        } else {
+            // A batch's merged session repeats the jobs of its per-search sessions
+            filtered = filtered.filter(entry => !entry.params?.mergedBatch);
+        }
+
+        if (filters.savedSearchId) {
+            filtered = filtered.filter(entry => entry.params?.savedSearchId === filters.savedSearchId);
+        }
+
         if (filters.startDate) {
             const startTime = new Date(filters.startDate).getTime();
             filtered = filtered.filter(entry => entry.timestamp >= startTime);
@@ -406,26 +418,30 @@ class StorageManager {
     }
 
     /**
-     * Search jobs across all sessions
+     * Search jobs across all sessions.
+     * sessionFilters: which sessions to search (see applyFilters), e.g. { savedSearchId } or { sessionId }
      */
     async searchJobs(searchOptions = {}) {
         try {
             const { 
                 query = '', 
                 filters = {}, 
+                sessionFilters = {},
                 limit = 100, 
                 sortBy = 'relevance' 
             } = searchOptions;
 
-            const sessionResult = await this.getScrapingSessions({ limit: 50 });
+            const sessionResult = await this.getScrapingSessions({ limit: 50, filters: sessionFilters });
+            const companies = await this.companyStore.getAll();
+            const contacts = await this.contactStore.getAll();
             const allJobs = [];
 
-            // Collect all jobs from sessions
+            // Collect all jobs from sessions, linked to their cached company and contact records
             for (const session of sessionResult.sessions) {
                 if (session.jobs) {
                     for (const job of session.jobs) {
                         allJobs.push({
-                            ...job,
+                            ...this.linkContacts(this.linkCompany(job, companies), contacts),
                             sessionId: session.id,
                             sessionTimestamp: session.startTime
                         });
@@ -441,7 +457,8 @@ class StorageManager {
                     job.jobTitle?.toLowerCase().includes(searchTerm) ||
                     job.companyName?.toLowerCase().includes(searchTerm) ||
                     job.jobDescription?.toLowerCase().includes(searchTerm) ||
-                    job.location?.toLowerCase().includes(searchTerm)
+                    job.location?.toLowerCase().includes(searchTerm) ||
+                    (Array.isArray(job.skills) && job.skills.some(skill => skill.toLowerCase() === searchTerm))
                 );
             }
 
@@ -467,6 +484,94 @@ class StorageManager {
         }
     }
 
+    /**
+     * Count how many jobs mention each skill across sessions, most common first.
+     * A job scraped in several sessions counts once; filters are the ones searchJobs takes.
+     */
+    async getSkillStats(options = {}) {
+        const { query = '', filters = {}, sessionFilters = {}, limit = 50 } = options;
+
+        try {
+            const { jobs } = await this.searchJobs({ query, filters, sessionFilters, limit: Infinity });
+            const seenJobIds = new Set();
+            const counts = new Map();
+
+            for (const job of jobs) {
+                if (seenJobIds.has(job.jobId)) {
+                    continue;
+                }
+                seenJobIds.add(job.jobId);
+
+                for (const skill of Array.isArray(job.skills) ? job.skills : []) {
+                    counts.set(skill, (counts.get(skill) || 0) + 1);
+                }
+            }
+
+            const skills = Array.from(counts, ([skill, count]) => ({
+                skill,
+                count,
+                share: count / seenJobIds.size
+            }))
+                .sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill))
+                .slice(0, limit);
+
+            return { skills, totalJobs: seenJobIds.size };
+
+        } catch (error) {
+            console.error('Error aggregating skills:', error);
+            return { skills: [], totalJobs: 0 };
+        }
+    }
+
+    /**
+     * Job with its cached company record attached as `company` (null when the company is not cached)
+     */
+    linkCompany(job, companies) {
+        return { ...job, company: companies[job.companyId] || null };
+    }
+
+    /**
+     * Job with its stored contact records attached as `poster` (or null) and `hiringTeam`
+     */
+    linkContacts(job, contacts) {
+        return {
+            ...job,
+            poster: contacts[job.posterContactId] || null,
+            hiringTeam: (job.hiringTeamContactIds || []).map(contactId => contacts[contactId]).filter(Boolean)
+        };
+    }
+
+    /**
+     * Group the jobs matching a search by a company attribute: 'id' (one group per company),
+     * 'industry', 'sizeBand' or 'headquarters'. Jobs without a cached company are grouped under 'N/A'.
+     */
+    async groupJobsByCompany(options = {}) {
+        const { groupBy = 'id', query = '', filters = {} } = options;
+
+        try {
+            const { jobs } = await this.searchJobs({ query, filters, limit: Infinity });
+            const groups = new Map();
+
+            for (const job of jobs) {
+                const value = job.company?.[groupBy] ?? 'N/A';
+                const group = groups.get(value) || { value, jobCount: 0, companyIds: new Set() };
+                group.jobCount++;
+                if (job.companyId && job.companyId !== 'N/A') {
+                    group.companyIds.add(job.companyId);
+                }
+                groups.set(value, group);
+            }
+
+            return Array.from(groups.values())
+                .map(({ value, jobCount, companyIds }) => ({ value, jobCount, companyCount: companyIds.size }))
+                .sort((a, b) => b.jobCount - a.jobCount);
+
+        } catch (error) {
+            console.error('Error grouping jobs by company:', error);
+            return [];
+        }
+    }
+
     /**
      * Apply filters to jobs
      */
@@ -499,25 +604,190 @@ class StorageManager {
             );
         }
 
+        // Salary filters compare annualized pay, so hourly and yearly ranges mix.
+        // Jobs without a parsed salary never match a salary bound.
+        if (filters.hasSalary) {
+            filtered = filtered.filter(job => job.salary && typeof job.salary === 'object');
+        }
+
+        if (filters.minSalary) {
+            filtered = filtered.filter(job => {
+                const annual = NORMALIZERS.annualSalary(job.salary, 'max');
+                return annual !== null && annual >= filters.minSalary;
+            });
+        }
+
+        if (filters.maxSalary) {
+            filtered = filtered.filter(job => {
+                const annual = NORMALIZERS.annualSalary(job.salary, 'min');
+                return annual !== null && annual <= filters.maxSalary;
+            });
+        }
+
+        if (filters.salaryCurrency) {
+            filtered = filtered.filter(job => 
+                job.salary?.currency === filters.salaryCurrency
+            );
+        }
+
+        if (filters.salaryPeriod) {
+            filtered = filtered.filter(job => 
+                job.salary?.period === filters.salaryPeriod
+            );
+        }
+
+        // One workplace type ('remote', 'hybrid', 'on-site') or a list of accepted ones
+        if (filters.workplaceType) {
+            const types = [].concat(filters.workplaceType);
+            filtered = filtered.filter(job => types.includes(job.workplaceType));
+        }
+
+        // 'easy-apply', 'external' or 'N/A' (not known yet), or a list of accepted methods
+        if (filters.applyMethod) {
+            const methods = [].concat(filters.applyMethod);
+            filtered = filtered.filter(job => methods.includes(job.applyMethod || 'N/A'));
+        }
+
+        // External applications through an ATS, by name ('Greenhouse') or apply domain; a list matches any
+        if (filters.applyAts) {
+            const wanted = [].concat(filters.applyAts).map(value => value.toLowerCase());
+            filtered = filtered.filter(job => wanted.some(value =>
+                (job.applyAts && job.applyAts.toLowerCase() === value) ||
+                (job.applyDomain && job.applyDomain !== 'N/A' && job.applyDomain.toLowerCase().includes(value))
+            ));
+        }
+
+        if (filters.remoteRegion) {
+            const searchTerm = filters.remoteRegion.toLowerCase();
+            filtered = filtered.filter(job => 
+                Array.isArray(job.remoteRegions) &&
+                job.remoteRegions.some(region => region.toLowerCase().includes(searchTerm))
+            );
+        }
+
+        // Jobs must offer every requested benefit (normalized keys such as 'health' or 'equity')
+        if (Array.isArray(filters.benefits) && filters.benefits.length > 0) {
+            filtered = filtered.filter(job => 
+                Array.isArray(job.benefits) && filters.benefits.every(benefit => job.benefits.includes(benefit))
+            );
+        }
+
+        // Jobs must mention every requested skill (dictionary names such as 'React' or 'Kubernetes')
+        if (Array.isArray(filters.skills) && filters.skills.length > 0) {
+            const wanted = filters.skills.map(skill => skill.toLowerCase());
+            filtered = filtered.filter(job => {
+                const skills = Array.isArray(job.skills) ? job.skills.map(skill => skill.toLowerCase()) : [];
+                return wanted.every(skill => skills.includes(skill));
+            });
+        }
+
+        // Company attributes come from the linked company record; jobs without one never match
+        if (filters.companyIndustry) {
+            const searchTerm = filters.companyIndustry.toLowerCase();
+            filtered = filtered.filter(job => 
+                job.company?.industry?.toLowerCase().includes(searchTerm)
+            );
+        }
+
+        if (filters.companyHeadquarters) {
+            const searchTerm = filters.companyHeadquarters.toLowerCase();
+            filtered = filtered.filter(job => 
+                job.company?.headquarters?.toLowerCase().includes(searchTerm)
+            );
+        }
+
+        // Employee count bounds compare against the company's size band
+        if (typeof filters.minCompanySize === 'number') {
+            filtered = filtered.filter(job => 
+                typeof job.company?.sizeMin === 'number' &&
+                (job.company.sizeMax === null || job.company.sizeMax >= filters.minCompanySize)
+            );
+        }
+
+        if (typeof filters.maxCompanySize === 'number') {
+            filtered = filtered.filter(job => 
+                typeof job.company?.sizeMin === 'number' && job.company.sizeMin <= filters.maxCompanySize
+            );
+        }
+
+        // Requirements read from the description. "At most" filters keep jobs that state no requirement;
+        // minExperienceYears only keeps jobs that ask for at least that many years.
+        if (typeof filters.maxExperienceYears === 'number') {
+            filtered = filtered.filter(job => 
+                typeof job.experienceYearsMin !== 'number' || job.experienceYearsMin <= filters.maxExperienceYears
+            );
+        }
+
+        if (typeof filters.minExperienceYears === 'number') {
+            filtered = filtered.filter(job => 
+                typeof job.experienceYearsMin === 'number' && job.experienceYearsMin >= filters.minExperienceYears
+            );
+        }
+
+        // Highest degree level the candidate holds ('bachelor' keeps jobs asking for a bachelor's or less)
+        if (filters.maxDegreeLevel) {
+            const levels = NORMALIZERS.DEGREE_LEVELS.map(([level]) => level);
+            const maxIndex = levels.indexOf(filters.maxDegreeLevel);
+            filtered = filtered.filter(job => {
+                const index = levels.indexOf(job.degreeLevel);
+                return maxIndex === -1 || index === -1 || index <= maxIndex;
+            });
+        }
+
+        // One sponsorship status ('offered', 'not offered', 'unknown') or a list of accepted ones
+        if (filters.sponsorship) {
+            const statuses = [].concat(filters.sponsorship);
+            filtered = filtered.filter(job => statuses.includes(job.sponsorship || 'unknown'));
+        }
+
+        // Jobs with at most this many applicants; open-ended counts ("Over 200") use their lower bound
+        if (filters.maxApplicants !== undefined && filters.maxApplicants !== null && filters.maxApplicants !== '') {
+            filtered = filtered.filter(job => {
+                const count = job.applicantsMax ?? job.applicantsMin;
+                return typeof count === 'number' && count <= filters.maxApplicants;
+            });
+        }
+
         if (filters.datePosted) {
             const cutoffTime = Date.now() - (filters.datePosted * 24 * 60 * 60 * 1000);
             filtered = filtered.filter(job => {
-                const jobDate = new Date(job.datePosted).getTime();
-                return jobDate >= cutoffTime;
+                const jobDate = this.getPostedTime(job);
+                return jobDate !== null && jobDate >= cutoffTime;
             });
         }
 
         return filtered;
     }
 
+    /**
+     * Posting time of a job in ms, from its normalized date, the card's listing date or, for jobs
+     * saved before dates were normalized, the relative text anchored to the session start. Null if unknown.
+     */
+    getPostedTime(job) {
+        for (const value of [job.datePosted, job.listingDate]) {
+            if (value && value !== 'N/A') {
+                const time = new Date(value).getTime();
+                if (!isNaN(time)) {
+                    return time;
+                }
+            }
+        }
+
+        const anchor = job.scrapedAt || job.sessionTimestamp || Date.now();
+        const relative = NORMALIZERS.parseRelativeDate(job.datePostedText || job.datePosted, anchor) ||
+            NORMALIZERS.parseRelativeDate(job.listingDateText || job.listingDate, anchor);
+        return relative ? new Date(relative).getTime() : null;
+    }
+
     /**
      * Sort jobs based on criteria
      */
     sortJobs(jobs, sortBy) {
         switch (sortBy) {
             case 'date':
+                // Newest first, jobs without a readable date last
                 return jobs.sort((a, b) => 
-                    new Date(b.datePosted).getTime() - new Date(a.datePosted).getTime()
+                    (this.getPostedTime(b) ?? 0) - (this.getPostedTime(a) ?? 0)
                 );
             
             case 'company':
@@ -532,6 +802,12 @@ class StorageManager {
             
             case 'sessionDate':
                 return jobs.sort((a, b) => b.sessionTimestamp - a.sessionTimestamp);
+
+            case 'salary':
+                // Highest annualized pay first, jobs without a salary last
+                return jobs.sort((a, b) => 
+                    (NORMALIZERS.annualSalary(b.salary) ?? -1) - (NORMALIZERS.annualSalary(a.salary) ?? -1)
+                );
             
             default: // relevance
                 return jobs;
@@ -595,11 +871,20 @@ class StorageManager {
     }
 
     /**
-     * Export data in various formats
+     * Export data in various formats.
+     * descriptionFormat: 'text', 'markdown', 'html' or 'all' (DESCRIPTION_FORMATTER.FORMATS);
+     * CSV exports default to the plain text, JSON exports to every representation
      */
     async exportData(options = {}) {
         try {
             const { format = 'json', filters = {}, includeDetails = true } = options;
+            const descriptionFormat = options.descriptionFormat || (format === 'csv' ? 'text' : 'all');
+            const companies = await this.companyStore.getAll();
+            const contacts = await this.contactStore.getAll();
+            const formatJobs = (jobs) => jobs.map(job => DESCRIPTION_FORMATTER.applyFormat(
+                this.linkContacts(this.linkCompany(job, companies), contacts),
+                descriptionFormat
+            ));
             
             const sessionResult = await this.getScrapingSessions({ 
                 limit: 1000, 
@@ -608,13 +893,16 @@ class StorageManager {
 
             let exportData;
             if (includeDetails) {
-                exportData = sessionResult.sessions;
+                exportData = sessionResult.sessions.map(session => ({
+                    ...session,
+                    jobs: formatJobs(session.jobs || [])
+                }));
             } else {
                 // Export only job data
                 exportData = [];
                 for (const session of sessionResult.sessions) {
                     if (session.jobs) {
-                        exportData.push(...session.jobs);
+                        exportData.push(...formatJobs(session.jobs));
                     }
                 }
             }
@@ -677,11 +965,31 @@ class StorageManager {
         if (!jobs.length) return '';
 
         const headers = [
-            'jobId', 'jobTitle', 'companyName', 'location', 'jobUrl',
+            'jobId', 'jobTitle', 'companyName', 'companyId', 'companyUrl', 'location', 'jobUrl',
             'jobDescription', 'seniorityLevel', 'employmentType', 'jobFunction',
-            'industries', 'applicants', 'datePosted', 'listingDate'
+            'industries', 'applicants', 'applicantsMin', 'applicantsMax',
+            'datePosted', 'datePostedText', 'listingDate', 'listingDateText', 'scrapedAt',
+            'salaryText', 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod', 'salaryEstimated',
+            'benefits', 'benefitsText', 'workplaceType', 'remoteRegions',
+            'applyMethod', 'applyUrl', 'applyDomain', 'applyAts', 'skills',
+            'experienceYearsMin', 'experienceYearsMax', 'experienceEvidence',
+            'degreeLevel', 'degreeEvidence', 'sponsorship', 'sponsorshipEvidence',
+            'companyIndustry', 'companySizeBand', 'companyHeadquarters', 'companyFollowers',
+            'posterName', 'posterTitle', 'posterProfileUrl', 'hiringTeam'
         ];
 
+        // Structured descriptions, when the export asked for every representation
+        for (const field of ['jobDescriptionMarkdown', 'jobDescriptionHtml']) {
+            if (jobs.some(job => field in job)) {
+                headers.splice(headers.indexOf('jobDescription') + 1, 0, field);
+            }
+        }
+
+        // Searches of a batch that found the job, in merged batch results
+        if (jobs.some(job => Array.isArray(job.batchSearches))) {
+            headers.push('batchSearches');
+        }
+
         // Add session-specific headers if present
         if (jobs[0]?.sessionId) {
             headers.push('sessionId', 'searchParams', 'sessionDate');
@@ -689,9 +997,9 @@ class StorageManager {
 
         const csvRows = [headers.join(',')];
 
-        for (const job of jobs) {
+        for (const job of jobs.map(NORMALIZERS.flattenJob)) {
             const row = headers.map(header => {
-                let value = job[header] || '';
+                let value = job[header] ?? '';
                 
                 // Handle special cases
                 if (typeof value === 'object') {
@@ -844,16 +1152,6 @@ class StorageManager {
         }
     }
 
-    /**
-     * Schedule periodic cleanup
-     */
-    scheduleCleanup() {
-        // Run cleanup every 6 hours
-        setInterval(() => {
-            this.checkStorageQuota();
-        }, 6 * 60 * 60 * 1000);
-    }
-
     /**
      * Migrate old data format if needed
      */